@@ -0,0 +1,121 @@
+// Development sensor feed. Streams made-up readings for the sensors listed
+// in public/site-manifest.json, both as server-sent events and over a
+// WebSocket, on the same URL:
+//
+//   npm run mock:sensors
+//   VITE_SENSOR_FEED_URL=http://localhost:8787/sensors npm run dev
+//   VITE_SENSOR_FEED_URL=ws://localhost:8787/sensors npm run dev
+//
+// Values wander around a typical level for each kind and now and then
+// spike out of range, so alerts can be tried out.
+
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8787;
+const INTERVAL_MS = Number(process.env.INTERVAL_MS) || 2000;
+const MANIFEST = new URL("../public/site-manifest.json", import.meta.url);
+
+// Typical level, random step and spike size per kind
+const KINDS = {
+  temperature: { level: 23, step: 0.2, spike: 8 },
+  humidity: { level: 45, step: 1, spike: 25 },
+  co2: { level: 650, step: 25, spike: 700 },
+  occupancy: { level: 12, step: 2, spike: 0 },
+  other: { level: 50, step: 2, spike: 40 },
+};
+
+const sensors = JSON.parse(readFileSync(MANIFEST, "utf8")).sensors || [];
+const values = new Map(
+  sensors.map((s) => [s.id, (KINDS[s.kind] || KINDS.other).level])
+);
+
+function tick() {
+  const time = new Date().toISOString();
+  return sensors.map((s) => {
+    const kind = KINDS[s.kind] || KINDS.other;
+    // Drift back towards the typical level, with the odd spike
+    let value = values.get(s.id);
+    value += (kind.level - value) * 0.1 + (Math.random() - 0.5) * 2 * kind.step;
+    if (Math.random() < 0.02) value += kind.spike;
+    if (s.kind === "occupancy") value = Math.max(0, Math.round(value));
+    values.set(s.id, value);
+    return { sensor: s.id, value: Math.round(value * 10) / 10, time };
+  });
+}
+
+const clients = new Set();
+
+setInterval(() => {
+  const message = JSON.stringify(tick());
+  for (const send of clients) send(message);
+}, INTERVAL_MS);
+
+// Unmasked text frame, server to client
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  const n = payload.length;
+  const header =
+    n < 126
+      ? Buffer.from([0x81, n])
+      : n < 65536
+        ? Buffer.from([0x81, 126, n >> 8, n & 255])
+        : Buffer.concat([
+            Buffer.from([0x81, 127]),
+            (() => {
+              const b = Buffer.alloc(8);
+              b.writeBigUInt64BE(BigInt(n));
+              return b;
+            })(),
+          ]);
+  return Buffer.concat([header, payload]);
+}
+
+const server = createServer((req, res) => {
+  if (!req.url.startsWith("/sensors")) {
+    res.writeHead(404).end();
+    return;
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write(": mock sensor feed\n\n");
+  const send = (message) => res.write(`data: ${message}\n\n`);
+  clients.add(send);
+  req.on("close", () => clients.delete(send));
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!req.url.startsWith("/sensors") || !key) {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash("sha1")
+    .update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11")
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  const send = (message) => socket.write(wsFrame(message));
+  clients.add(send);
+  // Clients only ever close; any close frame (opcode 8) ends the connection
+  socket.on("data", (data) => {
+    if ((data[0] & 0x0f) === 8) socket.end(Buffer.from([0x88, 0]));
+  });
+  socket.on("close", () => clients.delete(send));
+  socket.on("error", () => clients.delete(send));
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Mock sensors: ${sensors.length} sensors on http://localhost:${PORT}/sensors (SSE) and ws://localhost:${PORT}/sensors`
+  );
+});
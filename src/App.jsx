@@ -1,11 +1,24 @@
 import WeatherBuildingViewer from "./WeatherBuildingViewer";
+import { createStationProvider } from "./weather/providers";
+
+// VITE_WEATHER_PROVIDER=mock serves recorded fixtures for offline kiosks and
+// CI; VITE_WEATHER_STATION_URL points the viewer at an on-prem station.
+const stationUrl = import.meta.env.VITE_WEATHER_STATION_URL;
+const weatherProvider = stationUrl
+  ? createStationProvider({ url: stationUrl })
+  : import.meta.env.VITE_WEATHER_PROVIDER || "open-meteo";
+
+// VITE_SENSOR_FEED_URL streams live sensor readings; `npm run mock:sensors`
+// serves made-up ones for development.
+const sensorFeed = import.meta.env.VITE_SENSOR_FEED_URL || null;
 
 export default function App() {
   return (
     <WeatherBuildingViewer
-      gltfUrl=""
-      buildingId="Block A"
-      coords={{ lat: 12.972, lng: 77.593 }}
+      manifestUrl="/site-manifest.json"
+      weatherProvider={weatherProvider}
+      sensorFeed={sensorFeed}
+      showStats={import.meta.env.DEV}
     />
   );
 }
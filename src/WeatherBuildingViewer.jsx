@@ -1,720 +1,1062 @@
 import React, {
   useMemo,
-  useRef,
   useState,
   useEffect,
+  useId,
+  useImperativeHandle,
+  useRef,
   Suspense,
   useCallback,
 } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
+import { Canvas } from "@react-three/fiber";
+import { Html, useGLTF } from "@react-three/drei";
+import Scene, { RenderStats } from "./scene/Scene";
+import CameraRig from "./scene/CameraRig";
+import CaptureRig from "./scene/CaptureRig";
+import MeasureLayer from "./scene/MeasureLayer";
+import SectionLayer from "./scene/SectionLayer";
+import SensorLayer from "./scene/SensorLayer";
+import { SECTION_DEFAULTS } from "./scene/section";
+import useMeasurements from "./scene/useMeasurements";
+import useBookmarks from "./scene/useBookmarks";
+import useLocalModel from "./building/useLocalModel";
+import { floorCount } from "./building/floors";
+import { sunPosition } from "./scene/sunPosition";
+import useSunClock from "./scene/useSunClock";
+import AlertPanel from "./ui/AlertPanel";
+import CapturePanel from "./ui/CapturePanel";
+import ElementInspector from "./ui/ElementInspector";
+import HeatmapPanel from "./ui/HeatmapPanel";
+import LayersPanel from "./ui/LayersPanel";
+import MeasurePanel from "./ui/MeasurePanel";
+import ModeToolbar from "./ui/ModeToolbar";
+import PreferencesPanel from "./ui/PreferencesPanel";
+import ModelPanel from "./ui/ModelPanel";
+import ReplayPanel from "./ui/ReplayPanel";
+import SectionPanel from "./ui/SectionPanel";
+import SensorPanel from "./ui/SensorPanel";
+import SunControls from "./ui/SunControls";
+import ViewsPanel from "./ui/ViewsPanel";
+import WeatherStatus from "./ui/WeatherStatus";
 import {
-  OrbitControls,
-  Html,
-  useGLTF,
-  Bounds,
-  Environment,
-  Sky,
-} from "@react-three/drei";
-import * as THREE from "three";
+  loadManifest,
+  manifestFromProps,
+  normalizeManifest,
+} from "./site/siteManifest";
+import useAlertRules from "./alerts/useAlertRules";
+import useBuildingAlerts from "./alerts/useBuildingAlerts";
+import { heatColors } from "./heatmap/heatmapData";
+import useHeatmap from "./heatmap/useHeatmap";
+import { resolveSensorFeed } from "./sensors/sensorFeeds";
+import useSensorReadings from "./sensors/useSensorReadings";
+import useWeather from "./weather/useWeather";
+import useWeatherReplay from "./weather/useWeatherReplay";
+import { describeWeatherError, toWeatherError } from "./weather/weatherErrors";
+import { resolveProvider } from "./weather/providers";
+import { conditionLabel } from "./weather/conditionLabels";
+import { DailySummary, HourlyTimeline } from "./weather/ForecastCharts";
+import { browserTimeZone, formatLocalTime, zonedClock } from "./util/time";
+import { convertWeather } from "./util/units";
+import useControllableState from "./util/useControllableState";
+import useFocusTrap from "./util/useFocusTrap";
+import useReducedMotion from "./util/useReducedMotion";
+import usePreferences from "./util/usePreferences";
+import { downloadBlob, fileTimestamp } from "./util/download";
+import { formatDirection } from "./util/compass";
+import { formatHash, parseHash } from "./util/hashState";
+import { windwardFacade } from "./scene/wind";
 import "./WeatherBuildingViewer.css";
 
-// Utility: fetch live weather using Open-Meteo
-async function fetchWeather({ lat, lng }) {
-  try {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&current_weather=true`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error("Weather fetch failed");
-    const data = await res.json();
-
-    const cw = data.current_weather;
-    if (!cw) throw new Error("No current weather data available");
-
-    return {
-      temperature: cw.temperature ?? "--",
-      windspeed: cw.windspeed ?? "--",
-      winddirection: cw.winddirection ?? "--",
-      weathercode: cw.weathercode ?? 0,
-      time: cw.time ?? new Date().toISOString(),
-      units: {
-        temperature: "°C",
-        windspeed: "km/h",
-      },
-    };
-  } catch (err) {
-    console.error("Weather fetch error:", err);
-    return {
-      temperature: "--",
-      windspeed: "--",
-      winddirection: "--",
-      weathercode: 0,
-      time: new Date().toISOString(),
-      units: { temperature: "°C", windspeed: "km/h" },
-    };
-  }
+const DEFAULT_CAMERA = { position: [8, 25, 8], fov: 60 };
+
+const LAYER_OPTIONS = [
+  { id: "wind", label: "Wind" },
+  { id: "sensors", label: "Sensors" },
+];
+
+// What a click in the scene does
+const MODES = [
+  { id: "weather", label: "Weather" },
+  { id: "inspect", label: "Inspect" },
+  { id: "measure", label: "Measure" },
+  { id: "section", label: "Section" },
+];
+
+// Camera moves for keys on the focused scene; Shift+arrows alias WASD
+const CAMERA_KEYS = {
+  a: { azimuth: -5 },
+  d: { azimuth: 5 },
+  w: { zoom: 1 / 1.1 },
+  s: { zoom: 1.1 },
+  q: { polar: 5 },
+  e: { polar: -5 },
+};
+const SHIFT_ARROWS = {
+  ArrowLeft: "a",
+  ArrowRight: "d",
+  ArrowUp: "w",
+  ArrowDown: "s",
+};
+const NUDGE_SECONDS = 0.15;
+
+// A reading with its unit, or "no data" for hours a replay has no value for
+function reading(value, unit, separator = "") {
+  return value == null ? "no data" : `${value}${separator}${unit}`;
 }
 
-// WMO weather code mapping
-const WMO = {
-  0: "Clear sky",
-  1: "Mainly clear",
-  2: "Partly cloudy",
-  3: "Overcast",
-  45: "Fog",
-  48: "Depositing rime fog",
-  51: "Light drizzle",
-  53: "Moderate drizzle",
-  55: "Dense drizzle",
-  61: "Slight rain",
-  63: "Moderate rain",
-  65: "Heavy rain",
-  71: "Slight snow",
-  73: "Moderate snow",
-  75: "Heavy snow",
-  95: "Thunderstorm",
+const MODE_HINTS = {
+  weather: "Click a building to view weather",
+  inspect: "Click a floor, window or balcony to inspect it",
+  measure: "Click points on a building to measure",
+  section: "Drag the section planes to cut into the buildings",
 };
 
-// Building model loader
-function Building({
-  gltfUrl,
-  highlight,
-  onPointerOver,
-  onPointerOut,
-  onClick,
-  onReady,
+export default function WeatherBuildingViewer({
+  manifest: manifestProp,
+  manifestUrl = "",
+  modelUrl = "",
+  // older name for modelUrl
+  gltfUrl = "",
+  buildingId = "A",
+  coords = { lat: 12.8385, lng: 80.1697 },
+  weatherProvider = "open-meteo",
+  // Weather younger than this is served from the cache (ms)
+  weatherTtl = 10 * 60 * 1000,
+  // Background refresh period for the weather on screen, 0 for none (ms)
+  weatherRefreshInterval = 10 * 60 * 1000,
+  // Live readings for the manifest's sensors: a feed object, or a ws:// or
+  // event-stream URL (see sensors/sensorFeeds.js)
+  sensorFeed = null,
+  // Values to colour floors by, as JSON or CSV (see heatmap/heatmapData.js);
+  // the user can also open a file
+  heatmapUrl = "",
+  showStats = false,
+  // Host control. `selectedBuilding` (a building id or null) and `modalOpen`
+  // are controlled when given and otherwise start from their defaults.
+  selectedBuilding,
+  defaultSelectedBuilding = null,
+  modalOpen: modalOpenProp,
+  defaultModalOpen = false,
+  // onSelect(id, building), onModalOpenChange(open), onHover(building),
+  // onWeatherLoaded(weather, building), onError(error, { source, building })
+  // with source "site", "model", "weather", "sensors" or "capture"
+  onSelect,
+  onModalOpenChange,
+  onHover,
+  onWeatherLoaded,
+  onError,
+  // Imperative handle: focusBuilding, setCamera, screenshot, refreshWeather
+  ref,
 }) {
-  const group = useRef();
-  const [loaded, setLoaded] = useState(false);
-
-  const pointerDownPos = useRef([0, 0]);
-  const isDragging = useRef(false);
+  // An unknown provider name leaves the viewer without weather, reported
+  // like a failed fetch, rather than failing to render
+  const { provider, providerError } = useMemo(() => {
+    try {
+      return {
+        provider: resolveProvider(weatherProvider),
+        providerError: null,
+      };
+    } catch (e) {
+      return { provider: null, providerError: toWeatherError(e) };
+    }
+  }, [weatherProvider]);
+  const [modalOpen, setModalOpen] = useControllableState(
+    modalOpenProp,
+    defaultModalOpen,
+    onModalOpenChange
+  );
+  const [stats, setStats] = useState(null);
+  const [layers, setLayers] = useState({ wind: true, sensors: true });
+  const [mode, setMode] = useState("weather");
+  // picked and hovered elements in inspect mode, as { building, element }
+  const [pick, setPick] = useState(null);
+  const [hoveredElement, setHoveredElement] = useState(null);
+  const measure = useMeasurements();
+  const [section, setSection] = useState(SECTION_DEFAULTS);
 
-  const handlePointerDown = (e) => {
-    pointerDownPos.current = [e.clientX, e.clientY];
-    isDragging.current = false;
-  };
+  const { lat: defaultLat, lng: defaultLng } = coords;
+  const [remoteManifest, setRemoteManifest] = useState(null);
+  const [manifestError, setManifestError] = useState("");
 
-  const handlePointerMove = (e) => {
-    const [x0, y0] = pointerDownPos.current;
-    const dx = e.clientX - x0;
-    const dy = e.clientY - y0;
-    if (Math.sqrt(dx * dx + dy * dy) > 2) {
-      isDragging.current = true;
+  // Resolve the site: explicit manifest, then manifestUrl, then the single
+  // building described by the legacy props.
+  const { manifest, manifestParseError } = useMemo(() => {
+    try {
+      if (manifestProp) {
+        return {
+          manifest: normalizeManifest(manifestProp),
+          manifestParseError: "",
+        };
+      }
+      if (manifestUrl) {
+        return { manifest: remoteManifest, manifestParseError: "" };
+      }
+      return {
+        manifest: manifestFromProps({
+          modelUrl: modelUrl || gltfUrl,
+          buildingId,
+          coords: { lat: defaultLat, lng: defaultLng },
+        }),
+        manifestParseError: "",
+      };
+    } catch (e) {
+      return { manifest: null, manifestParseError: e.message };
     }
-  };
+  }, [
+    manifestProp,
+    manifestUrl,
+    remoteManifest,
+    modelUrl,
+    gltfUrl,
+    buildingId,
+    defaultLat,
+    defaultLng,
+  ]);
 
-  const handlePointerUp = (e) => {
-    if (!isDragging.current) {
-      onClick && onClick();
-    }
-  };
+  useEffect(() => {
+    if (manifestProp || !manifestUrl) return;
+    const controller = new AbortController();
+    setManifestError("");
+    loadManifest(manifestUrl, { signal: controller.signal })
+      .then(setRemoteManifest)
+      .catch((e) => {
+        if (e.name !== "AbortError") setManifestError(e.message);
+      });
+    return () => controller.abort();
+  }, [manifestProp, manifestUrl]);
 
-  if (gltfUrl) {
-    const { scene } = useGLTF(gltfUrl);
-    useEffect(() => {
-      if (!loaded) {
-        scene.traverse((obj) => {
-          if (obj.isMesh && !obj.name) obj.name = "BuildingMesh";
-          if (obj.isMesh) {
-            obj.castShadow = true;
-            obj.receiveShadow = true;
+  // A model opened from disk replaces the model of one building
+  const localModel = useLocalModel();
+  const {
+    model: openedModel,
+    targetId: modelTargetId,
+    fit: modelFit,
+  } = localModel;
+  const buildings = useMemo(() => {
+    const list = manifest?.buildings ?? [];
+    if (!openedModel) return list;
+    return list.map((b) =>
+      b.id === modelTargetId
+        ? {
+            ...b,
+            modelUrl: openedModel.url,
+            modelFormat: openedModel.format,
+            modelUnits: modelFit.units,
+            modelUpAxis: modelFit.upAxis,
+            loadingManager: openedModel.manager,
           }
-        });
-        // Raise GLTF building above ground
-        scene.position.y += 1.5;
-        setLoaded(true);
-        onReady && onReady(scene);
-      }
-    }, [loaded, onReady, scene]);
-
-    useEffect(() => {
-      scene.traverse((obj) => {
-        if (obj.isMesh) {
-          const mat = obj.material;
-          if (!mat) return;
-          if (highlight) {
-            if (!mat.userData._baseEmissive) {
-              mat.userData._baseEmissive = mat.emissive
-                ? mat.emissive.clone()
-                : new THREE.Color(0x000000);
-            }
-            if (!mat.emissive) mat.emissive = new THREE.Color(0x000000);
-            mat.emissive.setRGB(0.1, 0.5, 1);
-          } else if (mat.userData._baseEmissive) {
-            mat.emissive.copy(mat.userData._baseEmissive);
-          }
-        }
-      });
-    }, [highlight, scene]);
-
-    return (
-      <primitive
-        ref={group}
-        object={scene}
-        scale={[2.5, 2.5, 2.5]}
-        onPointerOver={onPointerOver}
-        onPointerOut={onPointerOut}
-        onPointerDown={handlePointerDown}
-        onPointerMove={handlePointerMove}
-        onPointerUp={handlePointerUp}
-      />
+        : b
     );
-  }
+  }, [manifest, openedModel, modelTargetId, modelFit]);
 
-  const meshRef = useRef();
-  useEffect(() => {
-    onReady && onReady(meshRef.current);
-  }, [onReady]);
+  // the last clicked building
+  const onSelectId = useCallback(
+    (id) => onSelect?.(id, buildings.find((b) => b.id === id) ?? null),
+    [onSelect, buildings]
+  );
+  const [selectedId, setSelectedId] = useControllableState(
+    selectedBuilding,
+    defaultSelectedBuilding,
+    onSelectId
+  );
+  const selected = buildings.find((b) => b.id === selectedId) || null;
+  // Range of the floor cutaway slider
+  const siteFloors = useMemo(
+    () => buildings.reduce((n, b) => Math.max(n, floorCount(b)), 1),
+    [buildings]
+  );
+  const modelTarget =
+    buildings.find((b) => b.id === modelTargetId) ||
+    buildings.find((b) => b.id === selected?.id) ||
+    buildings[0];
+  // Host callbacks read through a ref so effects don't rerun on new ones
+  const host = useRef(null);
+  host.current = { onHover, onWeatherLoaded, onError };
 
-  // Building parameters
-  const floors = 10;
-  const floorHeight = 3;
-  const buildingWidth = 10;
-  const buildingDepth = 6;
+  const { fail: failModel } = localModel;
+  const onModelError = useCallback(
+    (building, error) => {
+      failModel(building.modelUrl, error);
+      host.current.onError?.(error, { source: "model", building });
+    },
+    [failModel]
+  );
 
-  return (
-    <group
-      ref={meshRef}
-      scale={[1.5, 1.5, 1.5]}
-      position={[0, 0, 0]}
-      onPointerOver={onPointerOver}
-      onPointerOut={onPointerOut}
-      onPointerDown={handlePointerDown}
-      onPointerMove={handlePointerMove}
-      onPointerUp={handlePointerUp}
-    >
-      {/* Floors */}
-      {[...Array(floors)].map((_, i) => {
-        const y = floorHeight / 2 + i * floorHeight;
-        const isGreen = i % 2 === 0;
-        return (
-          <mesh
-            key={`floor-${i}`}
-            castShadow
-            receiveShadow
-            position={[0, y, 0]}
-          >
-            <boxGeometry args={[buildingWidth, floorHeight, buildingDepth]} />
-            <meshStandardMaterial
-              color={isGreen ? "#c4d37f" : "#7d7d7d"}
-              roughness={0.6}
-              metalness={0.2}
-              emissive={highlight ? "grey" : "black"}
-              emissiveIntensity={highlight ? 0.8 : 0}
-            />
-          </mesh>
-        );
-      })}
-
-      {/* Vertical edges */}
-      {[...Array(floors)].map((_, i) => {
-        const y = floorHeight / 2 + i * floorHeight;
-        const side = i % 2 === 0 ? -1 : 1;
-        const xPos = side * (buildingWidth / 2);
-        const zPos = buildingDepth / 2;
-        return (
-          <mesh key={`vert-${i}`} position={[xPos, y, zPos]}>
-            <boxGeometry args={[0.3, floorHeight, 0.3]} />
-            <meshStandardMaterial color="#ffffff" roughness={0.5} />
-          </mesh>
-        );
-      })}
-
-      {/* Horizontal separators */}
-      {[...Array(floors + 1)].map((_, i) => {
-        const y = i * floorHeight;
-        const zPos = buildingDepth / 2;
-        return (
-          <mesh key={`sep-${i}`} position={[0, y, zPos]}>
-            <boxGeometry args={[buildingWidth + 0.3, 0.2, 0.3]} />
-            <meshStandardMaterial color="#ffffff" roughness={0.5} />
-          </mesh>
-        );
-      })}
-
-      {/* Windows */}
-      {[...Array(floors)].map((_, i) => {
-        if (i === 0) return null;
-        const y = floorHeight / 2 + i * floorHeight + 0.5;
-        return [-3, 3].map((x, j) => (
-          <group key={`window-front-${i}-${j}`}>
-            {/* Outer frame */}
-            <mesh position={[x, y, buildingDepth / 2 + 0.03]}>
-              <boxGeometry args={[0.82, 1.22, 0.05]} />
-              <meshStandardMaterial color="white" roughness={0.6} />{" "}
-              {/* wood color */}
-            </mesh>
-
-            {/* Vertical middle bar */}
-            <mesh position={[x, y, buildingDepth / 2 + 0.06]}>
-              <boxGeometry args={[0.03, 1.22, 0.03]} />
-              <meshStandardMaterial color="#555" roughness={0.4} />{" "}
-              {/* metal look */}
-            </mesh>
-
-            {/* Horizontal middle bar */}
-            <mesh position={[x, y, buildingDepth / 2 + 0.06]}>
-              <boxGeometry args={[0.82, 0.03, 0.03]} />
-              <meshStandardMaterial color="#555" roughness={0.4} />
-            </mesh>
-
-            {/* small panes */}
-            {[
-              [-0.2, 0.2],
-              [-0.2, 0.2],
-            ].map((dx, idxX) =>
-              [
-                [-0.3, 0.3],
-                [-0.3, 0.3],
-              ].map((dy, idxY) => (
-                <mesh
-                  key={`pane-${i}-${j}-${idxX}-${idxY}`}
-                  position={[
-                    x + dx[idxX] / 2,
-                    y + dy[idxY] / 2,
-                    buildingDepth / 2,
-                  ]}
-                >
-                  <boxGeometry args={[0.35, 0.55, 0.02]} />
-                  <meshStandardMaterial
-                    color="#88ccee"
-                    transparent
-                    opacity={0.35}
-                    roughness={0.1}
-                    metalness={0.1}
-                  />
-                </mesh>
-              ))
-            )}
-          </group>
-        ));
-      })}
-
-      {/* Side windows */}
-      {[...Array(floors)].map((_, i) => {
-        if (i === 0) return null;
-        const y = floorHeight / 1.35 + i * floorHeight;
-        const z = -2;
-        const windowWidth = 0.6;
-        const windowHeight = 0.6;
-        const windowDepth = 0.1;
-        const frameThickness = 0.05;
-
-        // Function for side window
-        const createSideWindow = (xPos) => (
-          <group
-            key={`side-window-${xPos > 0 ? "right" : "left"}-${i}`}
-            position={[xPos, y, z]}
-          >
-            {/* Frame */}
-            <mesh>
-              <boxGeometry
-                args={[
-                  frameThickness,
-                  windowHeight + frameThickness * 2,
-                  windowWidth + frameThickness * 2,
-                ]}
-              />
-              <meshStandardMaterial color="white" roughness={0.5} />
-            </mesh>
-
-            {/* Glass */}
-            <mesh
-              position={[
-                xPos > 0 ? -frameThickness / 2 : frameThickness / 2,
-                0,
-                0,
-              ]}
-            >
-              <boxGeometry args={[windowDepth, windowHeight, windowWidth]} />
-              <meshStandardMaterial
-                color="#88ccee"
-                transparent
-                opacity={0.35}
-                roughness={0.1}
-                metalness={0.1}
-              />
-            </mesh>
-
-            {/* Vertical crossbar */}
-            <mesh
-              position={[
-                xPos > 0 ? -frameThickness / 2 : frameThickness / 2,
-                0,
-                0,
-              ]}
-            >
-              <boxGeometry args={[windowDepth + 0.01, windowHeight, 0.02]} />
-              <meshStandardMaterial color="#222" roughness={0.3} />
-            </mesh>
-
-            {/* Horizontal crossbar */}
-            <mesh
-              position={[
-                xPos > 0 ? -frameThickness / 2 : frameThickness / 2,
-                0,
-                0,
-              ]}
-            >
-              <boxGeometry args={[windowDepth + 0.01, 0.02, windowWidth]} />
-              <meshStandardMaterial color="#222" roughness={0.3} />
-            </mesh>
-          </group>
-        );
+  // Weather for the selected building, or the first one until there is a
+  // selection. It drives both the modal and the scene.
+  const weatherSite = selected || buildings[0];
+  const {
+    weather,
+    loading,
+    error: fetchError,
+    age: weatherAge,
+    stale: weatherStale,
+    retryIn: weatherRetryIn,
+    refresh: refreshWeather,
+    revalidate: revalidateWeather,
+    cancel: cancelWeather,
+  } = useWeather(
+    provider,
+    provider && weatherSite && { lat: weatherSite.lat, lng: weatherSite.lng },
+    { ttl: weatherTtl, refreshInterval: weatherRefreshInterval }
+  );
+  const error = providerError || fetchError;
 
-        return (
-          <>
-            {createSideWindow(-buildingWidth / 2 - windowDepth / 2)}{" "}
-            {/* Left */}
-            {createSideWindow(buildingWidth / 2 + windowDepth / 2)}{" "}
-            {/* Right */}
-          </>
-        );
-      })}
-
-      {/* Balconies and doors */}
-      {[...Array(floors)].map((_, i) => {
-        if (i === 0) return null;
-        const y = floorHeight / 2 + i * floorHeight - 0.6;
-        const balconyWidth = 3;
-        const balconyDepth = 0.7;
-        const railingHeight = 0.35;
-        const railingThickness = 0.05;
-        const doorWidth = 1.2;
-        const doorHeight = 1.8;
-
-        return (
-          <group
-            key={`balcony-${i}`}
-            position={[0, y, buildingDepth / 2 + balconyDepth / 2 + 0.05]}
-          >
-            {/* Balcony floor */}
-            <mesh castShadow receiveShadow>
-              <boxGeometry args={[balconyWidth, 0.15, balconyDepth]} />
-              <meshStandardMaterial
-                color="#88ccee"
-                transparent
-                opacity={0.35}
-                roughness={0.1}
-                metalness={0.1}
-              />
-            </mesh>
-
-            {/* Corner posts */}
-            {[
-              [
-                -balconyWidth / 2 + railingThickness / 2,
-                -balconyDepth / 2 + railingThickness / 2,
-              ],
-              [
-                balconyWidth / 2 - railingThickness / 2,
-                -balconyDepth / 2 + railingThickness / 2,
-              ],
-              [
-                -balconyWidth / 2 + railingThickness / 2,
-                balconyDepth / 2 - railingThickness / 2,
-              ],
-              [
-                balconyWidth / 2 - railingThickness / 2,
-                balconyDepth / 2 - railingThickness / 2,
-              ],
-            ].map(([x, z], idx) => (
-              <mesh
-                key={`railing-post-${i}-${idx}`}
-                position={[x, railingHeight / 2 + 0.075, z]}
-              >
-                <boxGeometry
-                  args={[railingThickness, railingHeight, railingThickness]}
-                />
-                <meshStandardMaterial color="#222" roughness={0.3} />
-              </mesh>
-            ))}
-
-            {/* Top rails */}
-            {[
-              [
-                0,
-                railingHeight + 0.075,
-                -balconyDepth / 2 + railingThickness / 2,
-                balconyWidth,
-                railingThickness,
-                railingThickness,
-              ],
-              [
-                0,
-                railingHeight + 0.075,
-                balconyDepth / 2 - railingThickness / 2,
-                balconyWidth,
-                railingThickness,
-                railingThickness,
-              ],
-              [
-                -balconyWidth / 2 + railingThickness / 2,
-                railingHeight + 0.075,
-                0,
-                railingThickness,
-                railingThickness,
-                balconyDepth,
-              ],
-              [
-                balconyWidth / 2 - railingThickness / 2,
-                railingHeight + 0.075,
-                0,
-                railingThickness,
-                railingThickness,
-                balconyDepth,
-              ],
-            ].map(([x, yPos, z, w, h, d], idx) => (
-              <mesh key={`railing-top-${i}-${idx}`} position={[x, yPos, z]}>
-                <boxGeometry args={[w, h, d]} />
-                <meshStandardMaterial color="#222" roughness={0.3} />
-              </mesh>
-            ))}
-
-            {/* Glass door */}
-            <mesh
-              position={[0, doorHeight / 2 + 0.075, -balconyDepth / 2 + 0.05]}
-            >
-              <boxGeometry args={[doorWidth, doorHeight, 0.05]} />
-              <meshStandardMaterial
-                color="#88ccee"
-                transparent
-                opacity={0.4}
-                roughness={0.1}
-                metalness={0.1}
-              />
-            </mesh>
-          </group>
-        );
-      })}
-
-      {/* Central glass door */}
-      <mesh position={[0, 1.5, buildingDepth / 2 + 0.05]}>
-        <boxGeometry args={[2, 3, 0.05]} />
-        <meshStandardMaterial
-          color="#88ccee"
-          transparent
-          opacity={0.4}
-          roughness={0.1}
-          metalness={0.1}
-        />
-      </mesh>
-
-      {/* Roof */}
-      <mesh position={[0, floors * floorHeight + 0.25, 0]}>
-        <boxGeometry args={[buildingWidth + 0.5, 0.5, buildingDepth + 0.5]} />
-        <meshStandardMaterial color="#7a7a7a" roughness={0.6} />
-      </mesh>
-    </group>
+  // A replay of past weather takes the place of the live weather in the
+  // scene, the sun and the modal until it is closed
+  const replay = useWeatherReplay(
+    provider,
+    provider && weatherSite && { lat: weatherSite.lat, lng: weatherSite.lng }
   );
-}
+  const shownWeather = replay.frame || weather;
 
-// Floating animation
-function FloatY({ children }) {
-  const ref = useRef();
-  useFrame(({ clock }) => {
-    const t = clock.getElapsedTime();
-    if (ref.current) ref.current.position.y = Math.sin(t * 0.5) * 0.1;
-  });
-  return <group ref={ref}>{children}</group>;
-}
+  const onBuildingClick = useCallback(
+    (building) => {
+      setSelectedId(building.id);
+      setModalOpen(true);
+    },
+    [setSelectedId, setModalOpen]
+  );
+  const closeModal = useCallback(() => setModalOpen(false), [setModalOpen]);
 
-function Scene({ gltfUrl, onBuildingClick }) {
-  const [hovered, setHovered] = useState(false);
-  const dirLight = useRef();
+  // However the modal opens (a click, a link or the host), opening it again
+  // retries weather that failed or went stale and closing it drops that
+  // fetch if it is still in flight. Fetches the scene started carry on.
+  const weatherActions = useRef(null);
+  weatherActions.current = { revalidateWeather, cancelWeather };
+  const wasOpen = useRef(modalOpen);
   useEffect(() => {
-    if (dirLight.current) dirLight.current.target.position.set(0, 0, 0);
-  }, []);
+    if (modalOpen === wasOpen.current) return;
+    wasOpen.current = modalOpen;
+    if (modalOpen) weatherActions.current.revalidateWeather("modal");
+    else weatherActions.current.cancelWeather("modal");
+  }, [modalOpen]);
 
-  return (
-    <>
-      <Sky sunPosition={[100, 20, 100]} turbidity={8} rayleigh={6} />
-      <ambientLight intensity={0.5} />
-      <directionalLight
-        ref={dirLight}
-        position={[15, 10, 15]}
-        intensity={1.3}
-        castShadow
-      />
-      <Environment preset="sunset" />
-      <mesh receiveShadow rotation-x={-Math.PI / 2}>
-        <planeGeometry args={[200, 200]} />
-        <meshStandardMaterial color="#e6e9ef" />
-      </mesh>
-
-      <Bounds fit clip observe margin={1.2}>
-        <FloatY>
-          <Building
-            gltfUrl={gltfUrl}
-            highlight={hovered}
-            onPointerOver={() => setHovered(true)}
-            onPointerOut={() => setHovered(false)}
-            onClick={() => onBuildingClick({ lat: 12.8385, lng: 80.1697 })}
-            onReady={() => {}}
-          />
-        </FloatY>
-      </Bounds>
-
-      <OrbitControls
-        makeDefault
-        enableDamping
-        dampingFactor={0.1}
-        minDistance={5}
-        maxDistance={60}
-      />
-    </>
+  const weatherBuilding = useRef(null);
+  weatherBuilding.current = weatherSite;
+  useEffect(() => {
+    if (weather) {
+      host.current.onWeatherLoaded?.(weather, weatherBuilding.current);
+    }
+  }, [weather]);
+  useEffect(() => {
+    if (error) {
+      host.current.onError?.(error, {
+        source: "weather",
+        building: weatherBuilding.current,
+      });
+    }
+  }, [error]);
+
+  // Alert rules are checked against live weather for every building they
+  // cover, never against a replay
+  const alertRules = useAlertRules();
+  const { alerts, unchecked: uncheckedAlerts } = useBuildingAlerts(
+    provider,
+    buildings,
+    alertRules.rules,
+    { ttl: weatherTtl, revision: weather }
+  );
+  const alertIds = useMemo(
+    () => [...new Set(alerts.map((a) => a.building.id))],
+    [alerts]
   );
-}
 
-export default function WeatherBuildingViewer({
-  gltfUrl = "",
-  buildingId = "A",
-  coords = { lat: 12.8385, lng: 80.1697 },
-}) {
-  const [modalOpen, setModalOpen] = useState(false);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [weather, setWeather] = useState(null);
+  // Sensors stay connected while their layer is hidden so alerts still come
+  const sensors = useMemo(() => manifest?.sensors ?? [], [manifest]);
+  const feed = useMemo(() => resolveSensorFeed(sensorFeed), [sensorFeed]);
+  const sensorData = useSensorReadings(
+    sensors.length > 0 ? feed : null,
+    sensors
+  );
+  const [sensorId, setSensorId] = useState(null);
+  const pickedSensor = sensors.find((s) => s.id === sensorId) || null;
+  useEffect(() => {
+    if (sensorData.error) {
+      host.current.onError?.(sensorData.error, { source: "sensors" });
+    }
+  }, [sensorData.error]);
 
-  // store coordinates of the last clicked building
-  const [clickedCoords, setClickedCoords] = useState(coords);
+  // Thematic colouring, while a data set is loaded and switched on
+  const heatmap = useHeatmap(heatmapUrl);
+  const {
+    data: heatData,
+    settings: { thematic, ramp },
+    min: heatMin,
+    max: heatMax,
+  } = heatmap;
+  const heat = useMemo(
+    () =>
+      heatData && thematic
+        ? heatColors(heatData, buildings, {
+            ramp,
+            min: heatMin,
+            max: heatMax,
+          })
+        : null,
+    [heatData, thematic, ramp, heatMin, heatMax, buildings]
+  );
 
-  const onBuildingClick = useCallback(
-    async (coord) => {
-      setClickedCoords(coord);
-      setModalOpen(true);
+  const onBuildingHover = useCallback(
+    (id) => host.current.onHover?.(buildings.find((b) => b.id === id) ?? null),
+    [buildings]
+  );
 
-      if (
-        weather &&
-        weather.time &&
-        clickedCoords.lat === coord.lat &&
-        clickedCoords.lng === coord.lng
-      ) {
-        return;
-      }
+  const onElementPick = useCallback(
+    (building, element) => setPick({ building, element }),
+    []
+  );
+
+  // Leaving one building may be reported after entering the next
+  const onElementHover = useCallback(
+    (building, element) =>
+      setHoveredElement((current) =>
+        element
+          ? { building, element }
+          : current?.building.id === building.id
+            ? null
+            : current
+      ),
+    []
+  );
+
+  const onModeChange = useCallback((next) => {
+    setMode(next);
+    setPick(null);
+    setHoveredElement(null);
+  }, []);
 
-      setLoading(true);
-      setError("");
+  // Deep links: the URL hash names a camera pose, building and open modal.
+  // The pose applies before the first frame; the rest once the site loads.
+  const [initialPose] = useState(() => parseHash(window.location.hash).camera);
+  const [link, setLink] = useState(() => parseHash(window.location.hash));
+  const [cameraPose, setCameraPose] = useState(initialPose);
+  const [viewRequest, setViewRequest] = useState(null);
+  const bookmarks = useBookmarks();
 
-      try {
-        const data = await fetchWeather(coord);
-        setWeather(data);
-      } catch (e) {
-        setError(e.message || "Failed to fetch weather");
-      } finally {
-        setLoading(false);
+  useEffect(() => {
+    const onHashChange = () => {
+      const next = parseHash(window.location.hash);
+      if (next.camera) {
+        setViewRequest({ view: { kind: "pose", ...next.camera } });
       }
+      setLink(next);
+    };
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  useEffect(() => {
+    if (!link || buildings.length === 0) return;
+    setLink(null);
+    const building = buildings.find((b) => b.id === link.building);
+    if (!building) return;
+    if (link.modal) {
+      onBuildingClick(building);
+    } else {
+      setSelectedId(building.id);
+      setModalOpen(false);
+    }
+  }, [link, buildings, onBuildingClick, setSelectedId, setModalOpen]);
+
+  // Keep the hash in step without adding history entries
+  useEffect(() => {
+    const hash = formatHash({
+      camera: cameraPose,
+      building: selectedId,
+      modal: modalOpen,
+    });
+    if (hash === (window.location.hash || "#")) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(
+      null,
+      "",
+      hash === "#" ? pathname + search : hash
+    );
+  }, [cameraPose, selectedId, modalOpen]);
+
+  const onView = useCallback((view) => setViewRequest({ view }), []);
+  const { add: addBookmark } = bookmarks;
+  const onSaveBookmark = useCallback(
+    (name) => cameraPose && addBookmark(name, cameraPose),
+    [cameraPose, addBookmark]
+  );
+  const onCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      return true;
+    } catch {
+      return false;
+    }
+  }, []);
+
+  // Image and video export, one at a time
+  const [capture, setCapture] = useState(null);
+  const [captureError, setCaptureError] = useState("");
+  const onCaptureImage = useCallback((options) => {
+    setCaptureError("");
+    setCapture({ kind: "image", ...options });
+  }, []);
+  const onCaptureVideo = useCallback(
+    (options) => {
+      setCaptureError("");
+      setCapture({ kind: "video", poses: bookmarks.bookmarks, ...options });
     },
-    [clickedCoords, weather]
+    [bookmarks.bookmarks]
+  );
+  // Screenshots taken through the handle settle their promise instead
+  const onCaptureDone = useCallback((request, blob) => {
+    if (request.resolve) {
+      request.resolve(blob);
+    } else {
+      const name =
+        request.kind === "image"
+          ? "view"
+          : `${request.path}-${request.seconds}s`;
+      const extension = request.kind === "image" ? "png" : "webm";
+      downloadBlob(blob, `${name}-${fileTimestamp()}.${extension}`);
+    }
+    setCapture(null);
+  }, []);
+  const onCaptureError = useCallback((request, error) => {
+    if (request.reject) {
+      request.reject(error);
+    } else {
+      setCaptureError(error.message || "Export failed");
+      host.current.onError?.(error, { source: "capture" });
+    }
+    setCapture(null);
+  }, []);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      // Select a building and fly to it; false if there is no such building
+      focusBuilding(id, { openModal = false, animate = true } = {}) {
+        if (!buildings.some((b) => b.id === id)) return false;
+        setSelectedId(id);
+        if (openModal) setModalOpen(true);
+        setViewRequest({ view: { kind: "building", buildingId: id }, animate });
+        return true;
+      },
+      setCamera({ position, target }, { animate = true } = {}) {
+        setViewRequest({ view: { kind: "pose", position, target }, animate });
+      },
+      // PNG of the current view as a Blob, at `scale` times the canvas size
+      // or at `width` x `height`
+      screenshot({ scale = 1, width, height, transparent = false } = {}) {
+        if (capture) {
+          return Promise.reject(new Error("An export is already running"));
+        }
+        return new Promise((resolve, reject) =>
+          setCapture({
+            kind: "image",
+            size: width && height ? { width, height } : { scale },
+            transparent,
+            resolve,
+            reject,
+          })
+        );
+      },
+      refreshWeather,
+    }),
+    [buildings, setSelectedId, setModalOpen, capture, refreshWeather]
   );
 
   // Close modal
   useEffect(() => {
     const onKey = (e) => {
-      if (e.key === "Escape") setModalOpen(false);
+      if (e.key === "Escape" && modalOpen) closeModal();
     };
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, []);
+  }, [modalOpen, closeModal]);
+
+  // Keyboard: with the scene focused, Tab and the arrow keys step through
+  // the buildings (Tab moves on past either end), Enter or Space shows the
+  // focused one's weather and F flies to it. The outline only shows for
+  // keyboard focus, not after a click.
+  const reducedMotion = useReducedMotion();
+  const [focusedId, setFocusedId] = useState(null);
+  const [keyboardFocus, setKeyboardFocus] = useState(false);
+  const focusedIndex = buildings.findIndex((b) => b.id === focusedId);
+  const focused = focusedIndex >= 0 ? buildings[focusedIndex] : null;
+
+  const onSceneFocus = (e) => {
+    if (e.target !== e.currentTarget) return;
+    setKeyboardFocus(e.target.matches(":focus-visible"));
+    if (!focused) setFocusedId(selectedId ?? buildings[0]?.id ?? null);
+  };
+  const onSceneBlur = (e) => {
+    if (e.target === e.currentTarget) setKeyboardFocus(false);
+  };
+  const onSceneKeyDown = (e) => {
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    }
+    const n = buildings.length;
+    const arrow = !e.shiftKey && e.key.startsWith("Arrow");
+    if ((e.key === "Tab" || arrow) && n > 0) {
+      const step =
+        e.key === "Tab"
+          ? e.shiftKey
+            ? -1
+            : 1
+          : e.key === "ArrowRight" || e.key === "ArrowDown"
+            ? 1
+            : -1;
+      const from =
+        focusedIndex >= 0 ? focusedIndex : step > 0 ? -1 : buildings.length;
+      const index = from + step;
+      if (e.key === "Tab" && (index < 0 || index >= n)) {
+        setFocusedId(null);
+        return;
+      }
+      e.preventDefault();
+      setKeyboardFocus(true);
+      setFocusedId(buildings[(index + n) % n].id);
+      return;
+    }
+    if ((e.key === "Enter" || e.key === " ") && focused) {
+      e.preventDefault();
+      onBuildingClick(focused);
+      return;
+    }
+    if (e.key.toLowerCase() === "f" && focused) {
+      setViewRequest({ view: { kind: "building", buildingId: focused.id } });
+      return;
+    }
+    const move =
+      CAMERA_KEYS[e.shiftKey ? SHIFT_ARROWS[e.key] : e.key.toLowerCase()];
+    if (move) {
+      e.preventDefault();
+      setViewRequest({
+        view: { kind: "orbit", ...move },
+        duration: NUDGE_SECONDS,
+      });
+    }
+  };
 
   const canvasStyle = useMemo(
     () => ({ width: "100%", height: "100%", touchAction: "none" }),
     []
   );
 
-  // Initial fetch for default coordinates
+  // Sun follows the site's local clock unless the user scrubs it or a
+  // replay is running
+  const timeZone =
+    replay.history?.timezone || weather?.timezone || browserTimeZone();
+  const sunClock = useSunClock(timeZone);
+  const { setClock: setSunClock, resetToNow: resetSunClock } = sunClock;
+  const replayDate = replay.clock?.date;
+  const replayMinutes = replay.clock?.minutes;
+  const replaying = useRef(false);
   useEffect(() => {
-    const fetchCurrentWeather = async () => {
-      setLoading(true);
-      setError("");
-      try {
-        const data = await fetchWeather(coords);
-        setWeather(data);
-        setClickedCoords(coords);
-      } catch (e) {
-        setError(e.message || "Failed to fetch weather");
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchCurrentWeather();
-  }, [coords]);
+    if (replayDate) {
+      replaying.current = true;
+      setSunClock({ date: replayDate, minutes: replayMinutes });
+    } else if (replaying.current) {
+      replaying.current = false;
+      resetSunClock();
+    }
+  }, [replayDate, replayMinutes, setSunClock, resetSunClock]);
+  const origin = manifest?.site.origin ?? { lat: defaultLat, lng: defaultLng };
+  const sun = useMemo(
+    () => sunPosition(sunClock.date, origin.lat, origin.lng),
+    [sunClock.date, origin.lat, origin.lng]
+  );
+
+  // The modal shows the weather in the viewer's preferred units and zone
+  const { preferences, locale, update: updatePreferences } = usePreferences();
+  const viewerTimeZone = browserTimeZone();
+  const display = useMemo(
+    () =>
+      convertWeather(
+        shownWeather,
+        preferences,
+        preferences.timeZone === "viewer"
+          ? viewerTimeZone
+          : shownWeather?.timezone
+      ),
+    [shownWeather, preferences, viewerTimeZone]
+  );
+  const label = (code) =>
+    code == null ? "no data" : conditionLabel(code, preferences.language);
+
+  // Read out by screen readers: the focused building, then its weather
+  const announcement =
+    modalOpen && selected && display
+      ? `${selected.name}: ` +
+        `${reading(display.temperature, display.units.temperature)}, ` +
+        `${label(display.weathercode)}, wind ` +
+        reading(display.windspeed, display.units.windspeed, " ") +
+        (display.winddirection != null
+          ? ` from ${formatDirection(display.winddirection, preferences.direction)}`
+          : "")
+      : focused
+        ? `${focused.name}, building ${focusedIndex + 1} of ` +
+          `${buildings.length}. Press Enter for weather.`
+        : "";
+
+  const dialog = useRef(null);
+  const dialogTitle = useId();
+  const keysHint = useId();
+  useFocusTrap(dialog, modalOpen && !!selected);
+
+  const windward =
+    selected &&
+    Number.isFinite(shownWeather?.winddirection) &&
+    windwardFacade(selected.rotation, shownWeather.winddirection);
+
+  const siteError = manifestParseError || manifestError;
+  useEffect(() => {
+    if (siteError) {
+      host.current.onError?.(new Error(siteError), { source: "site" });
+    }
+  }, [siteError]);
+  const weatherStatus = (
+    <WeatherStatus
+      age={weatherAge}
+      stale={weatherStale}
+      loading={loading}
+      error={describeWeatherError(error)}
+      retryIn={weatherRetryIn}
+      onRefresh={provider && refreshWeather}
+    />
+  );
+  const location = selected && (selected.address || manifest?.site.name || "");
 
   return (
-    <div className="wbv-container">
+    <div
+      className="wbv-container"
+      {...localModel.dropHandlers}
+      onDrop={(e) => localModel.onDrop(e, modelTarget?.id)}
+    >
       <div className="wbv-header">
         <p>Hover to highlight buildings</p>
-        <p>Click a building to view weather</p>
+        <p>{MODE_HINTS[mode]}</p>
         <p>Drag to orbit</p>
         <p>Pinch/scroll to zoom</p>
+        <p id={keysHint}>
+          Keys: Tab or arrows pick a building, Enter for weather, WASD to orbit
+          and zoom
+        </p>
+        {siteError && <p className="wbv-error">Site: {siteError}</p>}
+        {weatherStatus}
+      </div>
+
+      <div className="wbv-sr-only" role="status" aria-live="polite">
+        {announcement}
       </div>
 
       <Canvas
         shadows
         linear
         style={canvasStyle}
-        camera={{ position: [8, 25, 8], fov: 60 }}
+        className="wbv-scene"
+        tabIndex={0}
+        role="application"
+        aria-label="3D site view"
+        aria-describedby={keysHint}
+        onFocus={onSceneFocus}
+        onBlur={onSceneBlur}
+        onKeyDown={onSceneKeyDown}
+        camera={
+          initialPose
+            ? { ...DEFAULT_CAMERA, position: initialPose.position }
+            : DEFAULT_CAMERA
+        }
       >
         <Suspense fallback={<Html center>Loading 3D…</Html>}>
-          <Scene gltfUrl={gltfUrl} onBuildingClick={onBuildingClick} />
+          <Scene
+            buildings={buildings}
+            weather={shownWeather}
+            sun={sun}
+            layers={layers}
+            pickElements={mode === "inspect"}
+            maxFloor={section.maxFloor}
+            heat={heat}
+            fitCamera={!initialPose}
+            floating={mode !== "measure"}
+            reducedMotion={reducedMotion}
+            focusedId={keyboardFocus ? focusedId : null}
+            preferences={preferences}
+            alertIds={alertIds}
+            onBuildingClick={mode === "weather" ? onBuildingClick : undefined}
+            onBuildingHover={onBuildingHover}
+            onElementHover={onElementHover}
+            onElementPick={onElementPick}
+            onModelError={onModelError}
+          />
+          {mode === "measure" && (
+            <MeasureLayer
+              tool={measure.tool}
+              draft={measure.draft}
+              measurements={measure.measurements}
+              system={preferences.units}
+              onPoint={measure.addPoint}
+              onFinish={measure.finish}
+            />
+          )}
+          <SectionLayer
+            buildings={buildings}
+            section={section}
+            editing={mode === "section"}
+          />
+          <CameraRig
+            request={viewRequest}
+            initialPose={initialPose}
+            reducedMotion={reducedMotion}
+            onChange={setCameraPose}
+          />
+          <CaptureRig
+            request={capture}
+            onDone={onCaptureDone}
+            onError={onCaptureError}
+          />
+          {layers.sensors && (
+            <SensorLayer
+              buildings={buildings}
+              sensors={sensors}
+              latest={sensorData.latest}
+              selectedId={sensorId}
+              maxFloor={section.maxFloor}
+              reducedMotion={reducedMotion}
+              onSelect={setSensorId}
+            />
+          )}
         </Suspense>
+        {showStats && <RenderStats onStats={setStats} />}
       </Canvas>
 
-      {modalOpen && (
+      <ModeToolbar mode={mode} modes={MODES} onChange={onModeChange} />
+
+      {mode === "inspect" && (
+        <ElementInspector
+          pick={pick}
+          hovered={hoveredElement}
+          system={preferences.units}
+          onShowWeather={onBuildingClick}
+          onClose={() => setPick(null)}
+        />
+      )}
+
+      {mode === "measure" && (
+        <MeasurePanel
+          tool={measure.tool}
+          draft={measure.draft}
+          measurements={measure.measurements}
+          system={preferences.units}
+          onToolChange={measure.setTool}
+          onFinish={measure.finish}
+          onUndo={measure.undo}
+          onRemove={measure.remove}
+          onClear={measure.clear}
+        />
+      )}
+
+      {mode === "section" && (
+        <SectionPanel
+          section={section}
+          floors={siteFloors}
+          system={preferences.units}
+          onChange={setSection}
+        />
+      )}
+
+      <ViewsPanel
+        selected={selected}
+        bookmarks={bookmarks.bookmarks}
+        onView={onView}
+        onSave={onSaveBookmark}
+        onRemove={bookmarks.remove}
+        onCopyLink={onCopyLink}
+      />
+
+      <CapturePanel
+        busy={capture?.kind}
+        error={captureError}
+        bookmarkCount={bookmarks.bookmarks.length}
+        onImage={onCaptureImage}
+        onVideo={onCaptureVideo}
+      />
+
+      <ModelPanel
+        model={localModel}
+        targetName={modelTarget?.name}
+        onOpen={(files) => localModel.open(files, modelTarget?.id)}
+        onFitChange={localModel.setFit}
+        onReset={localModel.reset}
+      />
+
+      {localModel.dragging && (
+        <div className="wbv-drop-overlay">
+          Drop a model to show it as {modelTarget?.name || "the building"}
+        </div>
+      )}
+
+      {layers.sensors && sensors.length > 0 && (
+        <SensorPanel
+          status={sensorData.status}
+          error={sensorData.error}
+          retryIn={sensorData.retryIn}
+          alerts={sensorData.alerts}
+          sensor={pickedSensor}
+          building={buildings.find((b) => b.id === pickedSensor?.building)}
+          history={pickedSensor && sensorData.history[pickedSensor.id]}
+          onSelect={setSensorId}
+          onClose={() => setSensorId(null)}
+        />
+      )}
+
+      <HeatmapPanel heatmap={heatmap} />
+
+      <AlertPanel
+        alerts={alerts}
+        unchecked={uncheckedAlerts}
+        rules={alertRules.rules}
+        buildings={buildings}
+        preferences={preferences}
+        locale={locale}
+        onAdd={alertRules.add}
+        onRemove={alertRules.remove}
+        onSelect={onBuildingClick}
+      />
+
+      <ReplayPanel
+        replay={replay}
+        available={!!provider?.fetchHistory}
+        today={zonedClock(new Date(), timeZone).date}
+        locale={locale}
+      />
+
+      <LayersPanel
+        layers={layers}
+        options={LAYER_OPTIONS}
+        onChange={setLayers}
+      />
+
+      <SunControls
+        clock={sunClock.clock}
+        live={sunClock.live}
+        playing={sunClock.playing}
+        timeZone={timeZone}
+        sun={sun}
+        onChange={sunClock.setClock}
+        onNow={sunClock.resetToNow}
+        onTogglePlay={sunClock.togglePlay}
+      />
+
+      {showStats && stats && (
+        <div className="wbv-stats">
+          <div>Buildings: {buildings.length}</div>
+          <div>Draw calls: {stats.drawCalls}</div>
+          <div>Triangles: {stats.triangles.toLocaleString()}</div>
+          <div>Geometries: {stats.geometries}</div>
+        </div>
+      )}
+
+      {modalOpen && selected && (
         <div className="wbv-modal-overlay">
+          <div className="wbv-modal-backdrop" onClick={closeModal} />
           <div
-            className="wbv-modal-backdrop"
-            onClick={() => setModalOpen(false)}
-          />
-          <div className="wbv-modal">
-            <button
-              className="wbv-close-btn"
-              onClick={() => setModalOpen(false)}
-            >
+            className="wbv-modal"
+            ref={dialog}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby={dialogTitle}
+            tabIndex={-1}
+          >
+            <button className="wbv-close-btn" onClick={closeModal}>
               Close
             </button>
             <div className="wbv-modal-header">
-              <div className="wbv-building-id">{buildingId}</div>
+              <div className="wbv-building-id" aria-hidden="true">
+                {selected.id}
+              </div>
               <div>
-                <h2>Current Weather</h2>
-                <h3>Location: Mambakkam, Chennai</h3>
+                <h2 id={dialogTitle}>{selected.name}</h2>
+                {location && <h3>Location: {location}</h3>}
                 <p>
-                  Lat {clickedCoords.lat.toFixed(3)}, Lng{" "}
-                  {clickedCoords.lng.toFixed(3)}
+                  Lat {selected.lat.toFixed(3)}, Lng {selected.lng.toFixed(3)}
                 </p>
               </div>
             </div>
 
             <div className="wbv-modal-content">
-              {loading && <div>Fetching weather…</div>}
-              {!loading && error && <div className="wbv-error">{error}</div>}
-              {!loading && !error && weather && (
+              <h3>{replay.frame ? "Replayed Weather" : "Current Weather"}</h3>
+              {!replay.frame && weatherStatus}
+              {!shownWeather && loading && <div>Fetching weather…</div>}
+              {!replay.frame && !loading && error && (
+                <div className="wbv-error wbv-weather-error">
+                  {describeWeatherError(error)}
+                  {provider && <button onClick={refreshWeather}>Retry</button>}
+                </div>
+              )}
+              {display && (
                 <div className="wbv-weather-grid">
                   <div className="wbv-weather-card">
                     <div>Temperature</div>
                     <div>
-                      {weather.temperature}
-                      {weather.units.temperature}
+                      {reading(display.temperature, display.units.temperature)}
                     </div>
                   </div>
                   <div className="wbv-weather-card">
                     <div>Wind</div>
                     <div>
-                      {weather.windspeed} {weather.units.windspeed}
+                      {reading(display.windspeed, display.units.windspeed, " ")}
                     </div>
-                    <div>Dir {Math.round(weather.winddirection)}°</div>
+                    {display.winddirection != null && (
+                      <div>
+                        From{" "}
+                        {formatDirection(
+                          display.winddirection,
+                          preferences.direction
+                        )}
+                      </div>
+                    )}
+                    {windward && (
+                      <div>
+                        Windward: {windward.facade} facade (faces{" "}
+                        {formatDirection(
+                          windward.bearing,
+                          preferences.direction
+                        )}
+                        )
+                      </div>
+                    )}
                   </div>
                   <div className="wbv-weather-card wbv-col-span-2">
                     <div>Condition</div>
+                    <div>{label(display.weathercode)}</div>
                     <div>
-                      {WMO[weather.weathercode] ||
-                        `Code ${weather.weathercode}`}
-                    </div>
-                    <div>
-                      Updated: {new Date(weather.time).toLocaleString()}
+                      {replay.frame ? "Replaying" : "Observed"}:{" "}
+                      {formatLocalTime(display.time, locale)}
+                      {display.timezone && ` (${display.timezone})`}
                     </div>
                   </div>
                 </div>
               )}
+              {display && (
+                <>
+                  <HourlyTimeline
+                    hourly={display.hourly}
+                    units={display.units}
+                  />
+                  <DailySummary
+                    daily={display.daily}
+                    units={display.units}
+                    locale={locale}
+                    conditionLabel={label}
+                  />
+                </>
+              )}
+              <PreferencesPanel
+                preferences={preferences}
+                buildingTimeZone={weather?.timezone}
+                viewerTimeZone={viewerTimeZone}
+                onChange={updatePreferences}
+              />
             </div>
           </div>
         </div>
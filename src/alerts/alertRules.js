@@ -0,0 +1,117 @@
+import { convertSpeed, convertTemperature } from "../util/units";
+
+// Weather alert rules, saved in the browser:
+//
+// {
+//   id,
+//   building: "A",            // manifest building id, or "*" for every building
+//   metric: "windGusts",      // see ALERT_METRICS
+//   op: "above",              // "above" or "below"; unused for conditions
+//   value: 40,                // threshold in `unit`, or a CONDITION_GROUPS id
+//   unit: "km/h",             // as chosen when the rule was made
+// }
+
+export const ALL_BUILDINGS = "*";
+
+// Weather codes that raise an alert together
+export const CONDITION_GROUPS = [
+  { id: "thunderstorm", label: "Thunderstorm", codes: [95, 96, 99] },
+  { id: "snow", label: "Snow", codes: [71, 73, 75, 77, 85, 86] },
+  { id: "heavy-rain", label: "Heavy rain", codes: [65, 67, 82] },
+  {
+    id: "freezing",
+    label: "Freezing rain or drizzle",
+    codes: [56, 57, 66, 67],
+  },
+  { id: "fog", label: "Fog", codes: [45, 48] },
+];
+
+// What a rule can watch. Gusts come from the current hour of the timeline.
+export const ALERT_METRICS = [
+  {
+    id: "windspeed",
+    label: "Wind speed",
+    kind: "speed",
+    read: (w) => w.windspeed,
+  },
+  {
+    id: "windGusts",
+    label: "Wind gusts",
+    kind: "speed",
+    read: (w) => w.hourly?.[0]?.windGusts,
+  },
+  {
+    id: "temperature",
+    label: "Temperature",
+    kind: "temperature",
+    read: (w) => w.temperature,
+  },
+  {
+    id: "condition",
+    label: "Condition",
+    kind: "condition",
+    read: (w) => w.weathercode,
+  },
+];
+
+export function findMetric(id) {
+  return ALERT_METRICS.find((m) => m.id === id) || null;
+}
+
+function findGroup(id) {
+  return CONDITION_GROUPS.find((g) => g.id === id) || null;
+}
+
+// Saved rules this version understands, dropping the rest
+export function normalizeRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((rule) => {
+    if (!rule || typeof rule !== "object" || !rule.id) return false;
+    if (typeof rule.building !== "string") return false;
+    const metric = findMetric(rule.metric);
+    if (!metric) return false;
+    if (metric.kind === "condition") return !!findGroup(rule.value);
+    return (
+      ["above", "below"].includes(rule.op) &&
+      Number.isFinite(rule.value) &&
+      typeof rule.unit === "string"
+    );
+  });
+}
+
+export function appliesTo(rule, buildingId) {
+  return rule.building === ALL_BUILDINGS || rule.building === buildingId;
+}
+
+// The value a rule compares, in the rule's unit, or null if the weather
+// doesn't have it
+export function ruleReading(rule, weather) {
+  const metric = findMetric(rule.metric);
+  const raw = metric?.read(weather);
+  if (typeof raw !== "number") return null;
+  if (metric.kind === "speed") {
+    return convertSpeed(raw, weather.units?.windspeed, rule.unit);
+  }
+  if (metric.kind === "temperature") {
+    return convertTemperature(raw, weather.units?.temperature, rule.unit);
+  }
+  return raw;
+}
+
+export function ruleTriggered(rule, weather) {
+  const value = ruleReading(rule, weather);
+  if (value == null) return false;
+  if (rule.metric === "condition") {
+    return findGroup(rule.value)?.codes.includes(value) ?? false;
+  }
+  return rule.op === "above" ? value > rule.value : value < rule.value;
+}
+
+// "Wind gusts above 40 km/h", "Thunderstorm"
+export function describeRule(rule) {
+  if (rule.metric === "condition") {
+    return findGroup(rule.value)?.label ?? rule.value;
+  }
+  const metric = findMetric(rule.metric);
+  return `${metric.label} ${rule.op} ${rule.value} ${rule.unit}`;
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import {
+  ALL_BUILDINGS,
+  appliesTo,
+  describeRule,
+  normalizeRules,
+  ruleReading,
+  ruleTriggered,
+} from "./alertRules";
+
+const weather = {
+  temperature: 35,
+  windspeed: 20,
+  winddirection: 180,
+  weathercode: 95,
+  time: "2025-01-01T12:00",
+  units: { temperature: "°F", windspeed: "km/h" },
+  hourly: [{ time: "2025-01-01T12:00", windGusts: 70 }],
+};
+
+const gusts = {
+  id: "r1",
+  building: "A",
+  metric: "windGusts",
+  op: "above",
+  value: 40,
+  unit: "mph",
+};
+
+describe("normalizeRules", () => {
+  it("keeps valid rules and drops the rest", () => {
+    const storm = {
+      id: "r2",
+      building: ALL_BUILDINGS,
+      metric: "condition",
+      value: "thunderstorm",
+    };
+    const rules = normalizeRules([
+      gusts,
+      storm,
+      null,
+      { ...gusts, id: "" },
+      { ...gusts, metric: "pressure" },
+      { ...gusts, op: "equals" },
+      { ...gusts, value: "40" },
+      { ...storm, value: "hail" },
+    ]);
+    expect(rules).toEqual([gusts, storm]);
+  });
+
+  it("reads anything but a list as no rules", () => {
+    expect(normalizeRules({ rules: [gusts] })).toEqual([]);
+  });
+});
+
+describe("appliesTo", () => {
+  it("matches its own building or every building", () => {
+    expect(appliesTo(gusts, "A")).toBe(true);
+    expect(appliesTo(gusts, "B")).toBe(false);
+    expect(appliesTo({ ...gusts, building: ALL_BUILDINGS }, "B")).toBe(true);
+  });
+});
+
+describe("ruleReading", () => {
+  it("converts the reading to the rule's unit", () => {
+    expect(ruleReading(gusts, weather)).toBe(43.5);
+    expect(ruleReading({ metric: "temperature", unit: "°C" }, weather)).toBe(
+      1.7
+    );
+  });
+
+  it("is null when the weather lacks the reading", () => {
+    expect(ruleReading(gusts, { ...weather, hourly: [] })).toBeNull();
+  });
+});
+
+describe("ruleTriggered", () => {
+  it("compares against the threshold", () => {
+    expect(ruleTriggered(gusts, weather)).toBe(true);
+    expect(ruleTriggered({ ...gusts, value: 50 }, weather)).toBe(false);
+    expect(ruleTriggered({ ...gusts, op: "below", value: 50 }, weather)).toBe(
+      true
+    );
+  });
+
+  it("compares temperatures across units", () => {
+    const frost = {
+      metric: "temperature",
+      op: "below",
+      value: 2,
+      unit: "°C",
+    };
+    expect(ruleTriggered(frost, weather)).toBe(true);
+    expect(ruleTriggered(frost, { ...weather, temperature: 40 })).toBe(false);
+  });
+
+  it("matches condition groups by weather code", () => {
+    const rule = { metric: "condition", value: "thunderstorm" };
+    expect(ruleTriggered(rule, weather)).toBe(true);
+    expect(ruleTriggered(rule, { ...weather, weathercode: 3 })).toBe(false);
+  });
+
+  it("never triggers on a missing reading", () => {
+    const rule = { ...gusts, op: "below" };
+    expect(ruleTriggered(rule, { ...weather, hourly: [] })).toBe(false);
+  });
+});
+
+describe("describeRule", () => {
+  it("names the metric, threshold and unit", () => {
+    expect(describeRule(gusts)).toBe("Wind gusts above 40 mph");
+    expect(describeRule({ metric: "condition", value: "fog" })).toBe("Fog");
+  });
+});
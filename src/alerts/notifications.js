@@ -0,0 +1,26 @@
+// Browser notifications for raised alerts. They only show once the user has
+// granted permission; pages served over plain http can't ask.
+
+export function notificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  return Notification.permission;
+}
+
+export async function requestNotifications() {
+  if (typeof Notification === "undefined") return "unsupported";
+  try {
+    return await Notification.requestPermission();
+  } catch {
+    return Notification.permission;
+  }
+}
+
+// `tag` replaces an earlier notification for the same alert
+export function notify(title, body, tag) {
+  if (notificationPermission() !== "granted") return;
+  try {
+    new Notification(title, { body, tag });
+  } catch {
+    // Some mobile browsers only notify through a service worker
+  }
+}
@@ -0,0 +1,31 @@
+import { useCallback } from "react";
+import { loadJson, useStoredState } from "../util/storage";
+import { normalizeRules } from "./alertRules";
+
+const STORAGE_KEY = "wbv-alert-rules";
+
+function loadRules() {
+  return normalizeRules(loadJson(STORAGE_KEY, []));
+}
+
+let nextId = Date.now();
+
+// User-made weather alert rules (see alertRules.js), kept in localStorage
+export default function useAlertRules() {
+  const [rules, setRules] = useStoredState(STORAGE_KEY, loadRules);
+
+  const add = useCallback(
+    (rule) => {
+      const id = `r${nextId++}`;
+      setRules((list) => [...list, { ...rule, id }]);
+    },
+    [setRules]
+  );
+
+  const remove = useCallback(
+    (id) => setRules((list) => list.filter((r) => r.id !== id)),
+    [setRules]
+  );
+
+  return { rules, add, remove };
+}
@@ -0,0 +1,151 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { fetchWeather } from "../weather/fetchWeather";
+import {
+  isStale,
+  readCachedWeather,
+  weatherCacheKey,
+  writeCachedWeather,
+} from "../weather/weatherCache";
+import {
+  appliesTo,
+  describeRule,
+  ruleReading,
+  ruleTriggered,
+} from "./alertRules";
+import { notify } from "./notifications";
+
+// How often rules are checked again, fetching weather older than `ttl`
+const CHECK_MS = 60 * 1000;
+
+function formatValue(rule, value) {
+  return rule.metric === "condition" ? "" : ` (now ${value} ${rule.unit})`;
+}
+
+// Weather alert rules evaluated for every building they cover, not just the
+// one on screen. Weather comes through the shared cache, so buildings close
+// together share a fetch. `revision` is anything that changes when weather
+// was fetched elsewhere (the viewer passes its live weather) so the rules
+// see it at once. Returns the triggered alerts, newest first, each with
+// `since` in epoch ms, and the buildings whose weather couldn't be fetched.
+// Without a provider nothing is checked.
+// Newly raised alerts also go to browser notifications where allowed.
+export default function useBuildingAlerts(
+  provider,
+  buildings,
+  rules,
+  { ttl, revision }
+) {
+  // Buildings with at least one rule, by weather cache key
+  const watched = useMemo(() => {
+    const out = {};
+    if (!provider) return out;
+    for (const b of buildings) {
+      if (!rules.some((r) => appliesTo(r, b.id))) continue;
+      const key = weatherCacheKey(provider, b);
+      if (!out[key]) out[key] = { lat: b.lat, lng: b.lng, buildings: [] };
+      out[key].buildings.push(b);
+    }
+    return out;
+  }, [provider, buildings, rules]);
+
+  const [entries, setEntries] = useState({});
+  const [failed, setFailed] = useState([]);
+  const [check, setCheck] = useState(0);
+
+  useEffect(() => {
+    const timer = setInterval(() => setCheck((n) => n + 1), CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const next = {};
+    const stale = [];
+    for (const [key, place] of Object.entries(watched)) {
+      const cached = readCachedWeather(key);
+      if (cached) next[key] = cached;
+      if (isStale(cached, ttl)) stale.push([key, place]);
+    }
+    setEntries(next);
+    Promise.all(
+      stale.map(([key, { lat, lng }]) =>
+        fetchWeather(
+          provider,
+          { lat, lng },
+          { signal: controller.signal }
+        ).then(
+          (weather) => {
+            const entry = writeCachedWeather(key, weather);
+            setEntries((current) => ({ ...current, [key]: entry }));
+            return null;
+          },
+          () => key
+        )
+      )
+    ).then((keys) => {
+      if (!controller.signal.aborted) setFailed(keys.filter(Boolean));
+    });
+    return () => controller.abort();
+  }, [provider, watched, ttl, check, revision]);
+
+  const triggered = useMemo(() => {
+    const out = [];
+    for (const [key, { buildings: covered }] of Object.entries(watched)) {
+      const weather = entries[key]?.weather;
+      if (!weather) continue;
+      for (const building of covered) {
+        for (const rule of rules) {
+          if (!appliesTo(rule, building.id)) continue;
+          if (!ruleTriggered(rule, weather)) continue;
+          out.push({
+            key: `${building.id}|${rule.id}`,
+            building,
+            rule,
+            value: ruleReading(rule, weather),
+            time: weather.time,
+          });
+        }
+      }
+    }
+    return out;
+  }, [watched, entries, rules]);
+
+  // When each alert was first seen, for as long as it stays triggered
+  const raisedAt = useRef({});
+  const [since, setSince] = useState({});
+  useEffect(() => {
+    const now = Date.now();
+    const next = {};
+    for (const alert of triggered) {
+      const { key, building, rule, value } = alert;
+      next[key] = raisedAt.current[key] ?? now;
+      if (raisedAt.current[key] == null) {
+        notify(
+          `Weather alert: ${building.name}`,
+          describeRule(rule) + formatValue(rule, value),
+          key
+        );
+      }
+    }
+    raisedAt.current = next;
+    setSince(next);
+  }, [triggered]);
+
+  const alerts = useMemo(
+    () =>
+      triggered
+        .map((alert) => ({ ...alert, since: since[alert.key] ?? Date.now() }))
+        .sort((a, b) => b.since - a.since),
+    [triggered, since]
+  );
+
+  const unchecked = useMemo(
+    () =>
+      failed.flatMap((key) =>
+        entries[key] ? [] : (watched[key]?.buildings ?? [])
+      ),
+    [failed, entries, watched]
+  );
+
+  return { alerts, unchecked };
+}
@@ -0,0 +1,514 @@
+import React, {
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useLoader } from "@react-three/fiber";
+import { useGLTF } from "@react-three/drei";
+import * as THREE from "three";
+import { localBounds } from "./bounds";
+import { ASSUMED_FLOOR_HEIGHT } from "./floors";
+import { modelFormat } from "./modelFormats";
+import { LOADERS, modelRoot } from "./modelLoaders";
+import { normalizeModel } from "./normalizeModel";
+import {
+  batchParts,
+  elementBounds,
+  generateBuildingParts,
+  paletteMaterials,
+  thematicMaterials,
+} from "./proceduralBuilding";
+import {
+  createMaterial,
+  getSharedMaterial,
+  getUnitGeometry,
+} from "./sharedResources";
+
+// Element highlight colours (the building-level hover stays blue)
+const ELEMENT_EMISSIVE = new THREE.Color(1, 0.55, 0.1);
+const ELEMENT_TINT = new THREE.Color(1, 0.7, 0.3);
+const NO_TINT = new THREE.Color(1, 1, 1);
+
+// Pointer handling shared by both building kinds. A press only counts as a
+// click if it didn't turn into an orbit drag. With `pickElements` on, hover
+// and click resolve the element under the pointer instead of the building.
+function usePicking({
+  pickElements,
+  resolveElement,
+  describeElement,
+  onPointerOver,
+  onPointerOut,
+  onClick,
+  onElementHover,
+  onElementClick,
+}) {
+  const pointerDownPos = useRef([0, 0]);
+  const isDragging = useRef(false);
+  const [hovered, setHovered] = useState(null);
+
+  const hover = (next) =>
+    setHovered((prev) =>
+      (prev?.key ?? null) === (next?.key ?? null) ? prev : next
+    );
+
+  useEffect(() => {
+    if (!pickElements) setHovered(null);
+  }, [pickElements]);
+
+  useEffect(() => {
+    if (pickElements && onElementHover) onElementHover(hovered);
+  }, [pickElements, hovered, onElementHover]);
+
+  const handlers = {
+    onPointerOver: (e) => {
+      e.stopPropagation();
+      onPointerOver && onPointerOver(e);
+      if (pickElements) hover(resolveElement(e));
+    },
+    onPointerOut: (e) => {
+      onPointerOut && onPointerOut(e);
+      if (pickElements) hover(null);
+    },
+    onPointerDown: (e) => {
+      pointerDownPos.current = [e.clientX, e.clientY];
+      isDragging.current = false;
+    },
+    onPointerMove: (e) => {
+      const [x0, y0] = pointerDownPos.current;
+      const dx = e.clientX - x0;
+      const dy = e.clientY - y0;
+      if (Math.sqrt(dx * dx + dy * dy) > 2) {
+        isDragging.current = true;
+      }
+      if (pickElements) {
+        e.stopPropagation();
+        hover(resolveElement(e));
+      }
+    },
+    onPointerUp: (e) => {
+      // Only the nearest building under the pointer receives the click
+      e.stopPropagation();
+      if (isDragging.current) return;
+      if (pickElements) {
+        const element = resolveElement(e);
+        if (element && onElementClick) {
+          onElementClick(describeElement(element.key));
+        }
+      } else if (onClick) {
+        onClick(e);
+      }
+    },
+  };
+
+  return { handlers, hoveredKey: hovered?.key ?? null };
+}
+
+function boxSize({ min, max }) {
+  return [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+}
+
+// Named glTF node a mesh belongs to: itself or its nearest named ancestor
+function pickableNode(mesh, root) {
+  for (let obj = mesh; obj && obj !== root; obj = obj.parent) {
+    if (obj.name) return obj;
+  }
+  return mesh;
+}
+
+// Thematic colour of a model mesh: by the name of the mesh or a named
+// ancestor, else by its floor, declared in userData or estimated from height
+function meshHeatColor(mesh, root, heat) {
+  let declared;
+  for (let obj = mesh; obj && obj !== root.parent; obj = obj.parent) {
+    if (obj.name && heat.meshes[obj.name]) return heat.meshes[obj.name];
+    if (declared == null) declared = obj.userData.floor ?? obj.userData.level;
+  }
+  const floor =
+    declared != null
+      ? Number(declared)
+      : Math.max(
+          0,
+          Math.floor(
+            (localBounds(mesh, root.parent || root).min.y + 0.01) /
+              ASSUMED_FLOOR_HEIGHT
+          )
+        );
+  return heat.floors[floor] ?? heat.fallback;
+}
+
+function isWithin(obj, ancestor) {
+  for (let o = obj; o; o = o.parent) if (o === ancestor) return true;
+  return false;
+}
+
+// Loaders are shared between loads, so always set the manager: local models
+// bring their own to resolve sibling files
+function withManager(loadingManager) {
+  return (loader) => {
+    loader.manager = loadingManager || THREE.DefaultLoadingManager;
+  };
+}
+
+function GltfModel({ url, loadingManager, ...props }) {
+  const { scene } = useGLTF(url, true, true, withManager(loadingManager));
+  return <ModelBuilding source={scene} {...props} />;
+}
+
+// OBJ/MTL, FBX, STL and IFC
+function LoaderModel({ url, format, loadingManager, ...props }) {
+  if (!LOADERS[format]) {
+    throw new Error(`Unsupported model format "${format}" for ${url}`);
+  }
+  const result = useLoader(LOADERS[format], url, withManager(loadingManager));
+  const source = useMemo(() => modelRoot(result, format), [result, format]);
+  return <ModelBuilding source={source} format={format} {...props} />;
+}
+
+// A loaded model of any format, with shadows, ground offset and highlighting
+function ModelBuilding({
+  source,
+  format,
+  units,
+  upAxis,
+  highlight,
+  heat,
+  onReady,
+  picking,
+}) {
+  // Loaders cache by URL, so several buildings sharing a model need their own
+  // copy of the scene graph and materials to be placed and highlighted apart.
+  const { scene, materials } = useMemo(() => {
+    const copy = source.clone(true);
+    const copied = [];
+    copy.traverse((obj) => {
+      if (!obj.isMesh) return;
+      obj.castShadow = true;
+      obj.receiveShadow = true;
+      obj.material = Array.isArray(obj.material)
+        ? obj.material.map((m) => m.clone())
+        : obj.material?.clone();
+      copied.push(...[obj.material].flat().filter(Boolean));
+    });
+    // Real-world size, centred on its footprint and standing on the ground
+    normalizeModel(copy, { format, units, upAxis });
+    return { scene: copy, materials: copied };
+  }, [source, format, units, upAxis]);
+
+  // The copied materials go with the copy; geometry and textures stay
+  // shared with the loader's cache
+  useEffect(
+    () => () => materials.forEach((material) => material.dispose()),
+    [materials]
+  );
+
+  useEffect(() => {
+    onReady && onReady(scene);
+  }, [onReady, scene]);
+
+  const resolveElement = (e) => {
+    const node = pickableNode(e.object, scene);
+    return { key: node.uuid, name: node.name || "Unnamed mesh" };
+  };
+
+  const describeElement = (key) => {
+    const node = scene.getObjectByProperty("uuid", key);
+    if (!node) return null;
+    const box = localBounds(node, scene.parent || scene);
+    const userData = { ...node.userData };
+    const declared = userData.floor ?? userData.level;
+    return {
+      key,
+      type: node.isMesh ? "mesh" : "node",
+      name: node.name || "Unnamed mesh",
+      floor:
+        declared != null
+          ? Number(declared)
+          : Math.max(0, Math.floor((box.min.y + 0.01) / ASSUMED_FLOOR_HEIGHT)),
+      floorEstimated: declared == null,
+      size: box.isEmpty() ? null : box.getSize(new THREE.Vector3()).toArray(),
+      userData,
+    };
+  };
+
+  const { handlers, hoveredKey } = usePicking({
+    ...picking,
+    resolveElement,
+    describeElement,
+  });
+
+  // Thematic colouring swaps in flat materials coloured by value and puts
+  // the authored ones back afterwards
+  useEffect(() => {
+    if (!heat) return;
+    const swapped = [];
+    scene.traverse((obj) => {
+      if (!obj.isMesh) return;
+      const material = new THREE.MeshStandardMaterial({
+        color: meshHeatColor(obj, scene, heat),
+        roughness: 0.9,
+      });
+      swapped.push([obj, obj.material, material]);
+      obj.material = material;
+    });
+    return () =>
+      swapped.forEach(([obj, original, material]) => {
+        obj.material = original;
+        material.dispose();
+      });
+  }, [heat, scene]);
+
+  useEffect(() => {
+    const hoveredNode = hoveredKey
+      ? scene.getObjectByProperty("uuid", hoveredKey)
+      : null;
+    scene.traverse((obj) => {
+      if (obj.isMesh) {
+        const mat = obj.material;
+        if (!mat || Array.isArray(mat)) return;
+        const element = hoveredNode && isWithin(obj, hoveredNode);
+        if (highlight || element) {
+          if (!mat.userData._baseEmissive) {
+            mat.userData._baseEmissive = mat.emissive
+              ? mat.emissive.clone()
+              : new THREE.Color(0x000000);
+          }
+          if (!mat.emissive) mat.emissive = new THREE.Color(0x000000);
+          if (element) mat.emissive.copy(ELEMENT_EMISSIVE);
+          else mat.emissive.setRGB(0.1, 0.5, 1);
+        } else if (mat.userData._baseEmissive) {
+          mat.emissive.copy(mat.userData._baseEmissive);
+        }
+      }
+    });
+  }, [highlight, hoveredKey, scene, heat]);
+
+  return <primitive object={scene} {...handlers} />;
+}
+
+const _matrix = new THREE.Matrix4();
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _scale = new THREE.Vector3();
+const _up = new THREE.Vector3(0, 1, 0);
+
+// One instanced draw call for every part sharing a shape and material
+function PartBatch({ batch, material, hoveredElement }) {
+  const ref = useRef();
+
+  useLayoutEffect(() => {
+    const mesh = ref.current;
+    // Lets picking map an instance id back to its part
+    mesh.userData.batch = batch;
+    batch.instances.forEach((part, i) => {
+      _position.fromArray(part.position);
+      _quaternion.setFromAxisAngle(_up, part.rotationY || 0);
+      _scale.fromArray(part.size);
+      mesh.setMatrixAt(i, _matrix.compose(_position, _quaternion, _scale));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingBox();
+    mesh.computeBoundingSphere();
+  }, [batch]);
+
+  // Tint the instances of the hovered element
+  useLayoutEffect(() => {
+    const mesh = ref.current;
+    batch.instances.forEach((part, i) => {
+      mesh.setColorAt(
+        i,
+        part.element === hoveredElement ? ELEMENT_TINT : NO_TINT
+      );
+    });
+    mesh.instanceColor.needsUpdate = true;
+  }, [batch, hoveredElement]);
+
+  return (
+    <instancedMesh
+      ref={ref}
+      args={[getUnitGeometry(batch.shape), undefined, batch.instances.length]}
+      material={material}
+      castShadow={batch.castShadow}
+      receiveShadow={batch.castShadow}
+    />
+  );
+}
+
+function ProceduralBuilding({
+  highlight,
+  onReady,
+  picking,
+  maxFloor,
+  heat,
+  ...params
+}) {
+  const meshRef = useRef();
+
+  // Regenerate only when the parameters actually change
+  const paramsKey = JSON.stringify(params);
+  const generated = useMemo(
+    () => generateBuildingParts(JSON.parse(paramsKey)),
+    [paramsKey]
+  );
+  // Cutaway: leave out everything above `maxFloor`, roof included. Thematic
+  // colouring gives each floor body a material of its own.
+  const { parts, elements, batches, materials } = useMemo(() => {
+    let parts =
+      maxFloor == null
+        ? generated.parts
+        : generated.parts.filter((part) => part.floor <= maxFloor);
+    if (heat) {
+      parts = parts.map((part) =>
+        part.part === "floor"
+          ? { ...part, material: `heat:${part.floor}` }
+          : part
+      );
+    }
+    const { palette, floors } = generated.params;
+    return {
+      parts,
+      elements: generated.elements,
+      batches: batchParts(parts),
+      materials: heat
+        ? thematicMaterials(palette, floors, heat)
+        : paletteMaterials(palette),
+    };
+  }, [generated, maxFloor, heat]);
+
+  // Heat colours follow the ramp and its bounds, so the floor bodies get
+  // materials of their own, freed when the colours change, rather than
+  // filling the shared cache with every colour ever shown
+  const heatMaterials = useMemo(() => {
+    if (!heat) return null;
+    const own = {};
+    for (const [key, props] of Object.entries(materials)) {
+      if (key.startsWith("heat:")) {
+        own[key] = [createMaterial(props), createMaterial(props, true)];
+      }
+    }
+    return own;
+  }, [heat, materials]);
+  useEffect(
+    () => () =>
+      Object.values(heatMaterials || {})
+        .flat()
+        .forEach((m) => m.dispose()),
+    [heatMaterials]
+  );
+
+  // Runs after the batches have written their instance matrices
+  useEffect(() => {
+    onReady && onReady(meshRef.current);
+  }, [onReady, batches]);
+
+  const resolveElement = (e) => {
+    const part = e.object.userData.batch?.instances[e.instanceId];
+    const element = part && elements[part.element];
+    return element ? { key: element.id, name: element.name } : null;
+  };
+
+  const describeElement = (key) => {
+    const element = elements[key];
+    if (!element) return null;
+    return {
+      key,
+      type: element.type,
+      name: element.name,
+      floor: element.floor,
+      floorEstimated: false,
+      facade: element.facade,
+      size: boxSize(elementBounds(parts, key)),
+      userData: {},
+    };
+  };
+
+  const { handlers, hoveredKey } = usePicking({
+    ...picking,
+    resolveElement,
+    describeElement,
+  });
+
+  // Generated in metres, centred on the footprint with the ground floor at
+  // y = 0, so it needs no normalisation
+  return (
+    <group ref={meshRef} {...handlers}>
+      {batches.map((batch) => {
+        const lit = highlight && /^(floor|heat):/.test(batch.material);
+        return (
+          <PartBatch
+            key={`${batch.key}|${batch.instances.length}`}
+            batch={batch}
+            hoveredElement={hoveredKey}
+            material={
+              heatMaterials?.[batch.material]?.[lit ? 1 : 0] ??
+              getSharedMaterial(materials[batch.material], lit)
+            }
+          />
+        );
+      })}
+    </group>
+  );
+}
+
+// Building model loader: a model file when a URL is given, otherwise the
+// procedural block. The format comes from the URL unless given explicitly.
+// `maxFloor` hides the procedural block's upper floors; models are cut by
+// height with clipping planes instead (see scene/SectionLayer.jsx). `heat`
+// switches to thematic colours by floor or mesh (see heatmap/heatmapData.js).
+export default function Building({
+  modelUrl,
+  modelFormat: format,
+  modelUnits,
+  modelUpAxis,
+  loadingManager,
+  procedural,
+  maxFloor,
+  highlight,
+  heat,
+  pickElements = false,
+  onPointerOver,
+  onPointerOut,
+  onClick,
+  onElementHover,
+  onElementClick,
+  onReady,
+}) {
+  const picking = {
+    pickElements,
+    onPointerOver,
+    onPointerOut,
+    onClick,
+    onElementHover,
+    onElementClick,
+  };
+
+  if (modelUrl) {
+    const resolved = format || modelFormat(modelUrl);
+    const Model = resolved === "gltf" ? GltfModel : LoaderModel;
+    return (
+      <Model
+        url={modelUrl}
+        format={resolved}
+        units={modelUnits}
+        upAxis={modelUpAxis}
+        loadingManager={loadingManager}
+        highlight={highlight}
+        heat={heat}
+        picking={picking}
+        onReady={onReady}
+      />
+    );
+  }
+
+  return (
+    <ProceduralBuilding
+      {...procedural}
+      maxFloor={maxFloor}
+      highlight={highlight}
+      heat={heat}
+      picking={picking}
+      onReady={onReady}
+    />
+  );
+}
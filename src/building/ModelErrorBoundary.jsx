@@ -0,0 +1,18 @@
+import React from "react";
+
+// Keeps a model that fails to load or parse from taking the scene down with it
+export default class ModelErrorBoundary extends React.Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError && this.props.onError(error);
+  }
+
+  render() {
+    return this.state.error ? null : this.props.children;
+  }
+}
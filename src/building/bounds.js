@@ -0,0 +1,30 @@
+import * as THREE from "three";
+
+const _inverse = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+const _box = new THREE.Box3();
+
+// Axis-aligned bounds of every mesh under `root`, measured in the local
+// space of `frame` (defaults to root itself) rather than in world space.
+export function localBounds(root, frame = root, target = new THREE.Box3()) {
+  target.makeEmpty();
+  frame.updateWorldMatrix(true, false);
+  root.updateWorldMatrix(true, true);
+  _inverse.copy(frame.matrixWorld).invert();
+
+  root.traverse((obj) => {
+    if (!obj.isMesh) return;
+    let box;
+    if (obj.isInstancedMesh) {
+      if (!obj.boundingBox) obj.computeBoundingBox();
+      box = obj.boundingBox;
+    } else {
+      if (!obj.geometry.boundingBox) obj.geometry.computeBoundingBox();
+      box = obj.geometry.boundingBox;
+    }
+    if (!box || box.isEmpty()) return;
+    _matrix.multiplyMatrices(_inverse, obj.matrixWorld);
+    target.union(_box.copy(box).applyMatrix4(_matrix));
+  });
+  return target;
+}
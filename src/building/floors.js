@@ -0,0 +1,31 @@
+import { normalizeBuildingParams } from "./proceduralBuilding";
+
+// Rough storey height for models without floor metadata
+export const ASSUMED_FLOOR_HEIGHT = 3;
+
+// Floors assumed for a model whose manifest entry lists none
+const ASSUMED_MODEL_FLOORS = 10;
+
+// Number of floors of a manifest building: from the generator parameters for
+// the procedural block, else from the floors listed in its metadata
+export function floorCount(building) {
+  if (!building.modelUrl) {
+    return normalizeBuildingParams(building.procedural).floors;
+  }
+  const listed = Object.keys(building.metadata?.floors || {})
+    .map(Number)
+    .filter((n) => Number.isInteger(n) && n >= 0);
+  return listed.length ? Math.max(...listed) + 1 : ASSUMED_MODEL_FLOORS;
+}
+
+// Storey height of a manifest building
+export function floorHeight(building) {
+  return building.modelUrl
+    ? ASSUMED_FLOOR_HEIGHT
+    : normalizeBuildingParams(building.procedural).floorHeight;
+}
+
+// Height of the top of a floor above the ground, for models cut by height
+export function modelFloorTop(floor) {
+  return (floor + 1) * ASSUMED_FLOOR_HEIGHT;
+}
@@ -0,0 +1,172 @@
+import * as THREE from "three";
+
+// IFC (BIM) models through web-ifc. The wasm runtime is large, so it is only
+// fetched the first time an IFC model is opened.
+let apiPromise = null;
+
+function ifcApi() {
+  if (!apiPromise) {
+    apiPromise = (async () => {
+      const [webIfc, { default: wasmUrl }] = await Promise.all([
+        import("web-ifc"),
+        import("web-ifc/web-ifc.wasm?url"),
+      ]);
+      const api = new webIfc.IfcAPI();
+      // Single-threaded: the threaded build needs cross-origin isolation
+      await api.Init((path) => (path.endsWith(".wasm") ? wasmUrl : path), true);
+      return { api, webIfc };
+    })();
+    apiPromise.catch(() => {
+      apiPromise = null;
+    });
+  }
+  return apiPromise;
+}
+
+function vectorToArray(vector) {
+  const out = [];
+  for (let i = 0; i < vector.size(); i++) out.push(vector.get(i));
+  return out;
+}
+
+// Storey of each contained element, with storeys numbered by elevation
+function storeysByElement(api, webIfc, modelID) {
+  const storeys = vectorToArray(
+    api.GetLineIDsWithType(modelID, webIfc.IFCBUILDINGSTOREY)
+  ).map((id, i) => {
+    const line = api.GetLine(modelID, id);
+    return {
+      id,
+      name: line.Name?.value || `Storey ${i + 1}`,
+      elevation: Number(line.Elevation?.value) || 0,
+    };
+  });
+  storeys.sort((a, b) => a.elevation - b.elevation);
+  const byId = new Map(storeys.map((s, level) => [s.id, { ...s, level }]));
+
+  const result = new Map();
+  const rels = api.GetLineIDsWithType(
+    modelID,
+    webIfc.IFCRELCONTAINEDINSPATIALSTRUCTURE
+  );
+  for (const relId of vectorToArray(rels)) {
+    const rel = api.GetLine(modelID, relId);
+    const storey = byId.get(rel.RelatingStructure?.value);
+    if (!storey) continue;
+    for (const element of rel.RelatedElements || []) {
+      result.set(element.value, storey);
+    }
+  }
+  return result;
+}
+
+// Vertices come interleaved as position + normal, already in metres
+function placedGeometry(api, modelID, placed) {
+  const geometry = api.GetGeometry(modelID, placed.geometryExpressID);
+  const vertices = new Float32Array(
+    api.GetVertexArray(geometry.GetVertexData(), geometry.GetVertexDataSize())
+  );
+  const indices = new Uint32Array(
+    api.GetIndexArray(geometry.GetIndexData(), geometry.GetIndexDataSize())
+  );
+  geometry.delete();
+
+  const buffer = new THREE.InterleavedBuffer(vertices, 6);
+  const result = new THREE.BufferGeometry();
+  result.setAttribute(
+    "position",
+    new THREE.InterleavedBufferAttribute(buffer, 3, 0)
+  );
+  result.setAttribute(
+    "normal",
+    new THREE.InterleavedBufferAttribute(buffer, 3, 3)
+  );
+  result.setIndex(new THREE.BufferAttribute(indices, 1));
+  result.applyMatrix4(new THREE.Matrix4().fromArray(placed.flatTransformation));
+  return result;
+}
+
+export class IfcLoader extends THREE.Loader {
+  load(url, onLoad, onProgress, onError) {
+    const fail = (e) => {
+      onError ? onError(e) : console.error(e);
+      this.manager.itemError(url);
+      this.manager.itemEnd(url);
+    };
+    const loader = new THREE.FileLoader(this.manager);
+    loader.setPath(this.path);
+    loader.setResponseType("arraybuffer");
+    loader.setRequestHeader(this.requestHeader);
+    loader.setWithCredentials(this.withCredentials);
+    // Keep the manager busy until parsing is done, not just the download
+    this.manager.itemStart(url);
+    loader.load(
+      url,
+      (data) =>
+        this.parse(data).then((group) => {
+          onLoad(group);
+          this.manager.itemEnd(url);
+        }, fail),
+      onProgress,
+      fail
+    );
+  }
+
+  // One group per IFC product, named after it, with its type, GlobalId and
+  // storey in userData
+  async parse(data) {
+    const { api, webIfc } = await ifcApi();
+    const modelID = api.OpenModel(new Uint8Array(data));
+    if (modelID === -1) throw new Error("Not a readable IFC file");
+
+    try {
+      const storeys = storeysByElement(api, webIfc, modelID);
+      const materials = new Map();
+      const material = ({ x, y, z, w }) => {
+        const key = [x, y, z, w].join();
+        if (!materials.has(key)) {
+          materials.set(
+            key,
+            new THREE.MeshStandardMaterial({
+              color: new THREE.Color(x, y, z),
+              transparent: w < 1,
+              opacity: w,
+              depthWrite: w >= 1,
+              side: THREE.DoubleSide,
+            })
+          );
+        }
+        return materials.get(key);
+      };
+
+      const root = new THREE.Group();
+      api.StreamAllMeshes(modelID, (mesh) => {
+        const product = new THREE.Group();
+        for (const placed of vectorToArray(mesh.geometries)) {
+          product.add(
+            new THREE.Mesh(
+              placedGeometry(api, modelID, placed),
+              material(placed.color)
+            )
+          );
+        }
+
+        const id = mesh.expressID;
+        const line = api.GetLine(modelID, id);
+        const ifcType = api.GetNameFromTypeCode(line.type);
+        const storey = storeys.get(id);
+        product.name = line.Name?.value || `${ifcType} #${id}`;
+        product.userData = {
+          expressID: id,
+          ifcType,
+          globalId: line.GlobalId?.value,
+          ...(storey && { storey: storey.name, level: storey.level }),
+        };
+        root.add(product);
+      });
+      return root;
+    } finally {
+      api.CloseModel(modelID);
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import * as THREE from "three";
+import { modelFormat } from "./modelFormats";
+
+// Models opened from disk. Each file gets an object URL; the model itself is
+// loaded from its URL like any hosted model, and a loading manager redirects
+// the relative references inside it (.bin buffers, .mtl files, textures) to
+// the matching local files.
+
+function dirname(path) {
+  const slash = path.lastIndexOf("/");
+  return slash === -1 ? "" : path.slice(0, slash + 1);
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf("/") + 1);
+}
+
+// Resolve "./" and "../" so references match the dropped paths
+function normalizePath(path) {
+  const out = [];
+  for (const part of path.split("/")) {
+    if (part === "" || part === ".") continue;
+    if (part === "..") out.pop();
+    else out.push(part);
+  }
+  return out.join("/");
+}
+
+function readEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+async function readDirectory(entry) {
+  const reader = entry.createReader();
+  const entries = [];
+  // readEntries returns the listing in batches until it comes back empty
+  for (;;) {
+    const batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    if (!batch.length) return entries;
+    entries.push(...batch);
+  }
+}
+
+async function walkEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    out.push({ path: prefix + entry.name, file: await readEntryFile(entry) });
+  } else if (entry.isDirectory) {
+    const children = await readDirectory(entry);
+    for (const child of children) {
+      await walkEntry(child, `${prefix}${entry.name}/`, out);
+    }
+  }
+}
+
+// Flatten a drop into { path, file } pairs, walking into dropped folders.
+// Must be called synchronously from the drop handler: the browser empties
+// the DataTransfer once the event returns.
+export function filesFromDataTransfer(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+  if (!entries.length) {
+    return Promise.resolve(
+      [...dataTransfer.files].map((file) => ({ path: file.name, file }))
+    );
+  }
+  return (async () => {
+    const out = [];
+    for (const entry of entries) await walkEntry(entry, "", out);
+    return out;
+  })();
+}
+
+// Files from an <input type="file">, keeping folder paths when a whole
+// directory was picked
+export function filesFromInput(fileList) {
+  return [...fileList].map((file) => ({
+    path: file.webkitRelativePath || file.name,
+    file,
+  }));
+}
+
+// The model to load: the shallowest model file among the files
+function findModel(files) {
+  const models = files.filter((f) => modelFormat(f.path, f.file.type));
+  models.sort(
+    (a, b) =>
+      a.path.split("/").length - b.path.split("/").length ||
+      a.path.localeCompare(b.path)
+  );
+  return models[0];
+}
+
+// Create object URLs for the files and a loading manager that resolves the
+// model's relative references against them. Throws if there is no model.
+// Call dispose() once the model is no longer shown.
+export function createLocalModel(files) {
+  const model = findModel(files);
+  if (!model) {
+    throw new Error(
+      "No glTF, OBJ, FBX, STL or IFC model found in the dropped files"
+    );
+  }
+
+  const root = dirname(model.path);
+  const byPath = new Map();
+  const byName = new Map();
+  const urls = [];
+  let url = "";
+  for (const { path, file } of files) {
+    const objectUrl = URL.createObjectURL(file);
+    urls.push(objectUrl);
+    if (path === model.path) url = objectUrl;
+    const relative = path.startsWith(root) ? path.slice(root.length) : path;
+    byPath.set(normalizePath(relative), objectUrl);
+    if (!byName.has(basename(path))) byName.set(basename(path), objectUrl);
+  }
+
+  // The loader resolves references against the model URL's "directory",
+  // which for an object URL is the page origin
+  const base = url.slice(0, url.lastIndexOf("/") + 1);
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((requested) => {
+    if (requested === url || !requested.startsWith(base)) return requested;
+    const relative = normalizePath(
+      decodeURIComponent(requested.slice(base.length))
+    );
+    return byPath.get(relative) || byName.get(basename(relative)) || requested;
+  });
+
+  return {
+    name: basename(model.path),
+    format: modelFormat(model.path, model.file.type),
+    url,
+    manager,
+    fileCount: files.length,
+    dispose: () => urls.forEach((u) => URL.revokeObjectURL(u)),
+  };
+}
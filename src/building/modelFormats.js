@@ -0,0 +1,36 @@
+// Model formats the viewer can place on the site, told apart by file
+// extension or MIME type. See modelLoaders.js for how each one is loaded.
+
+const EXTENSIONS = {
+  ".glb": "gltf",
+  ".gltf": "gltf",
+  ".obj": "obj",
+  ".fbx": "fbx",
+  ".stl": "stl",
+  ".ifc": "ifc",
+};
+
+const MIME_TYPES = {
+  "model/gltf-binary": "gltf",
+  "model/gltf+json": "gltf",
+  "model/obj": "obj",
+  "model/stl": "stl",
+  "model/x.stl-binary": "stl",
+  "model/x.stl-ascii": "stl",
+  "application/sla": "stl",
+  "application/vnd.ms-pki.stl": "stl",
+  "application/x-fbx": "fbx",
+  "model/ifc": "ifc",
+  "application/ifc": "ifc",
+};
+
+export const MODEL_EXTENSIONS = Object.keys(EXTENSIONS);
+
+// Format of a model from its file name or URL, falling back to a MIME type.
+// Returns "" when neither is recognised.
+export function modelFormat(name = "", mimeType = "") {
+  const path = name.split(/[?#]/)[0].toLowerCase();
+  const dot = path.lastIndexOf(".");
+  const fromName = dot === -1 ? "" : EXTENSIONS[path.slice(dot)];
+  return fromName || MIME_TYPES[mimeType.split(";")[0].trim()] || "";
+}
@@ -0,0 +1,81 @@
+import * as THREE from "three";
+import { useLoader } from "@react-three/fiber";
+import { useGLTF } from "@react-three/drei";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { IfcLoader } from "./ifcLoader";
+
+// Loaders for the non-glTF formats (glTF goes through drei's useGLTF)
+
+// OBJ with the materials of its `mtllib`, resolved next to the OBJ file
+class ObjMtlLoader extends THREE.Loader {
+  load(url, onLoad, onProgress, onError) {
+    const base = THREE.LoaderUtils.extractUrlBase(url);
+    const text = new THREE.FileLoader(this.manager);
+    text.setPath(this.path);
+    text.setRequestHeader(this.requestHeader);
+    text.setWithCredentials(this.withCredentials);
+    text.load(
+      url,
+      (source) => {
+        const objLoader = new OBJLoader(this.manager);
+        const parse = (materials) => {
+          try {
+            if (materials) objLoader.setMaterials(materials);
+            onLoad(objLoader.parse(source));
+          } catch (e) {
+            onError ? onError(e) : console.error(e);
+          }
+        };
+        const mtllib = source.match(/^mtllib\s+(.+?)\s*$/m);
+        if (!mtllib) return parse(null);
+        new MTLLoader(this.manager).setPath(base).load(
+          mtllib[1],
+          (materials) => {
+            materials.preload();
+            parse(materials);
+          },
+          undefined,
+          // A missing .mtl leaves the default grey material
+          () => parse(null)
+        );
+      },
+      onProgress,
+      onError
+    );
+  }
+}
+
+export const LOADERS = {
+  obj: ObjMtlLoader,
+  fbx: FBXLoader,
+  stl: STLLoader,
+  ifc: IfcLoader,
+};
+
+const STL_MATERIAL = { color: "#b8bcc2", roughness: 0.7, metalness: 0.1 };
+
+// Scene graph root for a loaded result; STL only yields a geometry
+export function modelRoot(result, format) {
+  if (format === "stl") {
+    if (!result.hasAttribute("normal")) result.computeVertexNormals();
+    const mesh = new THREE.Mesh(
+      result,
+      new THREE.MeshStandardMaterial({
+        ...STL_MATERIAL,
+        vertexColors: !!result.hasColors,
+      })
+    );
+    mesh.name = "STL mesh";
+    return mesh;
+  }
+  return format === "gltf" ? result.scene : result;
+}
+
+// Drop a model from the loader cache, e.g. once its object URL is revoked
+export function clearModel(url, format) {
+  if (format === "gltf") useGLTF.clear(url);
+  else if (LOADERS[format]) useLoader.clear(LOADERS[format], url);
+}
@@ -0,0 +1,64 @@
+import * as THREE from "three";
+
+// Metres per model unit
+export const UNIT_SCALE = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254, ft: 0.3048 };
+export const UP_AXES = ["y", "z"];
+
+// glTF and IFC are defined in metres, Y up. OBJ, FBX and STL carry no usable
+// unit, and STL files from CAD tools are usually Z up.
+const FORMAT_UNITS = { gltf: "m", ifc: "m" };
+const FORMAT_UP_AXIS = { stl: "z" };
+
+// Guess the unit of a unitless model from its largest extent, assuming it is
+// a building somewhere between a kiosk and a campus.
+export function guessUnits(extent) {
+  if (extent >= 1500) return "mm";
+  if (extent >= 400) return "cm";
+  return "m";
+}
+
+const _box = new THREE.Box3();
+const _size = new THREE.Vector3();
+const _center = new THREE.Vector3();
+
+// Turn a freshly loaded model upright, convert it to metres, centre it on its
+// footprint and stand it on y = 0. `units` and `upAxis` override the format's
+// defaults; "auto" (or nothing) keeps them. Mutates the object's transform and
+// returns what was applied along with the resulting size in metres.
+export function normalizeModel(object, { format, units, upAxis } = {}) {
+  const axis = UP_AXES.includes(upAxis)
+    ? upAxis
+    : FORMAT_UP_AXIS[format] || "y";
+  if (axis === "z") {
+    object.applyMatrix4(new THREE.Matrix4().makeRotationX(-Math.PI / 2));
+  }
+
+  object.updateMatrixWorld(true);
+  _box.setFromObject(object);
+  if (_box.isEmpty()) {
+    return { units: "m", upAxis: axis, scale: 1, size: [0, 0, 0] };
+  }
+  _box.getSize(_size);
+
+  const unit =
+    units in UNIT_SCALE
+      ? units
+      : FORMAT_UNITS[format] || guessUnits(Math.max(_size.x, _size.y, _size.z));
+  const scale = UNIT_SCALE[unit];
+  object.applyMatrix4(new THREE.Matrix4().makeScale(scale, scale, scale));
+
+  object.updateMatrixWorld(true);
+  _box.setFromObject(object);
+  _box.getCenter(_center);
+  object.position.x -= _center.x;
+  object.position.z -= _center.z;
+  object.position.y -= _box.min.y;
+  object.updateMatrixWorld(true);
+
+  return {
+    units: unit,
+    upAxis: axis,
+    scale,
+    size: _box.getSize(_size).toArray(),
+  };
+}
@@ -0,0 +1,567 @@
+import * as THREE from "three";
+
+// Parametric generator for the procedural building. Produces a flat list of
+// box/gable parts in building-local metres so the renderer can decide how to
+// batch them, each tagged with the pickable element (floor, window, balcony,
+// door or roof) it belongs to. Every option is optional; the defaults give the original block.
+//
+// {
+//   floors: 10, floorHeight: 3, width: 10, depth: 6,
+//   windows: { front: 2, back: 2, left: 1, right: 1, panes: [2, 2],
+//              width: 0.82, height: 1.22, skipGroundFloor: true },
+//   balconies: { facades: ["front"], perFloor: 1, width: 3, depth: 0.7,
+//                floors: "all" | [1, 3, 5], door: true },
+//   roof: { type: "flat" | "pitched" | "parapet", height, overhang },
+//   palette: { floors: ["#c4d37f", "#7d7d7d"], trim, frame, mullion, glass,
+//              railing, roof },
+//   entrance: { facade: "front", width: 2, height: 3 } | false
+// }
+
+export const FACADES = ["front", "back", "left", "right"];
+export const ROOF_TYPES = ["flat", "pitched", "parapet"];
+
+export const DEFAULT_PALETTE = {
+  floors: ["#c4d37f", "#7d7d7d"],
+  trim: "#ffffff",
+  frame: "#ffffff",
+  mullion: "#555555",
+  glass: "#88ccee",
+  railing: "#222222",
+  roof: "#7a7a7a",
+};
+
+const DEFAULTS = {
+  floors: 10,
+  floorHeight: 3,
+  width: 10,
+  depth: 6,
+};
+
+function positive(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function count(v, fallback) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function normalizeWindows(raw = {}) {
+  const all = raw.columns;
+  const columns = {};
+  for (const facade of FACADES) {
+    const fallback = facade === "left" || facade === "right" ? 1 : 2;
+    columns[facade] = count(raw[facade] ?? all, fallback);
+  }
+  const panes = Array.isArray(raw.panes) ? raw.panes : [2, 2];
+  return {
+    columns,
+    panes: [Math.max(1, count(panes[0], 2)), Math.max(1, count(panes[1], 2))],
+    width: positive(raw.width, 0.82),
+    height: positive(raw.height, 1.22),
+    skipGroundFloor: raw.skipGroundFloor ?? true,
+  };
+}
+
+function normalizeBalconies(raw) {
+  if (raw === false) return null;
+  raw = raw || {};
+  const facades = Array.isArray(raw.facades)
+    ? raw.facades.filter((f) => FACADES.includes(f))
+    : ["front"];
+  return {
+    facades,
+    perFloor: count(raw.perFloor, 1),
+    width: positive(raw.width, 3),
+    depth: positive(raw.depth, 0.7),
+    floors: Array.isArray(raw.floors) ? raw.floors.map(Number) : "all",
+    door: raw.door ?? true,
+  };
+}
+
+function normalizeRoof(raw = {}, width, depth) {
+  const type = ROOF_TYPES.includes(raw.type) ? raw.type : "flat";
+  const defaultHeight = type === "pitched" ? Math.min(width, depth) * 0.35 : 1;
+  return {
+    type,
+    height: positive(raw.height, defaultHeight),
+    overhang: raw.overhang != null ? Math.max(0, Number(raw.overhang)) : 0.25,
+  };
+}
+
+function normalizeEntrance(raw, floorHeight) {
+  if (raw === false) return null;
+  raw = raw || {};
+  return {
+    facade: FACADES.includes(raw.facade) ? raw.facade : "front",
+    width: positive(raw.width, 2),
+    height: Math.min(positive(raw.height, 3), floorHeight),
+  };
+}
+
+// Fill in defaults and clamp nonsense so the generator never sees bad input
+export function normalizeBuildingParams(raw = {}) {
+  const floors = Math.max(1, count(raw.floors, DEFAULTS.floors));
+  const floorHeight = positive(raw.floorHeight, DEFAULTS.floorHeight);
+  const width = positive(raw.width, DEFAULTS.width);
+  const depth = positive(raw.depth, DEFAULTS.depth);
+  const palette = { ...DEFAULT_PALETTE, ...(raw.palette || {}) };
+  if (!Array.isArray(palette.floors) || palette.floors.length === 0) {
+    palette.floors = DEFAULT_PALETTE.floors;
+  }
+  return {
+    floors,
+    floorHeight,
+    width,
+    depth,
+    windows: normalizeWindows(raw.windows),
+    balconies: normalizeBalconies(raw.balconies),
+    roof: normalizeRoof(raw.roof, width, depth),
+    palette,
+    entrance: normalizeEntrance(raw.entrance, floorHeight),
+  };
+}
+
+// Material settings per palette key. Floor bands are keyed "floor:<n>".
+export function paletteMaterials(palette) {
+  const materials = {
+    trim: { color: palette.trim, roughness: 0.5 },
+    frame: { color: palette.frame, roughness: 0.6 },
+    mullion: { color: palette.mullion, roughness: 0.4 },
+    glass: {
+      color: palette.glass,
+      transparent: true,
+      opacity: 0.35,
+      roughness: 0.1,
+      metalness: 0.1,
+    },
+    railing: { color: palette.railing, roughness: 0.3 },
+    roof: { color: palette.roof, roughness: 0.6 },
+  };
+  palette.floors.forEach((color, i) => {
+    materials[`floor:${i}`] = { color, roughness: 0.6, metalness: 0.2 };
+  });
+  return materials;
+}
+
+const THEMATIC_NEUTRAL = { color: "#e4e4e4", roughness: 0.9 };
+
+// Flat materials for thematic colouring: each floor body takes the colour of
+// its value (`heat`, see heatmap/heatmapData.js) and everything else turns a
+// neutral grey, glass staying see-through. Floor bodies use "heat:<floor>".
+export function thematicMaterials(palette, floors, heat) {
+  const materials = {};
+  for (const [key, props] of Object.entries(paletteMaterials(palette))) {
+    materials[key] = key === "glass" ? props : THEMATIC_NEUTRAL;
+  }
+  for (let i = 0; i < floors; i++) {
+    materials[`heat:${i}`] = {
+      color: heat.floors[i] ?? heat.fallback,
+      roughness: 0.9,
+    };
+  }
+  return materials;
+}
+
+// Facade frame: `length` runs along the facade, `half` is its distance from
+// the centre and `axis`/`sign` say which way the facade faces
+function facadeFrame(facade, width, depth) {
+  switch (facade) {
+    case "back":
+      return { length: width, half: depth / 2, axis: "x", sign: -1 };
+    case "left":
+      return { length: depth, half: width / 2, axis: "z", sign: -1 };
+    case "right":
+      return { length: depth, half: width / 2, axis: "z", sign: 1 };
+    default:
+      return { length: width, half: depth / 2, axis: "x", sign: 1 };
+  }
+}
+
+// Map facade-local (u along, v up, n outward) coords and sizes to the building
+function facadePlacer(frame) {
+  const { axis, sign, half } = frame;
+  return (u, v, n, su, sv, sn) => {
+    const out = half + n;
+    if (axis === "x") {
+      return {
+        position: [sign * u, v, sign * out],
+        size: [su, sv, sn],
+      };
+    }
+    return {
+      position: [sign * out, v, -sign * u],
+      size: [sn, sv, su],
+    };
+  };
+}
+
+// Evenly spaced slot centres along a facade
+function slots(length, n) {
+  return Array.from(
+    { length: n },
+    (_, k) => -length / 2 + (length * (k + 0.5)) / n
+  );
+}
+
+function balconyFloors(balconies, floors) {
+  if (!balconies) return new Set();
+  const list =
+    balconies.floors === "all"
+      ? Array.from({ length: floors - 1 }, (_, i) => i + 1)
+      : balconies.floors;
+  return new Set(list.filter((i) => i >= 0 && i < floors));
+}
+
+export function generateBuildingParts(rawParams) {
+  const p = normalizeBuildingParams(rawParams);
+  const { floors, floorHeight: fh, width, depth, windows, balconies } = p;
+  const parts = [];
+  const elements = {};
+  let current = null;
+  // Pickable element the following parts belong to, until the next call
+  const element = (id, info) => {
+    if (!elements[id]) elements[id] = { id, ...info };
+    current = id;
+  };
+  const floorElement = (i) =>
+    element(`floor-${i}`, {
+      type: "floor",
+      name: i === 0 ? "Ground floor" : `Floor ${i}`,
+      floor: i,
+    });
+  const push = (part, material, floor, placed, shape = "box") =>
+    parts.push({ part, material, floor, shape, element: current, ...placed });
+
+  const balconyFloorSet = balconyFloors(balconies, floors);
+  const totalHeight = floors * fh;
+
+  for (let i = 0; i < floors; i++) {
+    const base = i * fh;
+    floorElement(i);
+
+    // Floor body
+    push("floor", `floor:${i % p.palette.floors.length}`, i, {
+      position: [0, base + fh / 2, 0],
+      size: [width, fh, depth],
+    });
+
+    // Corner pilasters
+    for (const [sx, sz] of [
+      [-1, -1],
+      [1, -1],
+      [-1, 1],
+      [1, 1],
+    ]) {
+      push("trim", "trim", i, {
+        position: [(sx * width) / 2, base + fh / 2, (sz * depth) / 2],
+        size: [0.3, fh, 0.3],
+      });
+    }
+
+    for (const facade of FACADES) {
+      const frame = facadeFrame(facade, width, depth);
+      const place = facadePlacer(frame);
+      floorElement(i);
+
+      // Horizontal separator at the bottom of each floor
+      push("trim", "trim", i, place(0, base, 0, frame.length + 0.3, 0.2, 0.3));
+
+      // Balconies claim facade slots; windows avoid them
+      const balconySpans = [];
+      if (
+        balconies &&
+        balconyFloorSet.has(i) &&
+        balconies.facades.includes(facade) &&
+        balconies.perFloor > 0
+      ) {
+        const bw = Math.min(balconies.width, frame.length / balconies.perFloor);
+        const bd = balconies.depth;
+        const t = 0.05;
+        const railH = 0.35;
+        const slabY = base + 0.075;
+        for (const [k, u] of slots(
+          frame.length,
+          balconies.perFloor
+        ).entries()) {
+          element(`balcony-${facade}-${i}-${k}`, {
+            type: "balcony",
+            name: `Balcony ${facade} ${i}.${k + 1}`,
+            floor: i,
+            facade,
+          });
+          balconySpans.push([u - bw / 2, u + bw / 2]);
+          const n0 = 0.05 + bd / 2;
+          push("balcony", "glass", i, place(u, slabY, n0, bw, 0.15, bd));
+          for (const [du, dn] of [
+            [-1, -1],
+            [1, -1],
+            [-1, 1],
+            [1, 1],
+          ]) {
+            push(
+              "railing",
+              "railing",
+              i,
+              place(
+                u + du * (bw / 2 - t / 2),
+                slabY + 0.075 + railH / 2,
+                n0 + dn * (bd / 2 - t / 2),
+                t,
+                railH,
+                t
+              )
+            );
+          }
+          const railY = slabY + 0.075 + railH;
+          push(
+            "railing",
+            "railing",
+            i,
+            place(u, railY, n0 + bd / 2 - t / 2, bw, t, t)
+          );
+          push(
+            "railing",
+            "railing",
+            i,
+            place(u, railY, n0 - bd / 2 + t / 2, bw, t, t)
+          );
+          push(
+            "railing",
+            "railing",
+            i,
+            place(u - bw / 2 + t / 2, railY, n0, t, t, bd)
+          );
+          push(
+            "railing",
+            "railing",
+            i,
+            place(u + bw / 2 - t / 2, railY, n0, t, t, bd)
+          );
+          if (balconies.door) {
+            const dw = Math.min(1.2, bw * 0.6);
+            const dh = Math.min(1.8, fh * 0.7);
+            push(
+              "door",
+              "glass",
+              i,
+              place(u, slabY + 0.075 + dh / 2, 0.03, dw, dh, 0.05)
+            );
+          }
+        }
+      }
+
+      // Entrance door on the ground floor
+      const entrance = p.entrance;
+      if (i === 0 && entrance && entrance.facade === facade) {
+        element("entrance", {
+          type: "door",
+          name: "Entrance",
+          floor: 0,
+          facade,
+        });
+        balconySpans.push([-entrance.width / 2, entrance.width / 2]);
+        push(
+          "door",
+          "glass",
+          i,
+          place(
+            0,
+            entrance.height / 2,
+            0.05,
+            entrance.width,
+            entrance.height,
+            0.05
+          )
+        );
+      }
+
+      // Window grid
+      if (i === 0 && windows.skipGroundFloor) continue;
+      const ww = windows.width;
+      const wh = Math.min(windows.height, fh * 0.8);
+      const wy = base + fh * 0.55;
+      const [pc, pr] = windows.panes;
+      for (const [k, u] of slots(
+        frame.length,
+        windows.columns[facade]
+      ).entries()) {
+        const blocked = balconySpans.some(
+          ([a, b]) => u + ww / 2 > a && u - ww / 2 < b
+        );
+        if (blocked) continue;
+
+        element(`window-${facade}-${i}-${k}`, {
+          type: "window",
+          name: `Window ${facade} ${i}.${k + 1}`,
+          floor: i,
+          facade,
+        });
+        push("frame", "frame", i, place(u, wy, 0.025, ww, wh, 0.05));
+        const paneW = (ww - 0.06) / pc;
+        const paneH = (wh - 0.06) / pr;
+        for (let c = 0; c < pc; c++) {
+          for (let r = 0; r < pr; r++) {
+            push(
+              "pane",
+              "glass",
+              i,
+              place(
+                u - ww / 2 + 0.03 + paneW * (c + 0.5),
+                wy - wh / 2 + 0.03 + paneH * (r + 0.5),
+                0.055,
+                paneW - 0.02,
+                paneH - 0.02,
+                0.01
+              )
+            );
+          }
+        }
+        for (let c = 1; c < pc; c++) {
+          push(
+            "mullion",
+            "mullion",
+            i,
+            place(u - ww / 2 + 0.03 + paneW * c, wy, 0.07, 0.03, wh, 0.03)
+          );
+        }
+        for (let r = 1; r < pr; r++) {
+          push(
+            "mullion",
+            "mullion",
+            i,
+            place(u, wy - wh / 2 + 0.03 + paneH * r, 0.07, ww, 0.03, 0.03)
+          );
+        }
+      }
+    }
+  }
+
+  // Top separator ring
+  floorElement(floors - 1);
+  for (const facade of FACADES) {
+    const frame = facadeFrame(facade, width, depth);
+    push(
+      "trim",
+      "trim",
+      floors - 1,
+      facadePlacer(frame)(0, totalHeight, 0, frame.length + 0.3, 0.2, 0.3)
+    );
+  }
+
+  // Roof
+  const { roof } = p;
+  const rw = width + roof.overhang * 2;
+  const rd = depth + roof.overhang * 2;
+  const roofFloor = floors - 1;
+  element("roof", { type: "roof", name: "Roof", floor: roofFloor });
+  if (roof.type === "pitched") {
+    push("roof", "roof", roofFloor, {
+      position: [0, totalHeight + 0.1, 0],
+      size: [rw, 0.2, rd],
+    });
+    // Ridge runs along the longer side
+    const alongZ = rd >= rw;
+    push(
+      "roof",
+      "roof",
+      roofFloor,
+      {
+        position: [0, totalHeight + 0.2, 0],
+        size: alongZ ? [rw, roof.height, rd] : [rd, roof.height, rw],
+        rotationY: alongZ ? 0 : Math.PI / 2,
+      },
+      "gable"
+    );
+  } else if (roof.type === "parapet") {
+    const t = 0.25;
+    push("roof", "roof", roofFloor, {
+      position: [0, totalHeight + 0.15, 0],
+      size: [rw, 0.3, rd],
+    });
+    const wallY = totalHeight + 0.3 + roof.height / 2;
+    push("roof", "roof", roofFloor, {
+      position: [0, wallY, rd / 2 - t / 2],
+      size: [rw, roof.height, t],
+    });
+    push("roof", "roof", roofFloor, {
+      position: [0, wallY, -rd / 2 + t / 2],
+      size: [rw, roof.height, t],
+    });
+    push("roof", "roof", roofFloor, {
+      position: [rw / 2 - t / 2, wallY, 0],
+      size: [t, roof.height, rd - 2 * t],
+    });
+    push("roof", "roof", roofFloor, {
+      position: [-rw / 2 + t / 2, wallY, 0],
+      size: [t, roof.height, rd - 2 * t],
+    });
+  } else {
+    push("roof", "roof", roofFloor, {
+      position: [0, totalHeight + 0.25, 0],
+      size: [rw, 0.5, rd],
+    });
+  }
+
+  return { params: p, parts, elements, height: totalHeight };
+}
+
+// Unit gable prism: base 1x1 on y=0, ridge at y=1 running along z
+export function createGableGeometry() {
+  const shape = new THREE.Shape();
+  shape.moveTo(-0.5, 0);
+  shape.lineTo(0.5, 0);
+  shape.lineTo(0, 1);
+  shape.lineTo(-0.5, 0);
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: 1,
+    bevelEnabled: false,
+  });
+  geometry.translate(0, 0, -0.5);
+  return geometry;
+}
+
+// Group parts that can share one geometry and material into instanced batches
+export function batchParts(parts) {
+  const batches = new Map();
+  for (const part of parts) {
+    const key = `${part.shape}|${part.material}`;
+    if (!batches.has(key)) {
+      batches.set(key, {
+        key,
+        shape: part.shape,
+        material: part.material,
+        castShadow: false,
+        instances: [],
+      });
+    }
+    const batch = batches.get(key);
+    if (part.part === "floor" || part.part === "balcony") {
+      batch.castShadow = true;
+    }
+    batch.instances.push(part);
+  }
+  return [...batches.values()];
+}
+
+// Bounding box of an element's parts as { min: [x, y, z], max: [x, y, z] }
+export function elementBounds(parts, elementId) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const part of parts) {
+    if (part.element !== elementId) continue;
+    // Gables are turned a quarter when their ridge runs along x
+    const [sx, sy, sz] = part.rotationY
+      ? [part.size[2], part.size[1], part.size[0]]
+      : part.size;
+    const half = [sx / 2, part.shape === "gable" ? 0 : sy / 2, sz / 2];
+    const top = part.shape === "gable" ? sy : sy / 2;
+    for (let a = 0; a < 3; a++) {
+      const hi = a === 1 ? top : half[a];
+      min[a] = Math.min(min[a], part.position[a] - half[a]);
+      max[a] = Math.max(max[a], part.position[a] + hi);
+    }
+  }
+  return { min, max };
+}
@@ -0,0 +1,42 @@
+import * as THREE from "three";
+import { createGableGeometry } from "./proceduralBuilding";
+
+// Geometries and materials shared by every procedural building on the site.
+// They live for the lifetime of the page, so they are never disposed.
+
+const geometries = {};
+const materials = new Map();
+
+export function getUnitGeometry(shape) {
+  if (!geometries[shape]) {
+    geometries[shape] =
+      shape === "gable"
+        ? createGableGeometry()
+        : new THREE.BoxGeometry(1, 1, 1);
+  }
+  return geometries[shape];
+}
+
+// A material of its own, in the plain or highlighted state. The caller
+// disposes it.
+export function createMaterial(props, highlight = false) {
+  return new THREE.MeshStandardMaterial({
+    ...props,
+    emissive: highlight ? "grey" : "black",
+    emissiveIntensity: highlight ? 0.8 : 0,
+  });
+}
+
+// One material per distinct settings + highlight state, so a highlighted
+// building swaps materials instead of tinting the ones its neighbours use.
+// Only for settings from a fixed set, such as the palettes: every new one
+// stays in the cache for good.
+export function getSharedMaterial(props, highlight = false) {
+  const key = `${JSON.stringify(props)}|${highlight ? 1 : 0}`;
+  let material = materials.get(key);
+  if (!material) {
+    material = createMaterial(props, highlight);
+    materials.set(key, material);
+  }
+  return material;
+}
@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createLocalModel, filesFromDataTransfer } from "./localModel";
+import { clearModel } from "./modelLoaders";
+
+const IDLE = { status: "idle" };
+
+// Declared units and up axis; "auto" uses the format's defaults
+const AUTO_FIT = { units: "auto", upAxis: "auto" };
+
+// State for a model opened from disk and shown in place of one building.
+// status: idle | reading | loading | ready | error
+export default function useLocalModel() {
+  const [state, setState] = useState(IDLE);
+  const [dragging, setDragging] = useState(false);
+  const [fit, setFit] = useState(AUTO_FIT);
+  const current = useRef(null);
+  const request = useRef(0);
+
+  const release = useCallback(() => {
+    const model = current.current;
+    if (!model) return;
+    current.current = null;
+    clearModel(model.url, model.format);
+    model.dispose();
+  }, []);
+
+  useEffect(() => release, [release]);
+
+  // `pending` resolves to { path, file } pairs; see localModel.js
+  const open = useCallback(
+    async (pending, targetId) => {
+      const token = ++request.current;
+      setState({ status: "reading", targetId });
+      setFit(AUTO_FIT);
+      try {
+        const files = await pending;
+        if (token !== request.current) return;
+        const model = createLocalModel(files);
+        release();
+        current.current = model;
+
+        const update = (fn) =>
+          setState((s) => (s.model === model ? { ...s, ...fn(s) } : s));
+        model.manager.onProgress = (_, loaded, total) =>
+          update(() => ({ progress: total ? loaded / total : 0 }));
+        // Missing textures don't fail the load, so report them separately
+        model.manager.onError = (url) =>
+          url !== model.url &&
+          update((s) => ({
+            missing: [...s.missing, decodeURIComponent(url.split("/").pop())],
+          }));
+        model.manager.onLoad = () =>
+          update((s) =>
+            s.status === "loading" ? { status: "ready", progress: 1 } : {}
+          );
+
+        setState({
+          status: "loading",
+          model,
+          targetId,
+          progress: 0,
+          missing: [],
+        });
+      } catch (e) {
+        if (token === request.current) {
+          setState({ status: "error", targetId, error: e.message });
+        }
+      }
+    },
+    [release]
+  );
+
+  // Called when the loader rejects the model (bad JSON, broken binary, ...)
+  const fail = useCallback(
+    (url, error) => {
+      if (current.current?.url !== url) return;
+      release();
+      setState((s) => ({
+        status: "error",
+        targetId: s.targetId,
+        error: error?.message || "Could not read the model",
+      }));
+    },
+    [release]
+  );
+
+  const reset = useCallback(() => {
+    request.current++;
+    release();
+    setState(IDLE);
+    setFit(AUTO_FIT);
+  }, [release]);
+
+  const dropHandlers = {
+    onDragOver: (e) => {
+      if (![...e.dataTransfer.types].includes("Files")) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+      setDragging(true);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+    },
+  };
+
+  // The drop handler needs the target building, so the caller wires it up
+  const onDrop = (e, targetId) => {
+    e.preventDefault();
+    setDragging(false);
+    open(filesFromDataTransfer(e.dataTransfer), targetId);
+  };
+
+  return {
+    ...state,
+    fit,
+    setFit,
+    dragging,
+    open,
+    fail,
+    reset,
+    dropHandlers,
+    onDrop,
+  };
+}
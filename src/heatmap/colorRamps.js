@@ -0,0 +1,60 @@
+// Colour ramps for thematic colouring. Each is a list of evenly spaced sRGB
+// stops, low values first.
+
+export const COLOR_RAMPS = [
+  {
+    id: "viridis",
+    label: "Viridis",
+    stops: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+  },
+  {
+    id: "inferno",
+    label: "Inferno",
+    stops: ["#000004", "#57106e", "#bc3754", "#f98e09", "#fcffa4"],
+  },
+  {
+    id: "traffic",
+    label: "Green to red",
+    stops: ["#1a9850", "#91cf60", "#fee08b", "#fc8d59", "#d73027"],
+  },
+  {
+    id: "diverging",
+    label: "Blue to red",
+    stops: ["#2166ac", "#67a9cf", "#f7f7f7", "#ef8a62", "#b2182b"],
+  },
+];
+
+// Floors and meshes without a value
+export const NO_DATA_COLOR = "#b9bcc2";
+
+function channels(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function toHex(rgb) {
+  return `#${rgb
+    .map((c) => Math.round(c).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+export function findRamp(id) {
+  return COLOR_RAMPS.find((r) => r.id === id) || COLOR_RAMPS[0];
+}
+
+// Colour at `t` along a ramp, 0 at the low end and 1 at the high end
+export function rampColor(id, t) {
+  const { stops } = findRamp(id);
+  const x = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0));
+  const scaled = x * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  const a = channels(stops[i]);
+  const b = channels(stops[i + 1]);
+  return toHex(a.map((c, k) => c + (b[k] - c) * f));
+}
+
+// CSS gradient of a ramp, for legends
+export function rampGradient(id, direction = "to right") {
+  return `linear-gradient(${direction}, ${findRamp(id).stops.join(", ")})`;
+}
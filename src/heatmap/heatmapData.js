@@ -0,0 +1,168 @@
+import { NO_DATA_COLOR, rampColor } from "./colorRamps";
+
+// Values for thematic colouring, per floor or per named mesh. JSON:
+//
+// {
+//   "name": "Energy use, March",
+//   "unit": "kWh",
+//   "values": [
+//     { "building": "B", "floor": 2, "value": 940 },
+//     { "building": "A", "mesh": "Roof", "value": 120 }
+//   ]
+// }
+//
+// where "values" may also be keyed by building:
+//   { "B": { "floors": { "2": 940 }, "meshes": { "Roof": 120 } } }
+//
+// CSV: a header row with building, floor and/or mesh, value and optionally
+// unit columns, then one row per value:
+//
+//   building,floor,value,unit
+//   B,2,940,kWh
+//
+// Floors count from 0 at the ground floor, as in the manifest metadata.
+
+// Rows of fields; quoted fields may hold commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function csvEntries(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("Heatmap CSV is empty");
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const col = (name) => columns.indexOf(name);
+  if (col("building") < 0 || col("value") < 0) {
+    throw new Error("Heatmap CSV needs building and value columns");
+  }
+  if (col("floor") < 0 && col("mesh") < 0) {
+    throw new Error("Heatmap CSV needs a floor or mesh column");
+  }
+  const get = (row, name) => (col(name) >= 0 ? row[col(name)]?.trim() : "");
+  return {
+    unit: rows.map((r) => get(r, "unit")).find(Boolean) || "",
+    entries: rows.map((r) => ({
+      building: get(r, "building"),
+      floor: get(r, "floor"),
+      mesh: get(r, "mesh"),
+      value: get(r, "value"),
+    })),
+  };
+}
+
+function jsonEntries(raw) {
+  const values = Array.isArray(raw) ? raw : raw?.values;
+  if (!values || typeof values !== "object") {
+    throw new Error("Heatmap JSON needs a list of values");
+  }
+  if (Array.isArray(values)) return { unit: raw.unit, entries: values };
+  const entries = [];
+  for (const [building, { floors = {}, meshes = {} } = {}] of Object.entries(
+    values
+  )) {
+    for (const [floor, value] of Object.entries(floors)) {
+      entries.push({ building, floor, value });
+    }
+    for (const [mesh, value] of Object.entries(meshes)) {
+      entries.push({ building, mesh, value });
+    }
+  }
+  return { unit: raw.unit, entries };
+}
+
+// Parse JSON or CSV text into { name, unit, buildings, min, max, count },
+// with buildings as { [id]: { floors: { [index]: value }, meshes: { [name]:
+// value } } }. Throws when nothing usable is found.
+export function parseHeatmap(text, { name = "", format } = {}) {
+  const trimmed = text.trim();
+  const isJson = format ? format === "json" : /^[[{]/.test(trimmed);
+  let raw = null;
+  let parsed;
+  if (isJson) {
+    try {
+      raw = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Heatmap JSON is invalid: ${e.message}`);
+    }
+    parsed = jsonEntries(raw);
+  } else {
+    parsed = csvEntries(trimmed);
+  }
+
+  const buildings = {};
+  let min = Infinity;
+  let max = -Infinity;
+  let count = 0;
+  for (const entry of parsed.entries) {
+    const value = Number(entry?.value);
+    const building = entry?.building != null ? String(entry.building) : "";
+    if (!building || entry.value === "" || !Number.isFinite(value)) continue;
+    if (!buildings[building]) buildings[building] = { floors: {}, meshes: {} };
+    const target = buildings[building];
+    const floor = Number(entry.floor);
+    if (entry.mesh) target.meshes[String(entry.mesh)] = value;
+    else if (entry.floor !== "" && Number.isInteger(floor) && floor >= 0) {
+      target.floors[floor] = value;
+    } else continue;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    count++;
+  }
+  if (count === 0) throw new Error("Heatmap has no usable values");
+
+  return {
+    name: String(raw?.name || name || "Heatmap"),
+    unit: String(parsed.unit || ""),
+    buildings,
+    min,
+    max,
+    count,
+  };
+}
+
+// Colours for every building on the site, in the shape Building takes as
+// `heat`: floors and meshes mapped to colours, plus the no-data colour
+export function heatColors(data, buildings, { ramp, min, max }) {
+  const span = max - min;
+  const color = (v) => rampColor(ramp, span > 0 ? (v - min) / span : 0.5);
+  const out = {};
+  for (const { id } of buildings) {
+    const values = data.buildings[id] || { floors: {}, meshes: {} };
+    const map = (obj) =>
+      Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, color(v)]));
+    out[id] = {
+      floors: map(values.floors),
+      meshes: map(values.meshes),
+      fallback: NO_DATA_COLOR,
+    };
+  }
+  return out;
+}
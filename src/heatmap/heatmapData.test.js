@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { NO_DATA_COLOR } from "./colorRamps";
+import { heatColors, parseCsv, parseHeatmap } from "./heatmapData";
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    expect(parseCsv("a,b\r\n1,2\n")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("keeps commas, quotes and newlines in quoted fields", () => {
+    expect(parseCsv('name,note\n"Roof, east","say ""hi""\nthere"')).toEqual([
+      ["name", "note"],
+      ["Roof, east", 'say "hi"\nthere'],
+    ]);
+  });
+
+  it("skips blank lines", () => {
+    expect(parseCsv("a\n\n  \nb")).toEqual([["a"], ["b"]]);
+  });
+});
+
+describe("parseHeatmap", () => {
+  it("reads a JSON list of values", () => {
+    const data = parseHeatmap(
+      JSON.stringify({
+        name: "Energy use",
+        unit: "kWh",
+        values: [
+          { building: "B", floor: 2, value: 940 },
+          { building: "A", mesh: "Roof", value: 120 },
+        ],
+      })
+    );
+    expect(data).toEqual({
+      name: "Energy use",
+      unit: "kWh",
+      buildings: {
+        B: { floors: { 2: 940 }, meshes: {} },
+        A: { floors: {}, meshes: { Roof: 120 } },
+      },
+      min: 120,
+      max: 940,
+      count: 2,
+    });
+  });
+
+  it("reads JSON values keyed by building", () => {
+    const data = parseHeatmap(
+      '{"values":{"B":{"floors":{"0":5,"1":7},"meshes":{"Roof":1}}}}',
+      { name: "upload.json" }
+    );
+    expect(data.name).toBe("upload.json");
+    expect(data.buildings.B).toEqual({
+      floors: { 0: 5, 1: 7 },
+      meshes: { Roof: 1 },
+    });
+    expect(data.count).toBe(3);
+  });
+
+  it("reads CSV with any column order and case", () => {
+    const data = parseHeatmap("Value,Unit,Building,Floor\n940,kWh,B,2\n3,,A,0");
+    expect(data.unit).toBe("kWh");
+    expect(data.buildings).toEqual({
+      B: { floors: { 2: 940 }, meshes: {} },
+      A: { floors: { 0: 3 }, meshes: {} },
+    });
+  });
+
+  it("skips rows without a usable value or place", () => {
+    const data = parseHeatmap(
+      "building,floor,value\nA,0,1\nA,1,\nA,-1,4\nA,x,5\n,2,6\nA,2,n/a"
+    );
+    expect(data.buildings).toEqual({ A: { floors: { 0: 1 }, meshes: {} } });
+    expect(data.count).toBe(1);
+  });
+
+  it("rejects unusable files", () => {
+    expect(() => parseHeatmap("{nope")).toThrow("Heatmap JSON is invalid");
+    expect(() => parseHeatmap('{"name":"x"}')).toThrow("list of values");
+    expect(() => parseHeatmap("floor,value\n1,2")).toThrow(
+      "building and value columns"
+    );
+    expect(() => parseHeatmap("building,value\nA,2")).toThrow(
+      "floor or mesh column"
+    );
+    expect(() => parseHeatmap("building,floor,value\nA,1,")).toThrow(
+      "no usable values"
+    );
+  });
+});
+
+describe("heatColors", () => {
+  it("spans the ramp from min to max, with the no-data colour as fallback", () => {
+    const data = parseHeatmap("building,floor,value\nA,0,10\nA,1,20");
+    const colors = heatColors(data, [{ id: "A" }, { id: "B" }], {
+      ramp: "viridis",
+      min: 10,
+      max: 20,
+    });
+    expect(colors.A.floors).toEqual({ 0: "#440154", 1: "#fde725" });
+    expect(colors.B).toEqual({
+      floors: {},
+      meshes: {},
+      fallback: NO_DATA_COLOR,
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { useCallback, useEffect, useState } from "react";
+import { parseHeatmap } from "./heatmapData";
+
+const DEFAULT_SETTINGS = {
+  // Thematic colours, or the realistic materials with the data kept loaded
+  thematic: true,
+  ramp: "viridis",
+  // Ends of the colour ramp; null follows the data
+  min: null,
+  max: null,
+};
+
+function fileInfo(path) {
+  const file = path.split(/[?#]/)[0].split("/").pop() || "";
+  const match = /^(.*?)\.(json|csv)$/i.exec(file);
+  return match
+    ? { name: match[1], format: match[2].toLowerCase() }
+    : { name: file, format: undefined };
+}
+
+// Heatmap values from `url` or from a file the user opens, and how they are
+// shown. A new data set starts over with the ramp fitted to its values.
+// `min` and `max` are the ramp's ends in use; `boundsError` says why the
+// user's own were set aside.
+export default function useHeatmap(url) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  const load = useCallback((text, source) => {
+    setData(parseHeatmap(text, fileInfo(source)));
+    setSettings((s) => ({ ...s, thematic: true, min: null, max: null }));
+    setError("");
+  }, []);
+
+  useEffect(() => {
+    if (!url) return;
+    const controller = new AbortController();
+    fetch(url, { signal: controller.signal })
+      .then((res) => {
+        if (!res.ok) throw new Error(`Heatmap fetch failed (${res.status})`);
+        return res.text();
+      })
+      .then((text) => load(text, url))
+      .catch((e) => {
+        if (e.name !== "AbortError") setError(e.message);
+      });
+    return () => controller.abort();
+  }, [url, load]);
+
+  const open = useCallback(
+    async (file) => {
+      try {
+        load(await file.text(), file.name);
+      } catch (e) {
+        setError(e.message);
+      }
+    },
+    [load]
+  );
+
+  const clear = useCallback(() => {
+    setData(null);
+    setError("");
+  }, []);
+
+  const update = useCallback(
+    (patch) => setSettings((s) => ({ ...s, ...patch })),
+    []
+  );
+
+  // Bounds that leave no room for the ramp are ignored in favour of the
+  // data's own
+  const dataMin = data?.min ?? 0;
+  const dataMax = data?.max ?? 1;
+  const min = settings.min ?? dataMin;
+  const max = settings.max ?? dataMax;
+  const boundsError =
+    (settings.min != null || settings.max != null) && min >= max
+      ? "Min must be below max"
+      : "";
+
+  return {
+    data,
+    error,
+    settings,
+    min: boundsError ? dataMin : min,
+    max: boundsError ? dataMax : max,
+    boundsError,
+    open,
+    clear,
+    update,
+  };
+}
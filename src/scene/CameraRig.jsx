@@ -0,0 +1,95 @@
+import { useEffect, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { viewPose } from "./cameraViews";
+
+const TRANSITION_SECONDS = 1.2;
+// Report the pose once the camera has been still this long
+const SETTLE_MS = 250;
+
+// Flies the camera to requested views and reports the pose it settles in,
+// however it got there (a transition, orbiting or the initial fit).
+// `request` is { view, animate, duration } and is acted on whenever it
+// changes; with `reducedMotion` the camera jumps instead of flying.
+export default function CameraRig({
+  request,
+  initialPose,
+  reducedMotion = false,
+  onChange,
+}) {
+  const camera = useThree((s) => s.camera);
+  const controls = useThree((s) => s.controls);
+  const scene = useThree((s) => s.scene);
+  const flight = useRef(null);
+  const initial = useRef(initialPose);
+  const report = useRef(null);
+  const reduced = useRef(reducedMotion);
+  reduced.current = reducedMotion;
+
+  report.current = () =>
+    controls &&
+    onChange &&
+    onChange({
+      position: camera.position.toArray(),
+      target: controls.target.toArray(),
+    });
+
+  // A linked pose replaces the default camera before anything is drawn
+  useEffect(() => {
+    if (!controls || !initial.current) return;
+    camera.position.fromArray(initial.current.position);
+    controls.target.fromArray(initial.current.target);
+    controls.update();
+    initial.current = null;
+  }, [camera, controls]);
+
+  // Orbiting by hand cancels a transition
+  useEffect(() => {
+    if (!controls) return;
+    let timer;
+    const cancel = () => {
+      flight.current = null;
+    };
+    const change = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => report.current(), SETTLE_MS);
+    };
+    controls.addEventListener("start", cancel);
+    controls.addEventListener("change", change);
+    return () => {
+      clearTimeout(timer);
+      controls.removeEventListener("start", cancel);
+      controls.removeEventListener("change", change);
+    };
+  }, [controls]);
+
+  useEffect(() => {
+    if (!request || !controls) return;
+    const pose = viewPose(request.view, scene, camera, controls.target);
+    if (!pose) return;
+    flight.current = {
+      t: 0,
+      duration:
+        request.animate === false || reduced.current
+          ? 0
+          : (request.duration ?? TRANSITION_SECONDS),
+      fromPosition: camera.position.clone(),
+      fromTarget: controls.target.clone(),
+      toPosition: new THREE.Vector3().fromArray(pose.position),
+      toTarget: new THREE.Vector3().fromArray(pose.target),
+    };
+  }, [request, controls, scene, camera]);
+
+  useFrame((_, delta) => {
+    const f = flight.current;
+    if (!f || !controls) return;
+    f.t = f.duration ? Math.min(1, f.t + delta / f.duration) : 1;
+    const k = THREE.MathUtils.smootherstep(f.t, 0, 1);
+    camera.position.lerpVectors(f.fromPosition, f.toPosition, k);
+    controls.target.lerpVectors(f.fromTarget, f.toTarget, k);
+    controls.update();
+    if (f.t >= 1) flight.current = null;
+  });
+
+  return null;
+}
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import {
+  createRecorder,
+  imageSize,
+  posePath,
+  renderImage,
+  turntablePath,
+} from "./capture";
+
+// Carries out capture requests against the live canvas, like CameraRig does
+// for views. `request` is one of
+//   { kind: "image", size, transparent }
+//       size: an IMAGE_SIZES entry, { scale } or { width, height }
+//   { kind: "video", path: "turntable" | "bookmarks", seconds, poses }
+// and is acted on whenever it changes. The result arrives as
+// onDone(request, blob); a recording is abandoned if the request changes.
+export default function CaptureRig({ request, onDone, onError }) {
+  const gl = useThree((s) => s.gl);
+  const scene = useThree((s) => s.scene);
+  const camera = useThree((s) => s.camera);
+  const controls = useThree((s) => s.controls);
+  const get = useThree((s) => s.get);
+  const recording = useRef(null);
+  const callbacks = useRef({ onDone, onError });
+  callbacks.current = { onDone, onError };
+
+  useEffect(() => {
+    if (!request) return;
+    const fail = (error) => callbacks.current.onError(request, error);
+
+    if (request.kind === "image") {
+      // Let the panel show that it's busy before the render blocks
+      const frame = requestAnimationFrame(() => {
+        try {
+          renderImage(gl, scene, camera, {
+            ...imageSize(request.size, get().size),
+            transparent: request.transparent,
+          }).then((blob) => callbacks.current.onDone(request, blob), fail);
+        } catch (error) {
+          fail(error);
+        }
+      });
+      return () => cancelAnimationFrame(frame);
+    }
+
+    if (!controls) return;
+    let recorder;
+    try {
+      recorder = createRecorder(gl.domElement);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    const chunks = [];
+    recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+
+    const start = {
+      position: camera.position.clone(),
+      target: controls.target.clone(),
+    };
+    const restore = () => {
+      camera.position.copy(start.position);
+      controls.target.copy(start.target);
+      controls.enabled = true;
+      controls.update();
+    };
+    const finish = () => {
+      recording.current = null;
+      recorder.onstop = () =>
+        callbacks.current.onDone(
+          request,
+          new Blob(chunks, { type: recorder.mimeType })
+        );
+      recorder.stop();
+      restore();
+    };
+
+    recording.current = {
+      t: 0,
+      seconds: request.seconds,
+      path:
+        request.path === "bookmarks"
+          ? posePath(request.poses)
+          : turntablePath(start.position, start.target),
+      finish,
+    };
+    controls.enabled = false;
+    recorder.start();
+
+    return () => {
+      if (!recording.current) return;
+      recording.current = null;
+      recorder.onstop = null;
+      recorder.stop();
+      restore();
+    };
+  }, [request, gl, scene, camera, controls, get]);
+
+  useFrame((_, delta) => {
+    const r = recording.current;
+    if (!r) return;
+    r.t = Math.min(1, r.t + delta / r.seconds);
+    r.path(r.t, camera.position, controls.target);
+    controls.update();
+    if (r.t >= 1) r.finish();
+  });
+
+  return null;
+}
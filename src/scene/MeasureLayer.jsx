@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from "react";
+import { useThree } from "@react-three/fiber";
+import { Html, Line } from "@react-three/drei";
+import * as THREE from "three";
+import {
+  MEASURE_TOOLS,
+  MIN_AREA_POINTS,
+  formatMeasurement,
+  measureValue,
+  measurementShape,
+} from "./measurements";
+import { buildingRoots } from "./cameraViews";
+import { isClipped } from "./section";
+import { SNAP_PIXELS, snapHit, toScreen } from "./snapping";
+
+const LINE_COLOR = "#ff5a36";
+const SNAP_COLORS = { vertex: "#ff8c1a", edge: "#1f7ae0", face: "#17a398" };
+// Dimensions draw over the buildings so they stay readable
+const OVERLAY_ORDER = 10;
+
+function Marker({ position, color, size = 0.12 }) {
+  return (
+    <mesh position={position} renderOrder={OVERLAY_ORDER}>
+      <sphereGeometry args={[size, 12, 12]} />
+      <meshBasicMaterial color={color} depthTest={false} transparent />
+    </mesh>
+  );
+}
+
+function Dimension({ type, points, label }) {
+  const { lines, labelAt } = measurementShape(type, points);
+  return (
+    <>
+      {lines.length > 1 && (
+        <Line
+          points={lines}
+          color={LINE_COLOR}
+          lineWidth={2}
+          depthTest={false}
+          renderOrder={OVERLAY_ORDER}
+        />
+      )}
+      {points.map((p, i) => (
+        <Marker key={i} position={p} color={LINE_COLOR} />
+      ))}
+      {label && (
+        <Html
+          position={labelAt}
+          center
+          pointerEvents="none"
+          className="wbv-measure-label"
+        >
+          {label}
+        </Html>
+      )}
+    </>
+  );
+}
+
+// Placed measurements plus the one in progress, following the snapped pointer
+export default function MeasureLayer({
+  tool,
+  draft,
+  measurements,
+  system,
+  onPoint,
+  onFinish,
+}) {
+  const camera = useThree((s) => s.camera);
+  const gl = useThree((s) => s.gl);
+  const scene = useThree((s) => s.scene);
+  const [snap, setSnap] = useState(null);
+
+  useEffect(() => {
+    const el = gl.domElement;
+    const raycaster = new THREE.Raycaster();
+    const ndc = new THREE.Vector2();
+    let down = null;
+
+    const pick = (e) => {
+      const rect = el.getBoundingClientRect();
+      ndc.set(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(ndc, camera);
+      // Only buildings, and not the parts a section plane cuts away
+      const hit = raycaster
+        .intersectObjects(buildingRoots(scene), true)
+        .find((h) => h.face && !isClipped(h));
+      return hit ? { snap: snapHit(hit, camera, rect), rect } : null;
+    };
+
+    // Clicking the first point again closes an area outline
+    const closesArea = (e, rect) => {
+      if (tool !== "area" || draft.length < MIN_AREA_POINTS) return false;
+      const first = toScreen(new THREE.Vector3(...draft[0]), camera, rect);
+      const pointer = new THREE.Vector2(
+        e.clientX - rect.left,
+        e.clientY - rect.top
+      );
+      return first.distanceTo(pointer) <= SNAP_PIXELS;
+    };
+
+    const onMove = (e) => setSnap(pick(e)?.snap ?? null);
+    const onDown = (e) => {
+      down = [e.clientX, e.clientY];
+    };
+    const onUp = (e) => {
+      // Ignore the end of an orbit drag
+      if (!down || Math.hypot(e.clientX - down[0], e.clientY - down[1]) > 3) {
+        return;
+      }
+      const picked = pick(e);
+      if (!picked) return;
+      if (closesArea(e, picked.rect)) onFinish();
+      else onPoint(picked.snap.point);
+    };
+    const onLeave = () => setSnap(null);
+
+    el.style.cursor = "crosshair";
+    el.addEventListener("pointermove", onMove);
+    el.addEventListener("pointerdown", onDown);
+    el.addEventListener("pointerup", onUp);
+    el.addEventListener("pointerleave", onLeave);
+    return () => {
+      el.style.cursor = "";
+      el.removeEventListener("pointermove", onMove);
+      el.removeEventListener("pointerdown", onDown);
+      el.removeEventListener("pointerup", onUp);
+      el.removeEventListener("pointerleave", onLeave);
+    };
+  }, [camera, gl, scene, tool, draft, onPoint, onFinish]);
+
+  // Live preview of the measurement being placed
+  const needed = MEASURE_TOOLS.find((t) => t.id === tool)?.points;
+  const preview = snap
+    ? tool === "height"
+      ? [snap.point]
+      : [...draft, snap.point]
+    : draft;
+  const previewComplete =
+    preview.length >= (needed || MIN_AREA_POINTS) &&
+    (tool !== "height" || snap);
+
+  return (
+    <>
+      {measurements.map((m) => (
+        <Dimension
+          key={m.id}
+          type={m.type}
+          points={m.points}
+          label={formatMeasurement(m.type, m.value, system)}
+        />
+      ))}
+      {preview.length > 0 && (
+        <Dimension
+          type={tool}
+          points={preview}
+          label={
+            previewComplete &&
+            formatMeasurement(tool, measureValue(tool, preview), system)
+          }
+        />
+      )}
+      {snap && (
+        <Marker
+          position={snap.point}
+          color={SNAP_COLORS[snap.kind]}
+          size={snap.kind === "face" ? 0.1 : 0.18}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,362 @@
+import React, {
+  Suspense,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useFrame } from "@react-three/fiber";
+import {
+  OrbitControls,
+  Bounds,
+  Environment,
+  Line,
+  Sky,
+} from "@react-three/drei";
+import * as THREE from "three";
+import Building from "../building/Building";
+import ModelErrorBoundary from "../building/ModelErrorBoundary";
+import { localBounds } from "../building/bounds";
+import { DEFAULT_PREFERENCES } from "../util/usePreferences";
+import { buildingObjectName } from "./cameraViews";
+import WeatherEffects from "./WeatherEffects";
+import WindLayer, { WindwardFace } from "./WindLayer";
+import { windState, windwardFacade } from "./wind";
+import { sunDirection } from "./sunPosition";
+import { sceneConditions } from "./weatherConditions";
+
+// Floating animation, held still while measuring
+function FloatY({ children, enabled = true }) {
+  const ref = useRef();
+  useFrame(({ clock }) => {
+    const t = clock.getElapsedTime();
+    if (ref.current) {
+      ref.current.position.y = enabled ? Math.sin(t * 0.5) * 0.1 : 0;
+    }
+  });
+  return <group ref={ref}>{children}</group>;
+}
+
+const FOCUS_COLOR = "#ffb000";
+const FOCUS_PADDING = 0.8;
+
+// Keyboard focus: a bright outline on the ground around the building
+function FocusOutline({ bounds }) {
+  if (!bounds || bounds.isEmpty()) return null;
+  const { min, max } = bounds;
+  const [x0, x1] = [min.x - FOCUS_PADDING, max.x + FOCUS_PADDING];
+  const [z0, z1] = [min.z - FOCUS_PADDING, max.z + FOCUS_PADDING];
+  const y = 0.05;
+  return (
+    <Line
+      points={[
+        [x0, y, z0],
+        [x1, y, z0],
+        [x1, y, z1],
+        [x0, y, z1],
+        [x0, y, z0],
+      ]}
+      color={FOCUS_COLOR}
+      lineWidth={4}
+      userData={{ helper: true }}
+      raycast={() => null}
+    />
+  );
+}
+
+const ALERT_COLOR = "#e0322b";
+const ALERT_PADDING = 0.3;
+
+// Weather alert: a red shell around the building that pulses, or holds
+// steady when motion is reduced
+function AlertPulse({ bounds, reducedMotion }) {
+  const material = useRef();
+  useFrame(({ clock }) => {
+    if (!material.current) return;
+    material.current.opacity = reducedMotion
+      ? 0.3
+      : 0.2 + 0.15 * Math.sin(clock.getElapsedTime() * 4);
+  });
+  if (!bounds || bounds.isEmpty()) return null;
+  const center = bounds.getCenter(new THREE.Vector3());
+  const size = bounds.getSize(new THREE.Vector3());
+  return (
+    <mesh
+      position={center.toArray()}
+      userData={{ helper: true }}
+      raycast={() => null}
+    >
+      <boxGeometry
+        args={[
+          size.x + ALERT_PADDING * 2,
+          size.y + ALERT_PADDING,
+          size.z + ALERT_PADDING * 2,
+        ]}
+      />
+      <meshBasicMaterial
+        ref={material}
+        color={ALERT_COLOR}
+        transparent
+        opacity={0.3}
+        depthWrite={false}
+      />
+    </mesh>
+  );
+}
+
+// Reports renderer draw calls and triangles a couple of times a second
+export function RenderStats({ onStats }) {
+  const last = useRef(0);
+  useFrame(({ gl, clock }) => {
+    const t = clock.getElapsedTime();
+    if (t - last.current < 0.5) return;
+    last.current = t;
+    // gl.info still holds the previous frame, which is what we want to show
+    onStats({
+      drawCalls: gl.info.render.calls,
+      triangles: gl.info.render.triangles,
+      geometries: gl.info.memory.geometries,
+    });
+  });
+  return null;
+}
+
+// One manifest entry placed on the site, with its per-building overlays
+function SiteBuilding({
+  building,
+  hovered,
+  focused,
+  alerted,
+  reducedMotion,
+  wind,
+  pickElements,
+  maxFloor,
+  heat,
+  onHover,
+  onClick,
+  onElementHover,
+  onElementPick,
+  onModelError,
+}) {
+  const frame = useRef();
+  const [bounds, setBounds] = useState(null);
+
+  const onReady = useCallback((object) => {
+    if (object && frame.current) setBounds(localBounds(object, frame.current));
+  }, []);
+
+  const windward = wind && windwardFacade(building.rotation, wind.from);
+
+  const onElementHoverChange = useCallback(
+    (element) => onElementHover && onElementHover(building, element),
+    [building, onElementHover]
+  );
+
+  return (
+    <group
+      ref={frame}
+      name={buildingObjectName(building.id)}
+      position={[building.position.x, 0, building.position.z]}
+      rotation-y={(building.rotation * Math.PI) / 180}
+    >
+      {/* Each model suspends and fails on its own */}
+      <ModelErrorBoundary
+        key={building.modelUrl}
+        onError={(error) => onModelError && onModelError(building, error)}
+      >
+        <Suspense fallback={null}>
+          <Building
+            modelUrl={building.modelUrl}
+            modelFormat={building.modelFormat}
+            modelUnits={building.modelUnits}
+            modelUpAxis={building.modelUpAxis}
+            loadingManager={building.loadingManager}
+            procedural={building.procedural}
+            maxFloor={maxFloor}
+            heat={heat}
+            highlight={(hovered || focused) && !pickElements}
+            pickElements={pickElements}
+            onPointerOver={() => onHover(building.id, true)}
+            onPointerOut={() => onHover(building.id, false)}
+            onClick={() => onClick && onClick(building)}
+            onElementHover={onElementHoverChange}
+            onElementClick={(element) =>
+              element && onElementPick && onElementPick(building, element)
+            }
+            onReady={onReady}
+          />
+        </Suspense>
+      </ModelErrorBoundary>
+      {focused && <FocusOutline bounds={bounds} />}
+      {alerted && <AlertPulse bounds={bounds} reducedMotion={reducedMotion} />}
+      {windward && (
+        <WindwardFace
+          bounds={bounds}
+          facade={windward.facade}
+          strength={wind.strength}
+          reducedMotion={reducedMotion}
+        />
+      )}
+    </group>
+  );
+}
+
+export default function Scene({
+  buildings,
+  weather,
+  sun,
+  layers,
+  pickElements = false,
+  maxFloor = null,
+  // Thematic colours by building id (see heatmap/heatmapData.js), or null
+  heat = null,
+  fitCamera = true,
+  floating = true,
+  reducedMotion = false,
+  focusedId = null,
+  // Display preferences, for the wind compass's units
+  preferences = DEFAULT_PREFERENCES,
+  // Ids of buildings with a weather alert raised
+  alertIds = null,
+  onBuildingClick,
+  onBuildingHover,
+  onElementHover,
+  onElementPick,
+  onModelError,
+}) {
+  const [hoveredId, setHoveredId] = useState(null);
+  const onHover = useCallback(
+    (id, over) =>
+      setHoveredId((current) => (over ? id : current === id ? null : current)),
+    []
+  );
+  // Report the hovered building id (or null) once it settles
+  const reportHover = useRef(onBuildingHover);
+  reportHover.current = onBuildingHover;
+  const reportedId = useRef(null);
+  useEffect(() => {
+    if (reportedId.current === hoveredId) return;
+    reportedId.current = hoveredId;
+    reportHover.current?.(hoveredId);
+  }, [hoveredId]);
+  const dirLight = useRef();
+  useEffect(() => {
+    if (dirLight.current) dirLight.current.target.position.set(0, 0, 0);
+  }, []);
+
+  // Half-width of the site on the ground plane, padded for a single block
+  const siteRadius = useMemo(
+    () =>
+      buildings.reduce(
+        (r, b) =>
+          Math.max(r, Math.abs(b.position.x) + 20, Math.abs(b.position.z) + 20),
+        20
+      ),
+    [buildings]
+  );
+
+  const conditions = useMemo(
+    () => sceneConditions(weather?.weathercode),
+    [weather?.weathercode]
+  );
+  // Clouds dim the sun and the environment light
+  const daylight = 1 - 0.65 * conditions.overcast;
+  // Fade the sun in between the horizon and about 10° of altitude
+  const sunUp = THREE.MathUtils.smoothstep(sun.altitude, -0.02, 0.17);
+  const sunDir = useMemo(() => sunDirection(sun), [sun]);
+  const sunDistance = siteRadius * 2;
+
+  const wind = useMemo(() => windState(weather), [weather]);
+  const showWind = layers.wind && wind;
+
+  return (
+    <>
+      {conditions.fog === 0 && (
+        <Sky
+          userData={{ backdrop: true }}
+          sunPosition={sunDir.map((v) => v * 100)}
+          turbidity={8 + 12 * conditions.overcast}
+          rayleigh={6 - 5.5 * conditions.overcast}
+        />
+      )}
+      <ambientLight
+        intensity={0.5 * (1 - 0.3 * conditions.overcast) * (0.3 + 0.7 * sunUp)}
+      />
+      <directionalLight
+        ref={dirLight}
+        position={sunDir.map((v) => v * sunDistance)}
+        intensity={1.3 * daylight * sunUp}
+        castShadow
+        shadow-mapSize={[2048, 2048]}
+        shadow-bias={-0.0005}
+        shadow-camera-left={-siteRadius}
+        shadow-camera-right={siteRadius}
+        shadow-camera-top={siteRadius}
+        shadow-camera-bottom={-siteRadius}
+        shadow-camera-far={sunDistance * 2}
+      />
+      <Environment
+        preset="sunset"
+        environmentIntensity={daylight * (0.2 + 0.8 * sunUp)}
+      />
+      <WeatherEffects
+        conditions={conditions}
+        siteRadius={siteRadius}
+        wind={wind}
+        reducedMotion={reducedMotion}
+      />
+      {showWind && (
+        <WindLayer
+          wind={wind}
+          siteRadius={siteRadius}
+          preferences={preferences}
+          reducedMotion={reducedMotion}
+        />
+      )}
+      <mesh
+        receiveShadow
+        rotation-x={-Math.PI / 2}
+        userData={{ backdrop: true }}
+      >
+        <planeGeometry
+          args={[Math.max(200, siteRadius * 4), Math.max(200, siteRadius * 4)]}
+        />
+        <meshStandardMaterial color="#e6e9ef" />
+      </mesh>
+
+      {/* Frame the site on load, unless a link already placed the camera */}
+      <Bounds fit={fitCamera} clip observe={fitCamera} margin={1.2}>
+        <FloatY enabled={floating && !reducedMotion}>
+          {buildings.map((b) => (
+            <SiteBuilding
+              key={b.id}
+              building={b}
+              hovered={hoveredId === b.id && !!onBuildingClick}
+              focused={focusedId === b.id}
+              alerted={!!alertIds?.includes(b.id)}
+              reducedMotion={reducedMotion}
+              wind={showWind ? wind : null}
+              pickElements={pickElements}
+              maxFloor={maxFloor}
+              heat={heat?.[b.id]}
+              onHover={onHover}
+              onClick={onBuildingClick}
+              onElementHover={onElementHover}
+              onElementPick={onElementPick}
+              onModelError={onModelError}
+            />
+          ))}
+        </FloatY>
+      </Bounds>
+
+      <OrbitControls
+        makeDefault
+        enableDamping={!reducedMotion}
+        dampingFactor={0.1}
+        minDistance={5}
+        maxDistance={Math.max(60, siteRadius * 3)}
+      />
+    </>
+  );
+}
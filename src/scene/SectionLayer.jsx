@@ -0,0 +1,195 @@
+import React, {
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Edges, TransformControls } from "@react-three/drei";
+import * as THREE from "three";
+import { modelFloorTop } from "../building/floors";
+import { buildingObjectName, buildingRoots, buildingsBox } from "./cameraViews";
+import { clipObject, isClipped } from "./section";
+
+const HANDLE_COLOR = "#1f7ae0";
+const DOWN = new THREE.Vector3(0, -1, 0);
+const _normal = new THREE.Vector3();
+const _position = new THREE.Vector3();
+const _size = new THREE.Vector3();
+
+// Translucent square marking a plane, facing +z in its own frame
+function PlaneHandle({ handle, size, visible, ...props }) {
+  return (
+    <group ref={handle} userData={{ helper: true }} {...props}>
+      <mesh visible={visible}>
+        <planeGeometry args={[size, size]} />
+        <meshBasicMaterial
+          color={HANDLE_COLOR}
+          transparent
+          opacity={0.08}
+          depthWrite={false}
+          side={THREE.DoubleSide}
+        />
+        <Edges color={HANDLE_COLOR} />
+      </mesh>
+    </group>
+  );
+}
+
+// Move a handle to the middle of the site, sized to cover it
+function centerHandle(handle, scene) {
+  const box = buildingsBox(scene);
+  handle.rotation.set(handle.rotation.x, 0, 0);
+  if (box.isEmpty()) {
+    handle.position.set(0, 5, 0);
+    return 40;
+  }
+  box.getCenter(handle.position);
+  return Math.max(20, box.getSize(_size).length() * 1.2);
+}
+
+// Clipping planes through the whole site (a horizontal plan cut and a
+// vertical section), with draggable handles while `editing`, and the height
+// cut that stands in for the floor cutaway on models. The procedural
+// buildings hide their upper floors themselves.
+export default function SectionLayer({ buildings, section, editing }) {
+  const scene = useThree((s) => s.scene);
+  const gl = useThree((s) => s.gl);
+  const get = useThree((s) => s.get);
+  const setEvents = useThree((s) => s.setEvents);
+  const horizontalHandle = useRef();
+  const verticalHandle = useRef();
+  const [horizontalSize, setHorizontalSize] = useState(40);
+  const [verticalSize, setVerticalSize] = useState(40);
+  const planes = useMemo(
+    () => ({ horizontal: new THREE.Plane(), vertical: new THREE.Plane() }),
+    []
+  );
+  const sitePlanes = useMemo(
+    () =>
+      [
+        section.horizontal && planes.horizontal,
+        section.vertical && planes.vertical,
+      ].filter(Boolean),
+    [planes, section.horizontal, section.vertical]
+  );
+  // Per-model height cut, as { plane, planes, site }
+  const cuts = useRef(new Map());
+  const wasActive = useRef(false);
+  const modelIds = useMemo(
+    () => new Set(buildings.filter((b) => b.modelUrl).map((b) => b.id)),
+    [buildings]
+  );
+
+  useEffect(() => {
+    gl.localClippingEnabled = true;
+  }, [gl]);
+
+  // Pointer events skip whatever the planes have cut away
+  useEffect(() => {
+    const previous = get().events.filter;
+    setEvents({
+      filter: (hits, state) =>
+        (previous ? previous(hits, state) : hits).filter((h) => !isClipped(h)),
+    });
+    return () => setEvents({ filter: previous });
+  }, [get, setEvents]);
+
+  // Planes start in the middle of the site each time they are switched on
+  useLayoutEffect(() => {
+    if (section.horizontal && horizontalHandle.current) {
+      setHorizontalSize(centerHandle(horizontalHandle.current, scene));
+    }
+  }, [section.horizontal, scene]);
+  useLayoutEffect(() => {
+    if (section.vertical && verticalHandle.current) {
+      setVerticalSize(centerHandle(verticalHandle.current, scene));
+    }
+  }, [section.vertical, scene]);
+
+  useFrame(() => {
+    if (horizontalHandle.current) {
+      planes.horizontal.setFromNormalAndCoplanarPoint(
+        DOWN,
+        horizontalHandle.current.position
+      );
+    }
+    if (verticalHandle.current) {
+      const handle = verticalHandle.current;
+      _normal
+        .set(0, 0, section.flip ? 1 : -1)
+        .applyQuaternion(handle.quaternion);
+      planes.vertical.setFromNormalAndCoplanarPoint(_normal, handle.position);
+    }
+
+    const cutting = section.maxFloor != null && modelIds.size > 0;
+    const active = sitePlanes.length > 0 || cutting;
+    // One last pass after switching off to clear the materials
+    if (!active && !wasActive.current) return;
+    wasActive.current = active;
+
+    for (const root of buildingRoots(scene)) {
+      const id = root.name.slice(buildingObjectName("").length);
+      if (!cutting || !modelIds.has(id)) {
+        clipObject(root, sitePlanes);
+        continue;
+      }
+      let cut = cuts.current.get(id);
+      if (!cut) {
+        cut = { plane: new THREE.Plane(DOWN.clone(), 0), planes: null };
+        cuts.current.set(id, cut);
+      }
+      if (cut.site !== sitePlanes) {
+        cut.planes = [...sitePlanes, cut.plane];
+        cut.site = sitePlanes;
+      }
+      // Follows the building as it floats
+      cut.plane.constant =
+        root.getWorldPosition(_position).y + modelFloorTop(section.maxFloor);
+      clipObject(root, cut.planes);
+    }
+  });
+
+  return (
+    <>
+      {section.horizontal && (
+        <>
+          <PlaneHandle
+            handle={horizontalHandle}
+            size={horizontalSize}
+            visible={editing}
+            rotation-x={-Math.PI / 2}
+          />
+          {editing && (
+            <TransformControls
+              object={horizontalHandle}
+              mode="translate"
+              showX={false}
+              showZ={false}
+            />
+          )}
+        </>
+      )}
+      {section.vertical && (
+        <>
+          <PlaneHandle
+            handle={verticalHandle}
+            size={verticalSize}
+            visible={editing}
+          />
+          {editing && (
+            <TransformControls
+              object={verticalHandle}
+              mode={section.rotate ? "rotate" : "translate"}
+              space="local"
+              showX={false}
+              showY={section.rotate}
+              showZ={!section.rotate}
+            />
+          )}
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Html } from "@react-three/drei";
+import * as THREE from "three";
+import { floorHeight } from "../building/floors";
+import { buildingRoots } from "./cameraViews";
+import {
+  STATUS_COLORS,
+  formatReading,
+  readingStatus,
+} from "../sensors/sensors";
+
+const MARKER_RADIUS = 0.3;
+const _position = new THREE.Vector3();
+
+// Where a sensor sits in its building's frame: mid-floor at the centre
+// unless its definition says otherwise
+function sensorPosition(sensor, building) {
+  const height = floorHeight(building);
+  const [x, y, z] = sensor.position;
+  return [x ?? 0, sensor.floor * height + (y ?? height / 2), z ?? 0];
+}
+
+// A dot drawn through the walls with the latest value above it. Readings out
+// of range pulse unless motion is reduced.
+function SensorMarker({
+  sensor,
+  building,
+  reading,
+  selected,
+  reducedMotion,
+  onSelect,
+}) {
+  const dot = useRef();
+  const status = readingStatus(sensor, reading?.value);
+  const alert = status === "low" || status === "high";
+
+  useFrame(({ clock }) => {
+    if (!dot.current) return;
+    const pulse =
+      alert && !reducedMotion
+        ? 1 + 0.3 * Math.sin(clock.getElapsedTime() * 5)
+        : 1;
+    dot.current.scale.setScalar(selected ? pulse * 1.4 : pulse);
+  });
+
+  const select = (e) => {
+    e.stopPropagation();
+    onSelect(sensor.id);
+  };
+
+  return (
+    <group position={sensorPosition(sensor, building)}>
+      <mesh ref={dot} renderOrder={10} onClick={select}>
+        <sphereGeometry args={[MARKER_RADIUS, 16, 12]} />
+        <meshBasicMaterial
+          color={STATUS_COLORS[status]}
+          depthTest={false}
+          transparent
+          opacity={0.9}
+        />
+      </mesh>
+      <Html center position={[0, 0.8, 0]} zIndexRange={[15, 0]}>
+        <button
+          className={`wbv-sensor-badge wbv-sensor-${status}${
+            selected ? " wbv-selected" : ""
+          }`}
+          onClick={() => onSelect(sensor.id)}
+          title={sensor.name}
+        >
+          {formatReading(sensor, reading?.value)}
+        </button>
+      </Html>
+    </group>
+  );
+}
+
+// Sensor markers placed in each building's frame, rising and falling with the
+// buildings as they float. Floors above the cutaway keep their sensors
+// hidden with them.
+export default function SensorLayer({
+  buildings,
+  sensors,
+  latest,
+  selectedId,
+  maxFloor = null,
+  reducedMotion = false,
+  onSelect,
+}) {
+  const layer = useRef();
+  useFrame(({ scene }) => {
+    const [root] = buildingRoots(scene);
+    if (layer.current && root) {
+      layer.current.position.y = root.getWorldPosition(_position).y;
+    }
+  });
+
+  const markers = buildings.map((building) => {
+    const placed = sensors.filter(
+      (s) =>
+        s.building === building.id && (maxFloor == null || s.floor <= maxFloor)
+    );
+    if (placed.length === 0) return null;
+    return (
+      <group
+        key={building.id}
+        position={[building.position.x, 0, building.position.z]}
+        rotation-y={(building.rotation * Math.PI) / 180}
+      >
+        {placed.map((sensor) => (
+          <SensorMarker
+            key={sensor.id}
+            sensor={sensor}
+            building={building}
+            reading={latest[sensor.id]}
+            selected={sensor.id === selectedId}
+            reducedMotion={reducedMotion}
+            onSelect={onSelect}
+          />
+        ))}
+      </group>
+    );
+  });
+  return <group ref={layer}>{markers}</group>;
+}
@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+
+const MAX_PARTICLES = { rain: 16000, snow: 8000 };
+const FALL_SPEED = { rain: 22, snow: 1.6 };
+const PARTICLE_SIZE = { rain: 0.9, snow: 0.35 };
+const FOG_COLOR = "#c9ced6";
+
+// Particles fall entirely on the GPU: each one starts at a random height and
+// the vertex shader wraps it back to the top after it reaches the ground.
+const vertexShader = /* glsl */ `
+  uniform float uTime;
+  uniform float uHeight;
+  uniform float uSpeed;
+  uniform float uSize;
+  uniform float uSway;
+  uniform vec2 uDrift;
+  attribute float aSeed;
+  varying float vAlpha;
+
+  void main() {
+    vec3 p = position;
+    p.y = mod(p.y - uTime * uSpeed * (0.8 + 0.4 * aSeed), uHeight);
+    // Blown sideways by the wind for as long as it has been falling
+    p.xz += uDrift * (uHeight - p.y) / uSpeed;
+    p.x += sin(uTime * 1.3 + aSeed * 40.0) * uSway;
+    p.z += cos(uTime * 1.1 + aSeed * 30.0) * uSway;
+
+    vec4 mv = modelViewMatrix * vec4(p, 1.0);
+    gl_PointSize = uSize * (300.0 / -mv.z);
+    gl_Position = projectionMatrix * mv;
+    vAlpha = smoothstep(0.0, 1.5, p.y);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  varying float vAlpha;
+
+  void main() {
+    vec2 c = gl_PointCoord - 0.5;
+  #ifdef SNOW
+    float a = 1.0 - smoothstep(0.25, 0.5, length(c));
+    gl_FragColor = vec4(1.0, 1.0, 1.0, a * 0.9 * vAlpha);
+  #else
+    float a = 1.0 - smoothstep(0.0, 0.06, abs(c.x));
+    gl_FragColor = vec4(0.75, 0.82, 0.9, a * 0.55 * vAlpha);
+  #endif
+    if (gl_FragColor.a < 0.01) discard;
+  }
+`;
+
+function Precipitation({ kind, intensity, radius, height = 40, wind, frozen }) {
+  const max = MAX_PARTICLES[kind];
+
+  const geometry = useMemo(() => {
+    const positions = new Float32Array(max * 3);
+    const seeds = new Float32Array(max);
+    for (let i = 0; i < max; i++) {
+      positions[i * 3] = (Math.random() * 2 - 1) * radius;
+      positions[i * 3 + 1] = Math.random() * height;
+      positions[i * 3 + 2] = (Math.random() * 2 - 1) * radius;
+      seeds[i] = Math.random();
+    }
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    g.setAttribute("aSeed", new THREE.BufferAttribute(seeds, 1));
+    return g;
+  }, [max, radius, height]);
+
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        defines: kind === "snow" ? { SNOW: "" } : {},
+        transparent: true,
+        depthWrite: false,
+        uniforms: {
+          uTime: { value: 0 },
+          uHeight: { value: height },
+          uSpeed: { value: FALL_SPEED[kind] },
+          uSize: { value: PARTICLE_SIZE[kind] },
+          uSway: { value: kind === "snow" ? 0.4 : 0 },
+          uDrift: { value: new THREE.Vector2() },
+        },
+      }),
+    [kind, height]
+  );
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useEffect(() => {
+    geometry.setDrawRange(0, Math.round(max * intensity));
+  }, [geometry, max, intensity]);
+
+  useFrame((_, delta) => {
+    if (!frozen) material.uniforms.uTime.value += delta;
+    // Drift with the wind, damped so snow doesn't fly off the site
+    const [vx, vz] = wind?.velocity ?? [0, 0];
+    const damping = kind === "snow" ? 0.3 : 0.6;
+    material.uniforms.uDrift.value.set(vx * damping, vz * damping);
+  });
+
+  return (
+    <points geometry={geometry} material={material} frustumCulled={false} />
+  );
+}
+
+// Occasional double-flicker flashes from above
+function Lightning() {
+  const light = useRef();
+  const flash = useRef(0);
+  const next = useRef(2 + Math.random() * 4);
+
+  useFrame(({ clock }, delta) => {
+    const t = clock.getElapsedTime();
+    if (t > next.current) {
+      flash.current = 1;
+      next.current = t + 3 + Math.random() * 8;
+    } else if (flash.current > 0) {
+      flash.current = Math.max(0, flash.current - delta * 4);
+    }
+    // Two quick pulses inside each flash
+    const pulse =
+      flash.current > 0.55 || (flash.current > 0.2 && flash.current < 0.35);
+    if (light.current) light.current.intensity = pulse ? 6 * flash.current : 0;
+  });
+
+  return (
+    <hemisphereLight
+      ref={light}
+      args={["#dfe6ff", "#404050", 0]}
+      position={[0, 100, 0]}
+    />
+  );
+}
+
+// Rain, snow, fog and lightning for the current weather conditions. With
+// reduced motion the rain or snow hangs still and lightning doesn't flash.
+export default function WeatherEffects({
+  conditions,
+  siteRadius,
+  wind,
+  reducedMotion = false,
+}) {
+  const fogFar = THREE.MathUtils.lerp(siteRadius * 6, 30, conditions.fog);
+
+  return (
+    <>
+      {conditions.fog > 0 && (
+        <>
+          <fog attach="fog" args={[FOG_COLOR, 4, fogFar]} />
+          <color attach="background" args={[FOG_COLOR]} />
+        </>
+      )}
+      {conditions.precipitation && (
+        <Precipitation
+          key={conditions.precipitation}
+          kind={conditions.precipitation}
+          intensity={conditions.intensity}
+          radius={siteRadius}
+          wind={wind}
+          frozen={reducedMotion}
+        />
+      )}
+      {conditions.lightning && !reducedMotion && <Lightning />}
+    </>
+  );
+}
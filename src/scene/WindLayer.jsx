@@ -0,0 +1,243 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Html } from "@react-three/drei";
+import * as THREE from "three";
+import { formatDirection } from "../util/compass";
+import { convertSpeed } from "../util/units";
+
+const MAX_STREAKS = 1500;
+
+// Streaks are laid out along local +x and slide downwind on the GPU, wrapping
+// at the edge of the site. The group is rotated so +x points downwind.
+const vertexShader = /* glsl */ `
+  uniform float uTime;
+  uniform float uSpeed;
+  uniform float uLength;
+  uniform float uRange;
+  attribute float aEnd;
+  attribute float aSeed;
+  varying float vAlpha;
+
+  void main() {
+    vec3 p = position;
+    float half = uRange * 0.5;
+    float x = mod(p.x + uTime * uSpeed * (0.7 + 0.6 * aSeed) + half, uRange) - half;
+    p.x = x + aEnd * uLength;
+    p.y += sin(uTime * 0.7 + aSeed * 20.0) * 0.3;
+    float edge = 1.0 - smoothstep(0.75, 1.0, abs(x) / half);
+    vAlpha = aEnd * edge;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  varying float vAlpha;
+
+  void main() {
+    gl_FragColor = vec4(uColor, vAlpha * uOpacity);
+  }
+`;
+
+function WindStreaks({ radius, height, wind, frozen }) {
+  const geometry = useMemo(() => {
+    const positions = new Float32Array(MAX_STREAKS * 6);
+    const ends = new Float32Array(MAX_STREAKS * 2);
+    const seeds = new Float32Array(MAX_STREAKS * 2);
+    for (let i = 0; i < MAX_STREAKS; i++) {
+      const x = (Math.random() * 2 - 1) * radius;
+      const y = 0.5 + Math.random() * height;
+      const z = (Math.random() * 2 - 1) * radius;
+      const seed = Math.random();
+      positions.set([x, y, z, x, y, z], i * 6);
+      ends.set([0, 1], i * 2);
+      seeds.set([seed, seed], i * 2);
+    }
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    g.setAttribute("aEnd", new THREE.BufferAttribute(ends, 1));
+    g.setAttribute("aSeed", new THREE.BufferAttribute(seeds, 1));
+    return g;
+  }, [radius, height]);
+
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        uniforms: {
+          uTime: { value: 0 },
+          uSpeed: { value: 1 },
+          uLength: { value: 1 },
+          uRange: { value: radius * 2 },
+          uColor: { value: new THREE.Color("#ffffff") },
+          uOpacity: { value: 0.8 },
+        },
+      }),
+    [radius]
+  );
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  // Faster wind: more, longer and quicker streaks
+  useEffect(() => {
+    const count = Math.round(MAX_STREAKS * (0.1 + 0.9 * wind.strength));
+    geometry.setDrawRange(0, count * 2);
+    material.uniforms.uSpeed.value = Math.max(0.5, wind.speed * 1.5);
+    material.uniforms.uLength.value = 0.8 + wind.speed * 0.35;
+  }, [geometry, material, wind.speed, wind.strength]);
+
+  useFrame((_, delta) => {
+    if (!frozen) material.uniforms.uTime.value += delta;
+  });
+
+  return (
+    <lineSegments
+      geometry={geometry}
+      material={material}
+      frustumCulled={false}
+      raycast={() => null}
+    />
+  );
+}
+
+// Ground compass with an arrow sliding downwind, labelled in the viewer's
+// wind unit and direction format. The arrow stays put with reduced motion.
+function WindCompass({ position, wind, preferences, reducedMotion }) {
+  const arrow = useRef();
+  useFrame(({ clock }) => {
+    if (!arrow.current) return;
+    const t = clock.getElapsedTime() * (0.5 + wind.strength * 2);
+    arrow.current.position.x = reducedMotion ? 0 : (t % 1) * 1.5 - 0.75;
+  });
+
+  return (
+    <group position={position}>
+      <mesh rotation-x={-Math.PI / 2} position-y={0.02}>
+        <ringGeometry args={[3.6, 4, 48]} />
+        <meshBasicMaterial color="#1f3b57" transparent opacity={0.6} />
+      </mesh>
+      <Html position={[0, 0.1, -4.8]} center className="wbv-compass-label">
+        N
+      </Html>
+      {/* Arrow drawn along +x, turned downwind */}
+      <group rotation-y={Math.PI / 2 - (wind.to * Math.PI) / 180}>
+        <group ref={arrow} position-y={0.4}>
+          <mesh rotation-z={Math.PI / 2}>
+            <cylinderGeometry args={[0.15, 0.15, 4, 12]} />
+            <meshStandardMaterial color="#1f7ae0" />
+          </mesh>
+          <mesh position-x={2.4} rotation-z={-Math.PI / 2}>
+            <coneGeometry args={[0.5, 1.2, 16]} />
+            <meshStandardMaterial color="#1f7ae0" />
+          </mesh>
+        </group>
+      </group>
+      <Html position={[0, 0.1, 5.2]} center className="wbv-compass-label">
+        {Math.round(convertSpeed(wind.speedKmh, "km/h", preferences.wind))}{" "}
+        {preferences.wind} from{" "}
+        {formatDirection(wind.from, preferences.direction)}
+      </Html>
+    </group>
+  );
+}
+
+// Translucent sheet over the facade that faces into the wind, pulsing
+// unless motion is reduced
+export function WindwardFace({ bounds, facade, strength, reducedMotion }) {
+  const material = useRef();
+  useFrame(({ clock }) => {
+    if (!material.current) return;
+    const pulse = reducedMotion
+      ? 1
+      : 0.5 + 0.5 * Math.sin(clock.getElapsedTime() * 3);
+    material.current.opacity = 0.2 + 0.25 * strength * pulse;
+  });
+
+  if (!bounds || bounds.isEmpty()) return null;
+  const { min, max } = bounds;
+  const height = max.y - min.y;
+  const cy = (min.y + max.y) / 2;
+  const cx = (min.x + max.x) / 2;
+  const cz = (min.z + max.z) / 2;
+  const offset = 0.15;
+
+  let position;
+  let rotationY;
+  let width;
+  switch (facade) {
+    case "back":
+      position = [cx, cy, min.z - offset];
+      rotationY = Math.PI;
+      width = max.x - min.x;
+      break;
+    case "right":
+      position = [max.x + offset, cy, cz];
+      rotationY = Math.PI / 2;
+      width = max.z - min.z;
+      break;
+    case "left":
+      position = [min.x - offset, cy, cz];
+      rotationY = -Math.PI / 2;
+      width = max.z - min.z;
+      break;
+    default:
+      position = [cx, cy, max.z + offset];
+      rotationY = 0;
+      width = max.x - min.x;
+  }
+
+  return (
+    <mesh
+      position={position}
+      rotation-y={rotationY}
+      userData={{ helper: true }}
+      raycast={() => null}
+    >
+      <planeGeometry args={[width, height]} />
+      <meshBasicMaterial
+        ref={material}
+        color="#ff5a36"
+        transparent
+        opacity={0.3}
+        depthWrite={false}
+        side={THREE.DoubleSide}
+      />
+    </mesh>
+  );
+}
+
+// Streamlines and compass for the current wind. `preferences` are the
+// display preferences (see util/usePreferences.js). With reduced motion the
+// streamlines and the compass arrow hold still.
+export default function WindLayer({
+  wind,
+  siteRadius,
+  preferences,
+  reducedMotion = false,
+  height = 40,
+}) {
+  if (!wind) return null;
+  return (
+    <>
+      <group rotation-y={Math.PI / 2 - (wind.to * Math.PI) / 180}>
+        <WindStreaks
+          radius={siteRadius}
+          height={height}
+          wind={wind}
+          frozen={reducedMotion}
+        />
+      </group>
+      <WindCompass
+        position={[-siteRadius * 0.75, 0, siteRadius * 0.75]}
+        wind={wind}
+        preferences={preferences}
+        reducedMotion={reducedMotion}
+      />
+    </>
+  );
+}
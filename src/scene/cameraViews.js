@@ -0,0 +1,123 @@
+import * as THREE from "three";
+import { FACADE_NORMALS } from "./wind";
+
+// Named viewpoints. A view is one of
+//   { kind: "aerial" } | { kind: "front" }
+//   { kind: "building", buildingId } | { kind: "facade", buildingId, facade }
+//   { kind: "pose", position: [x, y, z], target: [x, y, z] }
+//   { kind: "orbit", azimuth, polar, zoom }   relative to the current camera
+// and is turned into a camera pose against the live scene, so presets keep
+// framing the site as models load or the manifest changes.
+
+export const PRESET_VIEWS = [
+  { id: "aerial", label: "Aerial", view: { kind: "aerial" } },
+  { id: "front", label: "Front", view: { kind: "front" } },
+];
+
+export const FACADES = ["front", "back", "left", "right"];
+
+// Direction from the target towards the camera
+const AERIAL_DIRECTION = new THREE.Vector3(0.35, 1.6, 1).normalize();
+const FRONT_DIRECTION = new THREE.Vector3(0, 0.3, 1).normalize();
+const FACADE_ELEVATION = 0.25;
+
+export const buildingObjectName = (id) => `building:${id}`;
+
+// The placed buildings under `object`, without the ground or weather effects
+export function buildingRoots(object, out = []) {
+  for (const child of object.children) {
+    if (child.name.startsWith("building:")) out.push(child);
+    else buildingRoots(child, out);
+  }
+  return out;
+}
+
+export function buildingsBox(scene) {
+  const box = new THREE.Box3();
+  for (const root of buildingRoots(scene)) box.expandByObject(root);
+  return box;
+}
+
+// Distance at which a sphere of `radius` fills the camera's view
+function fitDistance(camera, radius) {
+  const fov = THREE.MathUtils.degToRad(camera.fov);
+  const distance = radius / Math.sin(fov / 2);
+  // Portrait screens are limited by the horizontal field of view
+  return (distance * 1.1) / Math.min(1, camera.aspect);
+}
+
+function poseAround(camera, box, direction) {
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const distance = fitDistance(camera, Math.max(sphere.radius, 5));
+  return {
+    position: sphere.center
+      .clone()
+      .addScaledVector(direction, distance)
+      .toArray(),
+    target: sphere.center.toArray(),
+  };
+}
+
+// The camera swung `azimuth` degrees around the target (positive moves it
+// to its right), tilted `polar` degrees towards overhead and moved to `zoom`
+// times its distance. Controls clamp the result to their limits.
+export function orbitPose(
+  position,
+  target,
+  { azimuth = 0, polar = 0, zoom = 1 }
+) {
+  const offset = position.clone().sub(target);
+  const spherical = new THREE.Spherical().setFromVector3(offset);
+  spherical.theta += THREE.MathUtils.degToRad(azimuth);
+  spherical.phi = THREE.MathUtils.clamp(
+    spherical.phi - THREE.MathUtils.degToRad(polar),
+    0.01,
+    Math.PI / 2 - 0.01
+  );
+  spherical.radius *= zoom;
+  return {
+    position: new THREE.Vector3()
+      .setFromSpherical(spherical)
+      .add(target)
+      .toArray(),
+    target: target.toArray(),
+  };
+}
+
+// Camera pose for a view, or null if its building isn't in the scene.
+// Orbit views need the controls' `target`.
+export function viewPose(view, scene, camera, target) {
+  if (view.kind === "pose") return view;
+  if (view.kind === "orbit") {
+    return target ? orbitPose(camera.position, target, view) : null;
+  }
+
+  if (view.kind === "building") {
+    const obj = scene.getObjectByName(buildingObjectName(view.buildingId));
+    if (!obj) return null;
+    return poseAround(
+      camera,
+      new THREE.Box3().setFromObject(obj),
+      AERIAL_DIRECTION
+    );
+  }
+
+  if (view.kind === "facade") {
+    const obj = scene.getObjectByName(buildingObjectName(view.buildingId));
+    const normal = FACADE_NORMALS[view.facade];
+    if (!obj || !normal) return null;
+    const direction = new THREE.Vector3(normal[0], 0, normal[1])
+      .applyQuaternion(obj.getWorldQuaternion(new THREE.Quaternion()))
+      .setY(FACADE_ELEVATION)
+      .normalize();
+    return poseAround(camera, new THREE.Box3().setFromObject(obj), direction);
+  }
+
+  const box = buildingsBox(scene);
+  if (box.isEmpty()) return null;
+  return poseAround(
+    camera,
+    box,
+    view.kind === "front" ? FRONT_DIRECTION : AERIAL_DIRECTION
+  );
+}
@@ -0,0 +1,158 @@
+import * as THREE from "three";
+
+// Image and video export of the live scene.
+//
+// Images are rendered in tiles with a camera view offset, so they can be far
+// larger than the canvas or the GPU's drawing buffer limit, then stitched on
+// a 2D canvas. Objects flagged userData.helper (and transform gizmos) are
+// left out; userData.backdrop ones (sky, ground) too when the background is
+// transparent. HTML overlays such as measurement labels are not part of the
+// WebGL image.
+
+export const IMAGE_SIZES = [
+  { id: "2x", label: "2× view", scale: 2 },
+  { id: "4x", label: "4× view", scale: 4 },
+  { id: "1080p", label: "1920 × 1080", width: 1920, height: 1080 },
+  { id: "4k", label: "3840 × 2160", width: 3840, height: 2160 },
+  { id: "8k", label: "7680 × 4320", width: 7680, height: 4320 },
+];
+
+export const VIDEO_PATHS = [
+  { id: "turntable", label: "Turntable" },
+  { id: "bookmarks", label: "Bookmarks" },
+];
+
+const TILE_SIZE = 2048;
+// Browsers refuse 2D canvases much beyond this on a side
+const MAX_IMAGE_SIDE = 16384;
+const VIDEO_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+const VIDEO_FPS = 30;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Pixel size of an IMAGE_SIZES entry for a canvas of `view` CSS pixels
+export function imageSize(option, view) {
+  const [width, height] = option.scale
+    ? [view.width * option.scale, view.height * option.scale]
+    : [option.width, option.height];
+  const fit = Math.min(1, MAX_IMAGE_SIDE / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * fit)),
+    height: Math.max(1, Math.round(height * fit)),
+  };
+}
+
+function hideForCapture(scene, transparent) {
+  const hidden = [];
+  scene.traverse((obj) => {
+    if (!obj.visible) return;
+    if (
+      obj.isTransformControls ||
+      obj.userData.helper ||
+      (transparent && obj.userData.backdrop)
+    ) {
+      hidden.push(obj);
+    }
+  });
+  hidden.forEach((obj) => (obj.visible = false));
+  return () => hidden.forEach((obj) => (obj.visible = true));
+}
+
+// Render the camera's view at `width` x `height` pixels as a PNG blob
+export function renderImage(gl, scene, camera, { width, height, transparent }) {
+  const output = document.createElement("canvas");
+  output.width = width;
+  output.height = height;
+  const ctx = output.getContext("2d");
+
+  const size = gl.getSize(new THREE.Vector2());
+  const pixelRatio = gl.getPixelRatio();
+  const aspect = camera.aspect;
+  const background = scene.background;
+  const clearAlpha = gl.getClearAlpha();
+  const restoreVisibility = hideForCapture(scene, transparent);
+  if (transparent) {
+    scene.background = null;
+    gl.setClearAlpha(0);
+  }
+
+  try {
+    gl.setPixelRatio(1);
+    camera.aspect = width / height;
+    for (let y = 0; y < height; y += TILE_SIZE) {
+      for (let x = 0; x < width; x += TILE_SIZE) {
+        const w = Math.min(TILE_SIZE, width - x);
+        const h = Math.min(TILE_SIZE, height - y);
+        gl.setSize(w, h, false);
+        camera.setViewOffset(width, height, x, y, w, h);
+        gl.render(scene, camera);
+        // Read back before the browser gets a chance to clear the buffer
+        ctx.drawImage(gl.domElement, 0, 0, w, h, x, y, w, h);
+      }
+    }
+  } finally {
+    camera.clearViewOffset();
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    gl.setPixelRatio(pixelRatio);
+    gl.setSize(size.x, size.y, false);
+    gl.setClearAlpha(clearAlpha);
+    scene.background = background;
+    restoreVisibility();
+  }
+
+  return new Promise((resolve, reject) =>
+    output.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("The image is too large")),
+      "image/png"
+    )
+  );
+}
+
+// A MediaRecorder on the canvas, or an error when WebM can't be recorded
+export function createRecorder(canvas) {
+  const type =
+    typeof MediaRecorder !== "undefined" &&
+    VIDEO_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+  if (!type || !canvas.captureStream) {
+    throw new Error("This browser can't record WebM video");
+  }
+  return new MediaRecorder(canvas.captureStream(VIDEO_FPS), {
+    mimeType: type,
+  });
+}
+
+// Camera animations over progress 0..1, writing position and target
+
+// One full turn around the target, starting from the current pose
+export function turntablePath(position, target) {
+  const from = position.clone().sub(target);
+  const center = target.clone();
+  return (t, outPosition, outTarget) => {
+    outTarget.copy(center);
+    outPosition
+      .copy(from)
+      .applyAxisAngle(UP, t * Math.PI * 2)
+      .add(center);
+  };
+}
+
+// Through camera poses ({ position, target } arrays) in order, easing in
+// and out of each one
+export function posePath(poses) {
+  const stops = poses.map((p) => ({
+    position: new THREE.Vector3().fromArray(p.position),
+    target: new THREE.Vector3().fromArray(p.target),
+  }));
+  return (t, outPosition, outTarget) => {
+    const x = t * (stops.length - 1);
+    const i = Math.min(Math.floor(x), stops.length - 2);
+    const k = THREE.MathUtils.smootherstep(x - i, 0, 1);
+    outPosition.lerpVectors(stops[i].position, stops[i + 1].position, k);
+    outTarget.lerpVectors(stops[i].target, stops[i + 1].target, k);
+  };
+}
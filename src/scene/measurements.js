@@ -0,0 +1,130 @@
+import { convertLength, lengthUnit } from "../util/units";
+
+// Measurements taken in measure mode. Points are world positions in metres,
+// [x, y, z], with the ground plane at y = 0. Labels and exports show them in
+// the unit system picked in the display settings.
+
+export const MEASURE_TOOLS = [
+  { id: "distance", label: "Distance", points: 2 },
+  { id: "height", label: "Height", points: 1 },
+  // Any number of points, closed by clicking the first point again
+  { id: "area", label: "Area", points: 0 },
+  { id: "angle", label: "Angle", points: 3 },
+];
+
+export const MIN_AREA_POINTS = 3;
+
+// Power of length in each kind of value; angles have none
+const LENGTH_POWER = { distance: 1, height: 1, area: 2, angle: 0 };
+
+function displayUnit(type, system) {
+  if (type === "angle") return "°";
+  return lengthUnit(system) + (LENGTH_POWER[type] === 2 ? "²" : "");
+}
+
+function displayValue(type, value, system) {
+  return LENGTH_POWER[type]
+    ? convertLength(value, system, LENGTH_POWER[type])
+    : value;
+}
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const length = (a) => Math.sqrt(dot(a, a));
+
+// Area of a planar polygon in 3D (Newell's method)
+function polygonArea(points) {
+  const n = [0, 0, 0];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  });
+  return length(n) / 2;
+}
+
+// Angle at the middle point, in degrees
+function angleAt([a, vertex, c]) {
+  const u = sub(a, vertex);
+  const v = sub(c, vertex);
+  const cos = dot(u, v) / (length(u) * length(v) || 1);
+  return (Math.acos(Math.min(1, Math.max(-1, cos))) * 180) / Math.PI;
+}
+
+export function measureValue(type, points) {
+  switch (type) {
+    case "distance":
+      return length(sub(points[1], points[0]));
+    case "height":
+      return points[0][1];
+    case "area":
+      return polygonArea(points);
+    case "angle":
+      return angleAt(points);
+    default:
+      return NaN;
+  }
+}
+
+export function createMeasurement(id, type, points) {
+  return { id, type, points, value: measureValue(type, points) };
+}
+
+export function formatMeasurement(type, value, system = "metric") {
+  const digits = type === "angle" ? 1 : 2;
+  const unit = displayUnit(type, system);
+  const shown = displayValue(type, value, system).toFixed(digits);
+  return `${shown}${type === "angle" ? "" : " "}${unit}`;
+}
+
+function centroid(points) {
+  const sum = points.reduce(
+    (s, p) => [s[0] + p[0], s[1] + p[1], s[2] + p[2]],
+    [0, 0, 0]
+  );
+  return sum.map((v) => v / points.length);
+}
+
+// Polylines to draw and where to put the label. Heights drop a vertical
+// line to the ground; areas close their outline.
+export function measurementShape(type, points) {
+  switch (type) {
+    case "height": {
+      const [x, y, z] = points[0];
+      return {
+        lines: [[x, 0, z], points[0]],
+        labelAt: [x, y / 2, z],
+      };
+    }
+    case "area":
+      return {
+        lines: points.length > 2 ? [...points, points[0]] : [...points],
+        labelAt: centroid(points),
+      };
+    case "angle":
+      return { lines: points, labelAt: points[1] };
+    default:
+      return { lines: points, labelAt: centroid(points) };
+  }
+}
+
+const csvField = (v) => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+
+// Points are exported in the same length unit as the values
+export function measurementsToCsv(measurements, system = "metric") {
+  const coordinate = (v) => convertLength(v, system).toFixed(3);
+  const rows = measurements.map((m, i) =>
+    [
+      i + 1,
+      m.type,
+      displayValue(m.type, m.value, system).toFixed(3),
+      displayUnit(m.type, system),
+      m.points.map((p) => p.map(coordinate).join(" ")).join("; "),
+    ]
+      .map(String)
+      .map(csvField)
+      .join(",")
+  );
+  return ["#,type,value,unit,points (x y z; ...)", ...rows].join("\n");
+}
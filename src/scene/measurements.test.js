@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import {
+  createMeasurement,
+  formatMeasurement,
+  measureValue,
+  measurementsToCsv,
+} from "./measurements";
+
+describe("measureValue", () => {
+  it("measures distances, heights, areas and angles", () => {
+    expect(
+      measureValue("distance", [
+        [0, 0, 0],
+        [3, 4, 0],
+      ])
+    ).toBe(5);
+    expect(measureValue("height", [[1, 7.5, 2]])).toBe(7.5);
+    expect(
+      measureValue("area", [
+        [0, 0, 0],
+        [4, 0, 0],
+        [4, 0, 2.5],
+        [0, 0, 2.5],
+      ])
+    ).toBe(10);
+    expect(
+      measureValue("angle", [
+        [1, 0, 0],
+        [0, 0, 0],
+        [0, 0, 1],
+      ])
+    ).toBeCloseTo(90);
+  });
+});
+
+describe("formatMeasurement", () => {
+  it("shows metric values as measured", () => {
+    expect(formatMeasurement("distance", 5)).toBe("5.00 m");
+    expect(formatMeasurement("area", 10)).toBe("10.00 m²");
+    expect(formatMeasurement("angle", 90)).toBe("90.0°");
+  });
+
+  it("converts lengths and areas to imperial", () => {
+    expect(formatMeasurement("height", 3.048, "imperial")).toBe("10.00 ft");
+    expect(formatMeasurement("area", 10, "imperial")).toBe("107.64 ft²");
+    expect(formatMeasurement("angle", 90, "imperial")).toBe("90.0°");
+  });
+});
+
+describe("measurementsToCsv", () => {
+  const measurements = [
+    createMeasurement(1, "distance", [
+      [0, 0, 0],
+      [3.048, 0, 0],
+    ]),
+  ];
+
+  it("exports values and points in metres", () => {
+    expect(measurementsToCsv(measurements).split("\n")).toEqual([
+      "#,type,value,unit,points (x y z; ...)",
+      "1,distance,3.048,m,0.000 0.000 0.000; 3.048 0.000 0.000",
+    ]);
+  });
+
+  it("exports values and points in feet", () => {
+    expect(measurementsToCsv(measurements, "imperial").split("\n")[1]).toBe(
+      "1,distance,10.000,ft,0.000 0.000 0.000; 10.000 0.000 0.000"
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import * as THREE from "three";
+
+// Section planes clip the building materials only, so the ground, sky and
+// weather stay whole. Cut solids are "capped" by drawing their back faces in
+// a flat colour: looking into a clipped box you see its far inside walls,
+// which read as a filled cut face.
+
+export const SECTION_DEFAULTS = {
+  horizontal: false,
+  vertical: false,
+  // Keep the other side of the vertical plane
+  flip: false,
+  // Turn the vertical plane about the vertical axis instead of moving it
+  rotate: false,
+  // Highest floor shown, or null for all of them
+  maxFloor: null,
+};
+
+const CAP_COLOR = new THREE.Color("#b8403a");
+const CAP_GLSL = `vec4(${CAP_COLOR.toArray()
+  .map((v) => v.toFixed(3))
+  .join(", ")}, 1.0)`;
+
+// Original side of each material given a cap, and whether it is showing
+const caps = new WeakMap();
+
+function installCap(material) {
+  const state = { side: material.side, on: false };
+  const onBeforeCompile = material.onBeforeCompile;
+  const cacheKey = material.customProgramCacheKey;
+  material.onBeforeCompile = (shader, renderer) => {
+    onBeforeCompile.call(material, shader, renderer);
+    if (!state.on) return;
+    shader.fragmentShader = shader.fragmentShader.replace(
+      "#include <dithering_fragment>",
+      `#include <dithering_fragment>\n\tif (!gl_FrontFacing) gl_FragColor = ${CAP_GLSL};`
+    );
+  };
+  material.customProgramCacheKey = () =>
+    cacheKey.call(material) + (state.on ? "|section-cap" : "");
+  caps.set(material, state);
+  return state;
+}
+
+function setCap(material, on) {
+  let state = caps.get(material);
+  if (!state) {
+    if (!on) return;
+    state = installCap(material);
+  }
+  if (state.on === on) return;
+  state.on = on;
+  material.side = on ? THREE.DoubleSide : state.side;
+  material.needsUpdate = true;
+}
+
+// Clip a material by `planes` (an empty array clears it). Transparent
+// materials such as glass are clipped but not capped.
+export function clipMaterial(material, planes) {
+  if (material.clippingPlanes === planes) return;
+  material.clippingPlanes = planes;
+  material.clipShadows = true;
+  if (!material.transparent) setCap(material, planes.length > 0);
+}
+
+// Overlays flagged userData.helper (outlines, alert and wind highlights) and
+// everything under them are left whole
+export function clipObject(root, planes) {
+  if (root.userData.helper) return;
+  if (root.isMesh) {
+    if (Array.isArray(root.material)) {
+      root.material.forEach((m) => clipMaterial(m, planes));
+    } else {
+      clipMaterial(root.material, planes);
+    }
+  }
+  root.children.forEach((child) => clipObject(child, planes));
+}
+
+// Whether a raycast hit lies in a part its material clips away
+export function isClipped(hit) {
+  const { material } = hit.object;
+  const hitMaterial = Array.isArray(material)
+    ? material[hit.face?.materialIndex ?? 0]
+    : material;
+  return !!hitMaterial?.clippingPlanes?.some(
+    (plane) => plane.distanceToPoint(hit.point) < 0
+  );
+}
@@ -0,0 +1,36 @@
+import * as THREE from "three";
+import { describe, expect, it } from "vitest";
+import { clipObject } from "./section";
+
+const box = () =>
+  new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+
+describe("clipObject", () => {
+  it("clips and caps the building's meshes", () => {
+    const root = new THREE.Group();
+    const wall = box();
+    root.add(new THREE.Group().add(wall));
+    const planes = [new THREE.Plane(new THREE.Vector3(0, -1, 0), 3)];
+    clipObject(root, planes);
+    expect(wall.material.clippingPlanes).toBe(planes);
+    expect(wall.material.side).toBe(THREE.DoubleSide);
+
+    clipObject(root, []);
+    expect(wall.material.clippingPlanes).toEqual([]);
+    expect(wall.material.side).toBe(THREE.FrontSide);
+  });
+
+  it("leaves helper overlays whole", () => {
+    const root = new THREE.Group();
+    const outline = box();
+    outline.userData.helper = true;
+    const marker = new THREE.Group();
+    marker.userData.helper = true;
+    const child = box();
+    marker.add(child);
+    root.add(outline, marker);
+    clipObject(root, [new THREE.Plane()]);
+    expect(outline.material.clippingPlanes).toBeNull();
+    expect(child.material.clippingPlanes).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+import * as THREE from "three";
+
+// Snapping for measure mode: a raycast hit becomes the nearest vertex or edge
+// of the hit triangle when that is within a few pixels on screen, otherwise
+// the point on the face.
+
+export const SNAP_PIXELS = 10;
+
+const _matrix = new THREE.Matrix4();
+const _instance = new THREE.Matrix4();
+const _segment = new THREE.Line3();
+const _closest = new THREE.Vector3();
+
+function triangleInWorld({ object, face, instanceId }) {
+  _matrix.copy(object.matrixWorld);
+  if (object.isInstancedMesh && instanceId != null) {
+    object.getMatrixAt(instanceId, _instance);
+    _matrix.multiply(_instance);
+  }
+  const position = object.geometry.attributes.position;
+  return [face.a, face.b, face.c].map((i) =>
+    new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(_matrix)
+  );
+}
+
+// Triangulated quads have a diagonal that isn't a real edge: the longest
+// side, opposite a right angle
+function isQuadDiagonal(tri, i, j) {
+  const k = 3 - i - j;
+  const u = tri[i].clone().sub(tri[k]).normalize();
+  const v = tri[j].clone().sub(tri[k]).normalize();
+  return Math.abs(u.dot(v)) < 0.01;
+}
+
+export function toScreen(point, camera, size) {
+  const p = point.clone().project(camera);
+  return new THREE.Vector2(
+    ((p.x + 1) / 2) * size.width,
+    ((1 - p.y) / 2) * size.height
+  );
+}
+
+// { kind: "vertex" | "edge" | "face", point: [x, y, z], normal: [x, y, z] }
+export function snapHit(hit, camera, size, radius = SNAP_PIXELS) {
+  const tri = triangleInWorld(hit);
+  const normal = new THREE.Triangle(...tri).getNormal(new THREE.Vector3());
+  const pointer = toScreen(hit.point, camera, size);
+  const result = (kind, point) => ({
+    kind,
+    point: point.toArray(),
+    normal: normal.toArray(),
+  });
+
+  let best = null;
+  for (const vertex of tri) {
+    const d = toScreen(vertex, camera, size).distanceTo(pointer);
+    if (d <= radius && (!best || d < best.d)) best = { d, point: vertex };
+  }
+  if (best) return result("vertex", best.point);
+
+  for (const [i, j] of [
+    [0, 1],
+    [1, 2],
+    [2, 0],
+  ]) {
+    if (isQuadDiagonal(tri, i, j)) continue;
+    _segment.set(tri[i], tri[j]).closestPointToPoint(hit.point, true, _closest);
+    const d = toScreen(_closest, camera, size).distanceTo(pointer);
+    if (d <= radius && (!best || d < best.d)) {
+      best = { d, point: _closest.clone() };
+    }
+  }
+  if (best) return result("edge", best.point);
+
+  return result("face", hit.point);
+}
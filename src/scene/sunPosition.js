@@ -0,0 +1,47 @@
+// Solar position from the low-precision almanac formulas (accurate to about
+// 0.01°, plenty for shadow studies). Angles are in radians; azimuth is
+// measured clockwise from north.
+export function sunPosition(date, lat, lng) {
+  const rad = Math.PI / 180;
+  const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+
+  const meanLongitude = (280.46 + 0.9856474 * n) % 360;
+  const meanAnomaly = ((357.528 + 0.9856003 * n) % 360) * rad;
+  const eclipticLongitude =
+    (meanLongitude +
+      1.915 * Math.sin(meanAnomaly) +
+      0.02 * Math.sin(2 * meanAnomaly)) *
+    rad;
+  const obliquity = (23.439 - 0.0000004 * n) * rad;
+
+  const rightAscension = Math.atan2(
+    Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    Math.cos(eclipticLongitude)
+  );
+  const declination = Math.asin(
+    Math.sin(obliquity) * Math.sin(eclipticLongitude)
+  );
+
+  const siderealHours = (18.697374558 + 24.06570982441908 * n) % 24;
+  const hourAngle = (siderealHours * 15 + lng) * rad - rightAscension;
+  const phi = lat * rad;
+
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(declination) +
+      Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  let azimuth = Math.atan2(
+    -Math.sin(hourAngle) * Math.cos(declination),
+    Math.sin(declination) * Math.cos(phi) -
+      Math.cos(declination) * Math.sin(phi) * Math.cos(hourAngle)
+  );
+  if (azimuth < 0) azimuth += 2 * Math.PI;
+
+  return { azimuth, altitude };
+}
+
+// Unit vector towards the sun in scene space (x east, y up, -z north)
+export function sunDirection({ azimuth, altitude }) {
+  const c = Math.cos(altitude);
+  return [Math.sin(azimuth) * c, Math.sin(altitude), -Math.cos(azimuth) * c];
+}
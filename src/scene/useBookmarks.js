@@ -0,0 +1,30 @@
+import { useCallback } from "react";
+import { loadJson, useStoredState } from "../util/storage";
+
+const STORAGE_KEY = "wbv-camera-bookmarks";
+
+function loadBookmarks() {
+  const saved = loadJson(STORAGE_KEY, []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+// User-saved camera poses, kept in localStorage
+export default function useBookmarks() {
+  const [bookmarks, setBookmarks] = useStoredState(STORAGE_KEY, loadBookmarks);
+
+  const add = useCallback(
+    (name, pose) =>
+      setBookmarks((list) => [
+        ...list.filter((b) => b.name !== name),
+        { name, position: pose.position, target: pose.target },
+      ]),
+    [setBookmarks]
+  );
+
+  const remove = useCallback(
+    (name) => setBookmarks((list) => list.filter((b) => b.name !== name)),
+    [setBookmarks]
+  );
+
+  return { bookmarks, add, remove };
+}
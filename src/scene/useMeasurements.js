@@ -0,0 +1,77 @@
+import { useCallback, useState } from "react";
+import {
+  MEASURE_TOOLS,
+  MIN_AREA_POINTS,
+  createMeasurement,
+} from "./measurements";
+
+// Measure mode state: the active tool, the measurement being placed and the
+// finished ones
+export default function useMeasurements() {
+  const [tool, setToolState] = useState("distance");
+  const [draft, setDraft] = useState([]);
+  const [measurements, setMeasurements] = useState([]);
+  const [nextId, setNextId] = useState(1);
+
+  const complete = useCallback(
+    (type, points) => {
+      setMeasurements((list) => [
+        ...list,
+        createMeasurement(nextId, type, points),
+      ]);
+      setNextId((id) => id + 1);
+      setDraft([]);
+    },
+    [nextId]
+  );
+
+  const setTool = useCallback((next) => {
+    setToolState(next);
+    setDraft([]);
+  }, []);
+
+  const addPoint = useCallback(
+    (point) => {
+      const needed = MEASURE_TOOLS.find((t) => t.id === tool)?.points;
+      const points = [...draft, point];
+      if (needed && points.length >= needed) complete(tool, points);
+      else setDraft(points);
+    },
+    [tool, draft, complete]
+  );
+
+  // Close an area outline
+  const finish = useCallback(() => {
+    if (tool === "area" && draft.length >= MIN_AREA_POINTS) {
+      complete(tool, draft);
+    }
+  }, [tool, draft, complete]);
+
+  // Step back: the last placed point, or else the last measurement
+  const undo = useCallback(() => {
+    if (draft.length) setDraft((d) => d.slice(0, -1));
+    else setMeasurements((list) => list.slice(0, -1));
+  }, [draft.length]);
+
+  const remove = useCallback(
+    (id) => setMeasurements((list) => list.filter((m) => m.id !== id)),
+    []
+  );
+
+  const clear = useCallback(() => {
+    setDraft([]);
+    setMeasurements([]);
+  }, []);
+
+  return {
+    tool,
+    setTool,
+    draft,
+    measurements,
+    addPoint,
+    finish,
+    undo,
+    remove,
+    clear,
+  };
+}
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { zonedClock, zonedTimeToDate } from "../util/time";
+
+// "Play day" advances the clock this many minutes per tick
+const PLAY_STEP_MINUTES = 4;
+const PLAY_TICK_MS = 50;
+
+// Date and time driving the sun, in the site's time zone. Follows the real
+// clock until the user picks a date or time, or plays the day.
+export default function useSunClock(timeZone) {
+  const [now, setNow] = useState(() => new Date());
+  const [manual, setManual] = useState(null);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    if (manual) return;
+    const id = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(id);
+  }, [manual]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const id = setInterval(() => {
+      setManual((c) => ({
+        ...c,
+        minutes: (c.minutes + PLAY_STEP_MINUTES) % 1440,
+      }));
+    }, PLAY_TICK_MS);
+    return () => clearInterval(id);
+  }, [playing]);
+
+  const clock = manual || zonedClock(now, timeZone);
+
+  const date = useMemo(
+    () => zonedTimeToDate(clock.date, clock.minutes, timeZone),
+    [clock.date, clock.minutes, timeZone]
+  );
+
+  const setClock = useCallback((next) => setManual(next), []);
+
+  const resetToNow = useCallback(() => {
+    setPlaying(false);
+    setManual(null);
+    setNow(new Date());
+  }, []);
+
+  const togglePlay = useCallback(() => {
+    setManual((c) => c || zonedClock(new Date(), timeZone));
+    setPlaying((p) => !p);
+  }, [timeZone]);
+
+  return {
+    clock,
+    date,
+    live: !manual,
+    playing,
+    setClock,
+    resetToNow,
+    togglePlay,
+  };
+}
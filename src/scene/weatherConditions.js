@@ -0,0 +1,67 @@
+// How a WMO weather code should look in the 3D scene.
+//
+// precipitation: "rain" | "snow" | null, intensity: 0..1 (particle density),
+// fog: 0..1, overcast: 0..1 (how much the sky and lights are dimmed),
+// lightning: whether to flash
+
+const CLEAR = {
+  precipitation: null,
+  intensity: 0,
+  fog: 0,
+  overcast: 0,
+  lightning: false,
+};
+
+const rain = (intensity, overcast = 0.8) => ({
+  ...CLEAR,
+  precipitation: "rain",
+  intensity,
+  overcast,
+});
+
+const snow = (intensity) => ({
+  ...CLEAR,
+  precipitation: "snow",
+  intensity,
+  overcast: 0.7,
+});
+
+const CONDITIONS = {
+  0: CLEAR,
+  1: { ...CLEAR, overcast: 0.15 },
+  2: { ...CLEAR, overcast: 0.4 },
+  3: { ...CLEAR, overcast: 1 },
+  45: { ...CLEAR, fog: 0.7, overcast: 0.6 },
+  48: { ...CLEAR, fog: 1, overcast: 0.7 },
+  // Drizzle and freezing drizzle
+  51: rain(0.15, 0.6),
+  53: rain(0.25, 0.7),
+  55: rain(0.35, 0.8),
+  56: rain(0.2, 0.7),
+  57: rain(0.35, 0.8),
+  // Rain, freezing rain and showers
+  61: rain(0.45),
+  63: rain(0.7),
+  65: rain(1, 0.95),
+  66: rain(0.45),
+  67: rain(1, 0.95),
+  80: rain(0.5),
+  81: rain(0.75),
+  82: rain(1, 0.95),
+  // Snow, snow grains and snow showers
+  71: snow(0.35),
+  73: snow(0.65),
+  75: snow(1),
+  77: snow(0.3),
+  85: snow(0.6),
+  86: snow(1),
+  // Thunderstorm, with and without hail
+  95: { ...rain(0.9, 1), lightning: true },
+  96: { ...rain(0.9, 1), lightning: true },
+  99: { ...rain(1, 1), lightning: true },
+};
+
+export function sceneConditions(weathercode) {
+  const code = Number(weathercode);
+  return CONDITIONS[code] || CLEAR;
+}
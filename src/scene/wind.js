@@ -0,0 +1,60 @@
+import { bearingVector } from "../util/compass";
+import { convertSpeed } from "../util/units";
+
+// Outward facade normals in building-local space, as [x, z]
+export const FACADE_NORMALS = {
+  front: [0, 1],
+  back: [0, -1],
+  right: [1, 0],
+  left: [-1, 0],
+};
+
+// Wind as the scene needs it: `from` is the meteorological direction (where
+// the wind blows from), `to` is the direction the air moves.
+export function windState(weather) {
+  const speedKmh = convertSpeed(
+    weather?.windspeed,
+    weather?.units?.windspeed ?? "km/h",
+    "km/h"
+  );
+  const from = weather?.winddirection;
+  if (!Number.isFinite(speedKmh) || !Number.isFinite(from)) return null;
+  const to = (from + 180) % 360;
+  const speed = speedKmh / 3.6;
+  const [x, z] = bearingVector(to);
+  return {
+    speedKmh,
+    speed,
+    from,
+    to,
+    velocity: [x * speed, z * speed],
+    // 0 for calm, 1 from about gale force upwards
+    strength: Math.min(1, speedKmh / 60),
+  };
+}
+
+function bearingOf(x, z) {
+  const deg = (Math.atan2(x, -z) * 180) / Math.PI;
+  return (deg + 360) % 360;
+}
+
+// Which facade of a building (rotated `rotation` degrees about the vertical)
+// faces most directly into a wind blowing from `windFrom` degrees
+export function windwardFacade(rotation, windFrom) {
+  const [ux, uz] = bearingVector(windFrom);
+  const r = (rotation * Math.PI) / 180;
+  const cos = Math.cos(r);
+  const sin = Math.sin(r);
+
+  let best = null;
+  for (const [facade, [nx, nz]] of Object.entries(FACADE_NORMALS)) {
+    // Building rotation-y applied to the local normal
+    const x = nx * cos + nz * sin;
+    const z = -nx * sin + nz * cos;
+    const exposure = x * ux + z * uz;
+    if (!best || exposure > best.exposure) {
+      best = { facade, exposure, bearing: bearingOf(x, z) };
+    }
+  }
+  return best;
+}
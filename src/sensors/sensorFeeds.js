@@ -0,0 +1,90 @@
+// A sensor feed is any object of the form
+//
+// {
+//   id: "websocket",
+//   name: "Building sensors",
+//   connect({ onReadings, onStatus }) -> close()
+// }
+//
+// onReadings receives a list of { sensor, value, time } where sensor is a
+// sensor id and time is epoch milliseconds. onStatus receives "connecting",
+// "live" or "closed", and "error" with an Error once the connection is lost;
+// the viewer reconnects. The built-in feeds accept messages holding a single
+// reading, a list of them or { readings: [...] }, with `time` optional.
+//
+// The viewer accepts a feed object, or a URL: ws:// and wss:// open a
+// WebSocket, anything else an EventSource (server-sent events).
+
+export function parseReadings(message, now = Date.now()) {
+  let data;
+  try {
+    data = typeof message === "string" ? JSON.parse(message) : message;
+  } catch {
+    return [];
+  }
+  const list = Array.isArray(data) ? data : data?.readings || [data];
+  return list
+    .filter((r) => r && r.sensor != null && typeof r.value === "number")
+    .map((r) => ({
+      sensor: String(r.sensor),
+      value: r.value,
+      time: r.time != null ? new Date(r.time).getTime() || now : now,
+    }));
+}
+
+export function createWebSocketFeed({ url, name = "Sensors" }) {
+  if (!url) throw new Error("WebSocket feed needs a url");
+  return {
+    id: "websocket",
+    name,
+    connect({ onReadings, onStatus }) {
+      const socket = new WebSocket(url);
+      let closing = false;
+      onStatus("connecting");
+      socket.onopen = () => onStatus("live");
+      socket.onmessage = (e) => onReadings(parseReadings(e.data));
+      socket.onclose = () => {
+        if (!closing) onStatus("error", new Error("Sensor feed disconnected"));
+      };
+      return () => {
+        closing = true;
+        socket.close();
+        onStatus("closed");
+      };
+    },
+  };
+}
+
+export function createEventSourceFeed({ url, name = "Sensors", event }) {
+  if (!url) throw new Error("Event stream feed needs a url");
+  return {
+    id: "event-source",
+    name,
+    connect({ onReadings, onStatus }) {
+      const source = new EventSource(url);
+      const onMessage = (e) => onReadings(parseReadings(e.data));
+      onStatus("connecting");
+      source.onopen = () => onStatus("live");
+      source.addEventListener(event || "message", onMessage);
+      // EventSource retries on its own, but without backoff; the viewer's
+      // reconnect takes over instead
+      source.onerror = () => {
+        source.close();
+        onStatus("error", new Error("Sensor feed disconnected"));
+      };
+      return () => {
+        source.close();
+        onStatus("closed");
+      };
+    },
+  };
+}
+
+export function resolveSensorFeed(feed) {
+  if (!feed) return null;
+  if (typeof feed.connect === "function") return feed;
+  const url = String(feed);
+  return /^wss?:/i.test(url)
+    ? createWebSocketFeed({ url })
+    : createEventSourceFeed({ url });
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { parseReadings } from "./sensorFeeds";
+
+const NOW = Date.parse("2025-06-01T12:00:00Z");
+
+describe("parseReadings", () => {
+  it("reads a single reading, a list or { readings }", () => {
+    const reading = { sensor: "t1", value: 21.5, time: "2025-06-01T11:59Z" };
+    const parsed = [
+      { sensor: "t1", value: 21.5, time: Date.parse("2025-06-01T11:59Z") },
+    ];
+    expect(parseReadings(JSON.stringify(reading), NOW)).toEqual(parsed);
+    expect(parseReadings(JSON.stringify([reading]), NOW)).toEqual(parsed);
+    expect(parseReadings({ readings: [reading] }, NOW)).toEqual(parsed);
+  });
+
+  it("stamps readings without a valid time with now", () => {
+    expect(
+      parseReadings(
+        [
+          { sensor: 7, value: 1 },
+          { sensor: "b", value: 2, time: "soon" },
+        ],
+        NOW
+      )
+    ).toEqual([
+      { sensor: "7", value: 1, time: NOW },
+      { sensor: "b", value: 2, time: NOW },
+    ]);
+  });
+
+  it("drops readings without a sensor or numeric value", () => {
+    expect(
+      parseReadings([{ value: 1 }, { sensor: "a", value: "1" }, null], NOW)
+    ).toEqual([]);
+  });
+
+  it("ignores messages that aren't JSON", () => {
+    expect(parseReadings("ping", NOW)).toEqual([]);
+  });
+});
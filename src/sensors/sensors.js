@@ -0,0 +1,108 @@
+// Sensor definitions, listed in the site manifest next to the buildings:
+//
+// "sensors": [
+//   {
+//     "id": "B-2-co2",
+//     "building": "B",                      // manifest building id
+//     "floor": 2,                           // floor index, 0 = ground
+//     "position": [2, 1.2, -1],             // metres in the building's frame; y
+//                                           // is above the floor, defaults to mid-floor
+//     "kind": "co2",                        // temperature | humidity | co2 | occupancy | other
+//     "name": "Level 2 open office",
+//     "unit": "ppm",                        // per-kind default if omitted
+//     "range": { "min": 400, "max": 1000 }  // readings outside raise an alert
+//   }
+// ]
+
+export const SENSOR_KINDS = {
+  temperature: {
+    label: "Temperature",
+    unit: "°C",
+    range: { min: 18, max: 27 },
+  },
+  humidity: { label: "Humidity", unit: "%", range: { min: 30, max: 60 } },
+  co2: { label: "CO₂", unit: "ppm", range: { min: null, max: 1000 } },
+  occupancy: {
+    label: "Occupancy",
+    unit: "people",
+    range: { min: null, max: null },
+  },
+  other: { label: "Reading", unit: "", range: { min: null, max: null } },
+};
+
+export const STATUS_COLORS = {
+  ok: "#2e9d57",
+  low: "#2f6fd6",
+  high: "#d83a2e",
+  unknown: "#8a8f98",
+};
+
+function bound(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeSensor(raw, index, buildingIds) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`Manifest sensor #${index} is not an object`);
+  }
+  const id = raw.id != null ? String(raw.id) : "";
+  if (!id) throw new Error(`Manifest sensor #${index} is missing an id`);
+  const building = raw.building != null ? String(raw.building) : "";
+  if (!buildingIds.has(building)) {
+    throw new Error(`Sensor "${id}" names unknown building "${building}"`);
+  }
+
+  const kind = raw.kind in SENSOR_KINDS ? raw.kind : "other";
+  const defaults = SENSOR_KINDS[kind];
+  const position = Array.isArray(raw.position)
+    ? [0, 1, 2].map((i) => bound(raw.position[i]))
+    : [null, null, null];
+
+  return {
+    id,
+    building,
+    floor: Math.max(0, Math.floor(Number(raw.floor) || 0)),
+    position,
+    kind,
+    name: raw.name ? String(raw.name) : id,
+    unit: raw.unit != null ? String(raw.unit) : defaults.unit,
+    range: {
+      min: raw.range ? bound(raw.range.min) : defaults.range.min,
+      max: raw.range ? bound(raw.range.max) : defaults.range.max,
+    },
+  };
+}
+
+// Validate the manifest's sensor list against its buildings. Throws on bad
+// input, like the rest of the manifest.
+export function normalizeSensors(raw, buildings) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) throw new Error("Manifest sensors must be a list");
+  const buildingIds = new Set(buildings.map((b) => b.id));
+  const sensors = raw.map((s, i) => normalizeSensor(s, i, buildingIds));
+  const seen = new Set();
+  for (const s of sensors) {
+    if (seen.has(s.id)) throw new Error(`Duplicate sensor id "${s.id}"`);
+    seen.add(s.id);
+  }
+  return sensors;
+}
+
+// "ok", "low" or "high" against the sensor's range; "unknown" without a value
+export function readingStatus(sensor, value) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return "unknown";
+  if (sensor.range.min != null && value < sensor.range.min) return "low";
+  if (sensor.range.max != null && value > sensor.range.max) return "high";
+  return "ok";
+}
+
+export function formatReading(sensor, value) {
+  if (typeof value !== "number") return "–";
+  const rounded =
+    Number.isInteger(value) || Math.abs(value) >= 100
+      ? Math.round(value)
+      : value.toFixed(1);
+  return sensor.unit ? `${rounded} ${sensor.unit}` : String(rounded);
+}
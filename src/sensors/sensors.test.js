@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { formatReading, normalizeSensors, readingStatus } from "./sensors";
+
+const buildings = [{ id: "A" }, { id: "B" }];
+
+describe("normalizeSensors", () => {
+  it("fills in kind defaults", () => {
+    const [sensor] = normalizeSensors(
+      [{ id: "B-2-co2", building: "B", floor: 2.7, kind: "co2" }],
+      buildings
+    );
+    expect(sensor).toEqual({
+      id: "B-2-co2",
+      building: "B",
+      floor: 2,
+      position: [null, null, null],
+      kind: "co2",
+      name: "B-2-co2",
+      unit: "ppm",
+      range: { min: null, max: 1000 },
+    });
+  });
+
+  it("keeps the manifest's own name, unit, range and position", () => {
+    const [sensor] = normalizeSensors(
+      [
+        {
+          id: 7,
+          building: "A",
+          kind: "vibration",
+          name: "Pump",
+          unit: "mm/s",
+          position: [1, "1.2", "x"],
+          range: { max: "4.5" },
+        },
+      ],
+      buildings
+    );
+    expect(sensor).toMatchObject({
+      id: "7",
+      kind: "other",
+      name: "Pump",
+      unit: "mm/s",
+      position: [1, 1.2, null],
+      range: { min: null, max: 4.5 },
+    });
+  });
+
+  it("has no sensors without a list", () => {
+    expect(normalizeSensors(undefined, buildings)).toEqual([]);
+  });
+
+  it("rejects bad sensor lists", () => {
+    expect(() => normalizeSensors({}, buildings)).toThrow("must be a list");
+    expect(() => normalizeSensors([{ building: "A" }], buildings)).toThrow(
+      "missing an id"
+    );
+    expect(() =>
+      normalizeSensors([{ id: "s", building: "C" }], buildings)
+    ).toThrow('unknown building "C"');
+    expect(() =>
+      normalizeSensors(
+        [
+          { id: "s", building: "A" },
+          { id: "s", building: "B" },
+        ],
+        buildings
+      )
+    ).toThrow('Duplicate sensor id "s"');
+  });
+});
+
+const sensor = { unit: "°C", range: { min: 18, max: 27 } };
+
+describe("readingStatus", () => {
+  it("compares readings with the sensor's range", () => {
+    expect(readingStatus(sensor, 17.9)).toBe("low");
+    expect(readingStatus(sensor, 22)).toBe("ok");
+    expect(readingStatus(sensor, 27.1)).toBe("high");
+    expect(readingStatus(sensor, undefined)).toBe("unknown");
+  });
+});
+
+describe("formatReading", () => {
+  it("rounds readings and adds the sensor's unit", () => {
+    expect(formatReading(sensor, 21.44)).toBe("21.4 °C");
+    expect(formatReading({ unit: "" }, 1234.5)).toBe("1235");
+    expect(formatReading(sensor, null)).toBe("–");
+  });
+});
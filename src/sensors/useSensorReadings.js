@@ -0,0 +1,96 @@
+import { useEffect, useMemo, useState } from "react";
+import { retryDelay } from "../weather/useWeather";
+import { readingStatus } from "./sensors";
+
+// Readings kept per sensor for its history chart
+const HISTORY_LENGTH = 120;
+
+// Live readings from a sensor feed: a short history per sensor, the latest
+// reading of each and the sensors currently out of range, newest first. A
+// lost connection is retried with the same backoff as the weather.
+export default function useSensorReadings(
+  feed,
+  sensors,
+  { historyLength = HISTORY_LENGTH } = {}
+) {
+  const [history, setHistory] = useState({});
+  const [status, setStatus] = useState("closed");
+  const [error, setError] = useState(null);
+  const [failures, setFailures] = useState(0);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!feed) return;
+    const fail = (err) => {
+      setStatus("error");
+      setError(err || new Error("Sensor feed failed"));
+      setFailures((n) => n + 1);
+    };
+    let close;
+    try {
+      close = feed.connect({
+        onReadings: (readings) => {
+          if (!readings.length) return;
+          setHistory((current) => {
+            const next = { ...current };
+            for (const { sensor, time, value } of readings) {
+              const list = (next[sensor] || []).concat({ time, value });
+              next[sensor] = list.slice(-historyLength);
+            }
+            return next;
+          });
+        },
+        onStatus: (next, err) => {
+          if (next === "error") return fail(err);
+          setStatus(next);
+          if (next === "live") {
+            setFailures(0);
+            setError(null);
+          }
+        },
+      });
+    } catch (err) {
+      fail(err);
+    }
+    return () => close?.();
+  }, [feed, attempt, historyLength]);
+
+  useEffect(() => {
+    if (!feed || status !== "error") return;
+    const timer = setTimeout(
+      () => setAttempt((n) => n + 1),
+      retryDelay(failures)
+    );
+    return () => clearTimeout(timer);
+  }, [feed, status, failures]);
+
+  const latest = useMemo(() => {
+    const out = {};
+    for (const [id, list] of Object.entries(history)) {
+      out[id] = list[list.length - 1];
+    }
+    return out;
+  }, [history]);
+
+  const alerts = useMemo(
+    () =>
+      sensors
+        .map((sensor) => ({
+          sensor,
+          reading: latest[sensor.id],
+          status: readingStatus(sensor, latest[sensor.id]?.value),
+        }))
+        .filter((a) => a.status === "low" || a.status === "high")
+        .sort((a, b) => b.reading.time - a.reading.time),
+    [sensors, latest]
+  );
+
+  return {
+    latest,
+    history,
+    status: feed ? status : "closed",
+    error,
+    retryIn: status === "error" ? retryDelay(failures) : null,
+    alerts,
+  };
+}
@@ -0,0 +1,170 @@
+// Site manifest: the list of buildings the viewer places on the ground plane.
+//
+// {
+//   "site": { "name": "Main Campus", "origin": { "lat": 12.8385, "lng": 80.1697 } },
+//   "buildings": [
+//     {
+//       "id": "A",
+//       "name": "Block A",
+//       "address": "Mambakkam, Chennai",
+//       "lat": 12.8385,
+//       "lng": 80.1697,
+//       "modelUrl": "/models/block-a.ifc",  // or "procedural": { ... }
+//       "format": "ifc",                    // only if the URL has no extension
+//       "units": "mm",                      // mm | cm | m | in | ft; guessed if omitted
+//       "upAxis": "z",                      // y | z; per-format default if omitted
+//       "position": { "x": 0, "z": 0 },     // metres; derived from lat/lng if omitted
+//       "rotation": 0,                      // degrees around the vertical axis
+//       "metadata": {                       // shown by the element inspector
+//         "floors": { "1": { "tenant": "Acme" } },  // by floor index
+//         "elements": { "entrance": { ... } }       // by element id or name
+//       }
+//     }
+//   ],
+//   "sensors": [ ... ]                      // optional; see sensors/sensors.js
+// }
+
+import { modelFormat } from "../building/modelFormats";
+import { UNIT_SCALE, UP_AXES } from "../building/normalizeModel";
+import { normalizeSensors } from "../sensors/sensors";
+
+const EARTH_RADIUS_M = 6371008.8;
+
+// Equirectangular projection of lat/lng to scene metres around the site origin.
+// Good enough for a campus; x points east and -z points north.
+export function projectToSite({ lat, lng }, origin) {
+  const rad = Math.PI / 180;
+  const x =
+    (lng - origin.lng) * rad * EARTH_RADIUS_M * Math.cos(origin.lat * rad);
+  const z = -(lat - origin.lat) * rad * EARTH_RADIUS_M;
+  return { x, z };
+}
+
+function isFiniteNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function normalizeBuilding(raw, index, origin) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`Manifest building #${index} is not an object`);
+  }
+  const id = raw.id != null ? String(raw.id) : "";
+  if (!id) throw new Error(`Manifest building #${index} is missing an id`);
+
+  const lat = Number(raw.lat);
+  const lng = Number(raw.lng);
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lng)) {
+    throw new Error(`Manifest building "${id}" needs numeric lat and lng`);
+  }
+
+  // gltfUrl is the older name for modelUrl
+  const modelUrl = String(raw.modelUrl || raw.gltfUrl || "");
+  const format = modelUrl
+    ? modelFormat(raw.format ? `.${raw.format}` : modelUrl)
+    : "";
+  if (modelUrl && !format) {
+    throw new Error(
+      `Manifest building "${id}" has a model of unknown format; set "format"`
+    );
+  }
+
+  const units = raw.units ? String(raw.units) : "";
+  if (units && !(units in UNIT_SCALE)) {
+    throw new Error(`Manifest building "${id}" has unknown units "${units}"`);
+  }
+  const upAxis = raw.upAxis ? String(raw.upAxis).toLowerCase() : "";
+  if (upAxis && !UP_AXES.includes(upAxis)) {
+    throw new Error(`Manifest building "${id}" upAxis must be "y" or "z"`);
+  }
+
+  let position;
+  if (raw.position && typeof raw.position === "object") {
+    position = {
+      x: Number(raw.position.x) || 0,
+      z: Number(raw.position.z) || 0,
+    };
+  } else {
+    position = projectToSite({ lat, lng }, origin);
+  }
+
+  return {
+    id,
+    name: raw.name ? String(raw.name) : id,
+    address: raw.address ? String(raw.address) : "",
+    lat,
+    lng,
+    modelUrl,
+    modelFormat: format,
+    modelUnits: units,
+    modelUpAxis: upAxis,
+    procedural:
+      raw.procedural && typeof raw.procedural === "object"
+        ? raw.procedural
+        : {},
+    position,
+    rotation: Number(raw.rotation) || 0,
+    metadata:
+      raw.metadata && typeof raw.metadata === "object" ? raw.metadata : {},
+  };
+}
+
+// Validate a parsed manifest and fill in defaults. Throws on bad input so the
+// viewer can surface the problem instead of rendering an empty site.
+export function normalizeManifest(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Manifest must be a JSON object");
+  }
+  const list = Array.isArray(raw) ? raw : raw.buildings;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Manifest must list at least one building");
+  }
+
+  const site = (!Array.isArray(raw) && raw.site) || {};
+  const first = list[0] || {};
+  const origin = {
+    lat: Number(site.origin?.lat ?? first.lat),
+    lng: Number(site.origin?.lng ?? first.lng),
+  };
+  if (!isFiniteNumber(origin.lat) || !isFiniteNumber(origin.lng)) {
+    throw new Error("Manifest site origin needs numeric lat and lng");
+  }
+
+  const buildings = list.map((b, i) => normalizeBuilding(b, i, origin));
+  const seen = new Set();
+  for (const b of buildings) {
+    if (seen.has(b.id)) throw new Error(`Duplicate building id "${b.id}"`);
+    seen.add(b.id);
+  }
+
+  return {
+    site: { name: site.name ? String(site.name) : "", origin },
+    buildings,
+    sensors: normalizeSensors(
+      Array.isArray(raw) ? null : raw.sensors,
+      buildings
+    ),
+  };
+}
+
+// Single-building manifest for the legacy modelUrl/buildingId/coords props.
+export function manifestFromProps({ modelUrl, buildingId, coords }) {
+  return normalizeManifest({
+    site: { origin: coords },
+    buildings: [
+      {
+        id: buildingId,
+        name: buildingId,
+        lat: coords.lat,
+        lng: coords.lng,
+        modelUrl,
+        position: { x: 0, z: 0 },
+      },
+    ],
+  });
+}
+
+export async function loadManifest(url, { signal } = {}) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Manifest fetch failed (${res.status})`);
+  return normalizeManifest(await res.json());
+}
@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+import {
+  ALERT_METRICS,
+  ALL_BUILDINGS,
+  CONDITION_GROUPS,
+  describeRule,
+  findMetric,
+} from "../alerts/alertRules";
+import {
+  notificationPermission,
+  requestNotifications,
+} from "../alerts/notifications";
+import { temperatureUnit } from "../util/units";
+
+const NEW_RULE = {
+  building: ALL_BUILDINGS,
+  metric: "windGusts",
+  op: "above",
+  value: "40",
+  condition: CONDITION_GROUPS[0].id,
+};
+
+// Unit a new threshold is entered in, from the display preferences
+function ruleUnit(metric, preferences) {
+  if (metric.kind === "speed") return preferences.wind;
+  if (metric.kind === "temperature") return temperatureUnit(preferences.units);
+  return "";
+}
+
+function RuleForm({ buildings, preferences, onAdd }) {
+  const [draft, setDraft] = useState(NEW_RULE);
+  const metric = findMetric(draft.metric);
+  const unit = ruleUnit(metric, preferences);
+  const condition = metric.kind === "condition";
+  const value = Number(draft.value);
+  const valid = condition || (draft.value !== "" && Number.isFinite(value));
+  const set = (patch) => setDraft({ ...draft, ...patch });
+
+  const add = () => {
+    onAdd(
+      condition
+        ? {
+            building: draft.building,
+            metric: draft.metric,
+            value: draft.condition,
+          }
+        : {
+            building: draft.building,
+            metric: draft.metric,
+            op: draft.op,
+            value,
+            unit,
+          }
+    );
+  };
+
+  return (
+    <div className="wbv-alert-form">
+      <label>
+        Building
+        <select
+          value={draft.building}
+          onChange={(e) => set({ building: e.target.value })}
+        >
+          <option value={ALL_BUILDINGS}>All buildings</option>
+          {buildings.map((b) => (
+            <option key={b.id} value={b.id}>
+              {b.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        When
+        <select
+          value={draft.metric}
+          onChange={(e) => set({ metric: e.target.value })}
+        >
+          {ALERT_METRICS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {condition ? (
+        <label>
+          Is
+          <select
+            value={draft.condition}
+            onChange={(e) => set({ condition: e.target.value })}
+          >
+            {CONDITION_GROUPS.map((g) => (
+              <option key={g.id} value={g.id}>
+                {g.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : (
+        <div className="wbv-alert-threshold">
+          <select
+            aria-label="Comparison"
+            value={draft.op}
+            onChange={(e) => set({ op: e.target.value })}
+          >
+            <option value="above">above</option>
+            <option value="below">below</option>
+          </select>
+          <input
+            type="number"
+            aria-label={`Threshold in ${unit}`}
+            value={draft.value}
+            onChange={(e) => set({ value: e.target.value })}
+          />
+          <span>{unit}</span>
+        </div>
+      )}
+      <button onClick={add} disabled={!valid}>
+        Add rule
+      </button>
+    </div>
+  );
+}
+
+// Weather alerts raised by the user's rules, the rules themselves and the
+// switch for browser notifications
+export default function AlertPanel({
+  alerts,
+  unchecked,
+  rules,
+  buildings,
+  preferences,
+  locale,
+  onAdd,
+  onRemove,
+  onSelect,
+}) {
+  const [permission, setPermission] = useState(notificationPermission);
+  const name = (id) =>
+    id === ALL_BUILDINGS
+      ? "All buildings"
+      : (buildings.find((b) => b.id === id)?.name ?? id);
+
+  return (
+    <details
+      className={`wbv-panel wbv-alerts${alerts.length ? " wbv-alerts-raised" : ""}`}
+    >
+      <summary className="wbv-panel-title">
+        Weather alerts{alerts.length > 0 && ` (${alerts.length})`}
+      </summary>
+
+      <div className="wbv-alert-list" aria-live="assertive">
+        {rules.length === 0 ? (
+          <div className="wbv-alert-hint">No rules yet</div>
+        ) : alerts.length === 0 ? (
+          <div className="wbv-alert-hint">No rules triggered</div>
+        ) : (
+          alerts.map(({ key, building, rule, value, since }) => (
+            <button
+              key={key}
+              className="wbv-alert"
+              onClick={() => onSelect(building)}
+            >
+              <strong>{building.name}</strong>: {describeRule(rule)}
+              {rule.metric !== "condition" && ` (now ${value} ${rule.unit})`}
+              <span className="wbv-alert-time">
+                since{" "}
+                {new Date(since).toLocaleTimeString(locale, {
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </span>
+            </button>
+          ))
+        )}
+        {unchecked.length > 0 && (
+          <div className="wbv-error">
+            Can't check weather for {unchecked.map((b) => b.name).join(", ")}
+          </div>
+        )}
+      </div>
+
+      {rules.length > 0 && (
+        <ul className="wbv-alert-rules">
+          {rules.map((rule) => (
+            <li key={rule.id}>
+              <span>
+                {name(rule.building)}: {describeRule(rule)}
+              </span>
+              <button
+                onClick={() => onRemove(rule.id)}
+                aria-label={`Remove rule ${describeRule(rule)}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <RuleForm buildings={buildings} preferences={preferences} onAdd={onAdd} />
+
+      {permission === "default" && (
+        <button onClick={() => requestNotifications().then(setPermission)}>
+          Enable browser notifications
+        </button>
+      )}
+      {permission === "denied" && (
+        <div className="wbv-alert-hint">
+          Browser notifications are blocked for this page
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+import { IMAGE_SIZES, VIDEO_PATHS } from "../scene/capture";
+
+const VIDEO_SECONDS = [5, 10, 20, 30];
+
+// PNG snapshot and WebM turntable / bookmark fly-through export
+export default function CapturePanel({
+  busy,
+  error,
+  bookmarkCount,
+  onImage,
+  onVideo,
+}) {
+  const [sizeId, setSizeId] = useState(IMAGE_SIZES[0].id);
+  const [transparent, setTransparent] = useState(false);
+  const [path, setPath] = useState("turntable");
+  const [seconds, setSeconds] = useState(10);
+  const pathReady = path !== "bookmarks" || bookmarkCount >= 2;
+
+  return (
+    <div className="wbv-panel wbv-capture">
+      <div className="wbv-panel-title">Export</div>
+      <label>
+        Image size
+        <select value={sizeId} onChange={(e) => setSizeId(e.target.value)}>
+          {IMAGE_SIZES.map(({ id, label }) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="wbv-checkbox">
+        <input
+          type="checkbox"
+          checked={transparent}
+          onChange={(e) => setTransparent(e.target.checked)}
+        />
+        Transparent background
+      </label>
+      <button
+        disabled={busy}
+        onClick={() =>
+          onImage({
+            size: IMAGE_SIZES.find((s) => s.id === sizeId),
+            transparent,
+          })
+        }
+      >
+        Save PNG
+      </button>
+
+      <div className="wbv-capture-video">
+        <label>
+          Video
+          <select value={path} onChange={(e) => setPath(e.target.value)}>
+            {VIDEO_PATHS.map(({ id, label }) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Length
+          <select
+            value={seconds}
+            onChange={(e) => setSeconds(Number(e.target.value))}
+          >
+            {VIDEO_SECONDS.map((s) => (
+              <option key={s} value={s}>
+                {s} s
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {!pathReady && (
+        <div className="wbv-capture-hint">Save two or more bookmarks first</div>
+      )}
+      <button
+        disabled={busy || !pathReady}
+        onClick={() => onVideo({ path, seconds })}
+      >
+        {busy === "video" ? "Recording…" : "Record WebM"}
+      </button>
+      {error && <div className="wbv-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from "react";
+import { convertLength, lengthUnit } from "../util/units";
+
+// Manifest metadata for an element: the floor's entry (by index) merged with
+// the element's own entry (by id or name)
+function manifestMetadata(building, element) {
+  const { floors, elements } = building.metadata || {};
+  return {
+    ...(element.floor != null && floors ? floors[element.floor] : null),
+    ...(elements ? elements[element.key] || elements[element.name] : null),
+  };
+}
+
+function formatValue(value) {
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function Properties({ title, values }) {
+  const entries = Object.entries(values || {});
+  if (!entries.length) return null;
+  return (
+    <>
+      <div className="wbv-inspector-section">{title}</div>
+      <dl className="wbv-inspector-props">
+        {entries.map(([key, value]) => (
+          <React.Fragment key={key}>
+            <dt>{key}</dt>
+            <dd>{formatValue(value)}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </>
+  );
+}
+
+// Details of the picked floor or element
+export default function ElementInspector({
+  pick,
+  hovered,
+  // Unit system for lengths: "metric" or "imperial"
+  system,
+  onShowWeather,
+  onClose,
+}) {
+  if (!pick) {
+    return (
+      <div className="wbv-panel wbv-inspector">
+        <div className="wbv-panel-title">Inspector</div>
+        <div>
+          {hovered
+            ? `${hovered.building.name}: ${hovered.element.name}`
+            : "Click a floor, window or balcony"}
+        </div>
+      </div>
+    );
+  }
+
+  const { building, element } = pick;
+  const size = element.size;
+
+  return (
+    <div className="wbv-panel wbv-inspector">
+      <div className="wbv-panel-title">{element.name}</div>
+      <dl className="wbv-inspector-props">
+        <dt>Building</dt>
+        <dd>
+          {building.name} ({building.id})
+        </dd>
+        <dt>Type</dt>
+        <dd>{element.type}</dd>
+        {element.floor != null && (
+          <>
+            <dt>Floor</dt>
+            <dd>
+              {element.floor}
+              {element.floorEstimated ? " (estimated)" : ""}
+            </dd>
+          </>
+        )}
+        {element.facade && (
+          <>
+            <dt>Facade</dt>
+            <dd>{element.facade}</dd>
+          </>
+        )}
+        {size && (
+          <>
+            <dt>Size</dt>
+            <dd>
+              {size.map((v) => convertLength(v, system).toFixed(2)).join(" × ")}{" "}
+              {lengthUnit(system)}
+            </dd>
+          </>
+        )}
+      </dl>
+      <Properties
+        title="Metadata"
+        values={manifestMetadata(building, element)}
+      />
+      <Properties title="Model extras" values={element.userData} />
+      <div className="wbv-inspector-buttons">
+        <button onClick={() => onShowWeather(building)}>Weather</button>
+        <button onClick={onClose}>Clear</button>
+      </div>
+    </div>
+  );
+}
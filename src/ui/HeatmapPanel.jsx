@@ -0,0 +1,134 @@
+import React, { useRef } from "react";
+import {
+  COLOR_RAMPS,
+  NO_DATA_COLOR,
+  rampGradient,
+} from "../heatmap/colorRamps";
+
+function formatValue(v) {
+  return Math.abs(v) >= 100 ? Math.round(v) : Math.round(v * 10) / 10;
+}
+
+// Bound input that falls back to the data's own value when emptied
+function BoundInput({ label, value, placeholder, onChange }) {
+  return (
+    <label>
+      {label}
+      <input
+        type="number"
+        value={value ?? ""}
+        placeholder={String(placeholder)}
+        onChange={(e) =>
+          onChange(e.target.value === "" ? null : Number(e.target.value))
+        }
+      />
+    </label>
+  );
+}
+
+// Thematic colouring of floors by a loaded data set, with its legend
+export default function HeatmapPanel({ heatmap }) {
+  const fileInput = useRef();
+  const { data, error, settings, min, max, boundsError, update } = heatmap;
+
+  const onPick = (e) => {
+    if (e.target.files[0]) heatmap.open(e.target.files[0]);
+    e.target.value = "";
+  };
+
+  return (
+    <div className="wbv-panel wbv-heatmap">
+      <div className="wbv-panel-title">Heatmap</div>
+      {error && <div className="wbv-error">{error}</div>}
+      <div className="wbv-view-buttons">
+        <button onClick={() => fileInput.current.click()}>
+          {data ? "Load other…" : "Load data…"}
+        </button>
+        {data && <button onClick={heatmap.clear}>Remove</button>}
+      </div>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        hidden
+        onChange={onPick}
+      />
+      {!data && (
+        <div className="wbv-heatmap-hint">
+          JSON or CSV values per floor or mesh
+        </div>
+      )}
+
+      {data && (
+        <>
+          <div className="wbv-view-buttons" role="group" aria-label="Materials">
+            {[
+              [true, "Thematic"],
+              [false, "Realistic"],
+            ].map(([thematic, label]) => (
+              <button
+                key={label}
+                className={
+                  settings.thematic === thematic ? "wbv-active" : undefined
+                }
+                aria-pressed={settings.thematic === thematic}
+                onClick={() => update({ thematic })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label>
+            Colour ramp
+            <select
+              value={settings.ramp}
+              onChange={(e) => update({ ramp: e.target.value })}
+            >
+              {COLOR_RAMPS.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="wbv-heatmap-bounds">
+            <BoundInput
+              label="Min"
+              value={settings.min}
+              placeholder={formatValue(data.min)}
+              onChange={(v) => update({ min: v })}
+            />
+            <BoundInput
+              label="Max"
+              value={settings.max}
+              placeholder={formatValue(data.max)}
+              onChange={(v) => update({ max: v })}
+            />
+          </div>
+
+          {boundsError && <div className="wbv-error">{boundsError}</div>}
+
+          <div className="wbv-heatmap-legend">
+            <div className="wbv-heatmap-legend-title">
+              {data.name}
+              {data.unit && ` (${data.unit})`}
+            </div>
+            <div
+              className="wbv-heatmap-ramp"
+              style={{ background: rampGradient(settings.ramp) }}
+            />
+            <div className="wbv-heatmap-ticks">
+              <span>{formatValue(min)}</span>
+              <span>{formatValue((min + max) / 2)}</span>
+              <span>{formatValue(max)}</span>
+            </div>
+            <div className="wbv-heatmap-nodata">
+              <span style={{ background: NO_DATA_COLOR }} />
+              No data
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
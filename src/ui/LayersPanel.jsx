@@ -0,0 +1,20 @@
+import React from "react";
+
+// Toggles for optional scene overlays
+export default function LayersPanel({ layers, options, onChange }) {
+  return (
+    <div className="wbv-panel wbv-layers">
+      <div className="wbv-panel-title">Layers</div>
+      {options.map(({ id, label }) => (
+        <label key={id} className="wbv-checkbox">
+          <input
+            type="checkbox"
+            checked={!!layers[id]}
+            onChange={(e) => onChange({ ...layers, [id]: e.target.checked })}
+          />
+          {label}
+        </label>
+      ))}
+    </div>
+  );
+}
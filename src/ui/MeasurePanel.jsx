@@ -0,0 +1,95 @@
+import React from "react";
+import {
+  MEASURE_TOOLS,
+  MIN_AREA_POINTS,
+  formatMeasurement,
+  measurementsToCsv,
+} from "../scene/measurements";
+import { downloadBlob } from "../util/download";
+
+const HINTS = {
+  distance: "Click two points",
+  height: "Click a point to measure its height above ground",
+  area: "Click the corners of a face, then the first corner again",
+  angle: "Click a point, the corner, then a second point",
+};
+
+function downloadCsv(measurements, system) {
+  const blob = new Blob([measurementsToCsv(measurements, system)], {
+    type: "text/csv",
+  });
+  downloadBlob(blob, "measurements.csv");
+}
+
+// Tool picker and the list of measurements taken
+export default function MeasurePanel({
+  tool,
+  draft,
+  measurements,
+  // Unit system for lengths: "metric" or "imperial"
+  system,
+  onToolChange,
+  onFinish,
+  onUndo,
+  onRemove,
+  onClear,
+}) {
+  return (
+    <div className="wbv-panel wbv-measure">
+      <div className="wbv-panel-title">Measure</div>
+      <div className="wbv-view-buttons">
+        {MEASURE_TOOLS.map(({ id, label }) => (
+          <button
+            key={id}
+            className={id === tool ? "wbv-active" : undefined}
+            aria-pressed={id === tool}
+            onClick={() => onToolChange(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="wbv-measure-hint">{HINTS[tool]}</div>
+      {tool === "area" && draft.length >= MIN_AREA_POINTS && (
+        <button onClick={onFinish}>Close outline</button>
+      )}
+      {measurements.length > 0 && (
+        <ol className="wbv-measure-list">
+          {measurements.map((m) => (
+            <li key={m.id}>
+              <span>
+                {m.type}: {formatMeasurement(m.type, m.value, system)}
+              </span>
+              <button
+                aria-label={`Delete ${m.type} measurement`}
+                onClick={() => onRemove(m.id)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+      <div className="wbv-view-buttons">
+        <button
+          disabled={!draft.length && !measurements.length}
+          onClick={onUndo}
+        >
+          Undo
+        </button>
+        <button
+          disabled={!draft.length && !measurements.length}
+          onClick={onClear}
+        >
+          Clear
+        </button>
+        <button
+          disabled={!measurements.length}
+          onClick={() => downloadCsv(measurements, system)}
+        >
+          Export CSV
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from "react";
+
+// Switches what a click in the scene does
+export default function ModeToolbar({ mode, modes, onChange }) {
+  return (
+    <div className="wbv-panel wbv-toolbar" role="toolbar">
+      {modes.map(({ id, label }) => (
+        <button
+          key={id}
+          className={id === mode ? "wbv-active" : undefined}
+          aria-pressed={id === mode}
+          onClick={() => onChange(id)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
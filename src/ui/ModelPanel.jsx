@@ -0,0 +1,110 @@
+import React, { useRef } from "react";
+import { filesFromInput } from "../building/localModel";
+import { UNIT_SCALE, UP_AXES } from "../building/normalizeModel";
+
+function statusText(model, targetName) {
+  switch (model.status) {
+    case "reading":
+      return "Reading files…";
+    case "loading":
+      return `Loading ${model.model.name}…`;
+    case "ready":
+      return `${model.model.name} shown as ${targetName}`;
+    default:
+      return "Drop a model file or folder (glTF, OBJ, FBX, STL, IFC), or open one";
+  }
+}
+
+// Open a model from disk in place of the selected building
+export default function ModelPanel({
+  model,
+  targetName,
+  onOpen,
+  onFitChange,
+  onReset,
+}) {
+  const fileInput = useRef();
+  const folderInput = useRef();
+
+  const onPick = (e) => {
+    if (e.target.files.length) onOpen(filesFromInput(e.target.files));
+    // Allow picking the same file again after a reset
+    e.target.value = "";
+  };
+
+  return (
+    <div className="wbv-panel wbv-model-panel">
+      <div className="wbv-panel-title">Model</div>
+      <div>{statusText(model, targetName)}</div>
+      {model.status === "loading" && (
+        <progress value={model.progress} max={1} />
+      )}
+      {model.missing?.length > 0 && (
+        <div className="wbv-error">Missing: {model.missing.join(", ")}</div>
+      )}
+      {model.model && (
+        <div className="wbv-model-fit">
+          <label>
+            Units
+            <select
+              value={model.fit.units}
+              onChange={(e) =>
+                onFitChange({ ...model.fit, units: e.target.value })
+              }
+            >
+              <option value="auto">Auto</option>
+              {Object.keys(UNIT_SCALE).map((u) => (
+                <option key={u} value={u}>
+                  {u}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Up axis
+            <select
+              value={model.fit.upAxis}
+              onChange={(e) =>
+                onFitChange({ ...model.fit, upAxis: e.target.value })
+              }
+            >
+              <option value="auto">Auto</option>
+              {UP_AXES.map((a) => (
+                <option key={a} value={a}>
+                  {a.toUpperCase()}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+      {model.status === "error" && (
+        <div className="wbv-error">{model.error}</div>
+      )}
+      <div className="wbv-model-buttons">
+        <button onClick={() => fileInput.current.click()}>Open file…</button>
+        <button onClick={() => folderInput.current.click()}>
+          Open folder…
+        </button>
+        <button disabled={model.status === "idle"} onClick={onReset}>
+          Reset to default
+        </button>
+      </div>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".glb,.gltf,.bin,.obj,.mtl,.fbx,.stl,.ifc,image/*"
+        multiple
+        hidden
+        onChange={onPick}
+      />
+      <input
+        ref={folderInput}
+        type="file"
+        webkitdirectory=""
+        hidden
+        onChange={onPick}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+import { LANGUAGES } from "../weather/conditionLabels";
+import { UNIT_SYSTEMS, WIND_UNITS } from "../util/units";
+
+function Select({ label, value, options, onChange }) {
+  return (
+    <label>
+      {label}
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {options.map(({ id, label: text }) => (
+          <option key={id} value={id}>
+            {text}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+const DIRECTIONS = [
+  { id: "compass", label: "Compass point (NNE)" },
+  { id: "degrees", label: "Degrees (23°)" },
+];
+
+// Units, language and time zone for the weather display; saved by the viewer
+export default function PreferencesPanel({
+  preferences,
+  buildingTimeZone,
+  viewerTimeZone,
+  onChange,
+}) {
+  return (
+    <details className="wbv-preferences">
+      <summary>Display settings</summary>
+      <div className="wbv-preferences-grid">
+        <Select
+          label="Units"
+          value={preferences.units}
+          options={UNIT_SYSTEMS}
+          onChange={(units) => onChange({ units })}
+        />
+        <Select
+          label="Wind speed"
+          value={preferences.wind}
+          options={WIND_UNITS.map((u) => ({ id: u, label: u }))}
+          onChange={(wind) => onChange({ wind })}
+        />
+        <Select
+          label="Wind direction"
+          value={preferences.direction}
+          options={DIRECTIONS}
+          onChange={(direction) => onChange({ direction })}
+        />
+        <Select
+          label="Times in"
+          value={preferences.timeZone}
+          options={[
+            {
+              id: "building",
+              label: `Building (${buildingTimeZone || "unknown"})`,
+            },
+            { id: "viewer", label: `Yours (${viewerTimeZone})` },
+          ]}
+          onChange={(timeZone) => onChange({ timeZone })}
+        />
+        <Select
+          label="Language"
+          value={preferences.language}
+          options={LANGUAGES}
+          onChange={(language) => onChange({ language })}
+        />
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { formatLocalTime } from "../util/time";
+import {
+  MAX_HISTORY_DAYS,
+  daysBefore,
+  historyRangeError,
+} from "../weather/weatherHistory";
+import { describeWeatherError } from "../weather/weatherErrors";
+import { REPLAY_SPEEDS } from "../weather/useWeatherReplay";
+
+// Past dates to load and a timeline to replay them through the scene, the
+// sun and the weather modal. `today` is the site's local date.
+export default function ReplayPanel({ replay, available, today, locale }) {
+  const [range, setRange] = useState(() => ({
+    start: daysBefore(today, 3),
+    end: daysBefore(today, 1),
+  }));
+  const rangeError = historyRangeError(range, today);
+  const { history, frame } = replay;
+
+  return (
+    <details className="wbv-panel wbv-replay">
+      <summary className="wbv-panel-title">Weather replay</summary>
+      {!available && (
+        <div className="wbv-replay-hint">
+          This weather source has no history to replay.
+        </div>
+      )}
+      {available && (
+        <>
+          <div className="wbv-replay-range">
+            <label>
+              From
+              <input
+                type="date"
+                value={range.start}
+                max={today}
+                onChange={(e) => setRange({ ...range, start: e.target.value })}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={range.end}
+                max={today}
+                onChange={(e) => setRange({ ...range, end: e.target.value })}
+              />
+            </label>
+            <button
+              onClick={() => replay.load(range)}
+              disabled={!!rangeError || replay.loading}
+            >
+              {replay.loading ? "Loading…" : "Load"}
+            </button>
+          </div>
+          <div className="wbv-replay-hint">
+            {rangeError || `Up to ${MAX_HISTORY_DAYS} days of hourly weather`}
+          </div>
+          {replay.error && (
+            <div className="wbv-error">
+              {describeWeatherError(replay.error)}
+            </div>
+          )}
+        </>
+      )}
+
+      {history && frame && (
+        <div className="wbv-replay-timeline">
+          <label>
+            {formatLocalTime(frame.time, locale)}
+            {history.timezone && ` (${history.timezone})`}
+            <input
+              type="range"
+              min={0}
+              max={replay.last}
+              step={1}
+              value={Math.floor(replay.position)}
+              onChange={(e) => replay.seek(Number(e.target.value))}
+            />
+          </label>
+          <div className="wbv-replay-buttons">
+            <button onClick={replay.togglePlay}>
+              {replay.playing ? "Pause" : "Play"}
+            </button>
+            <select
+              aria-label="Playback speed"
+              value={replay.speed}
+              onChange={(e) => replay.setSpeed(Number(e.target.value))}
+            >
+              {REPLAY_SPEEDS.map((s) => (
+                <option key={s} value={s}>
+                  {s} h/s
+                </option>
+              ))}
+            </select>
+            <button onClick={replay.exit}>Back to live</button>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
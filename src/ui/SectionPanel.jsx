@@ -0,0 +1,86 @@
+import React from "react";
+import { modelFloorTop } from "../building/floors";
+import { SECTION_DEFAULTS } from "../scene/section";
+import { formatLength } from "../util/units";
+
+const floorName = (floor) => (floor === 0 ? "Ground floor" : `Floor ${floor}`);
+
+// Section planes and the floor cutaway
+export default function SectionPanel({ section, floors, system, onChange }) {
+  const set = (patch) => onChange({ ...section, ...patch });
+  const cutaway = section.maxFloor != null;
+  const active = section.horizontal || section.vertical || cutaway;
+
+  return (
+    <div className="wbv-panel wbv-section">
+      <div className="wbv-panel-title">Section</div>
+      <label className="wbv-checkbox">
+        <input
+          type="checkbox"
+          checked={section.horizontal}
+          onChange={(e) => set({ horizontal: e.target.checked })}
+        />
+        Horizontal plane
+      </label>
+      <label className="wbv-checkbox">
+        <input
+          type="checkbox"
+          checked={section.vertical}
+          onChange={(e) => set({ vertical: e.target.checked })}
+        />
+        Vertical plane
+      </label>
+      {section.vertical && (
+        <div className="wbv-view-buttons">
+          <button
+            className={section.rotate ? "wbv-active" : undefined}
+            aria-pressed={section.rotate}
+            onClick={() => set({ rotate: !section.rotate })}
+          >
+            Rotate
+          </button>
+          <button onClick={() => set({ flip: !section.flip })}>
+            Flip side
+          </button>
+        </div>
+      )}
+      {(section.horizontal || section.vertical) && (
+        <div className="wbv-section-hint">Drag the arrows to move a plane</div>
+      )}
+
+      <label className="wbv-checkbox">
+        <input
+          type="checkbox"
+          checked={cutaway}
+          onChange={(e) =>
+            set({ maxFloor: e.target.checked ? floors - 1 : null })
+          }
+        />
+        Show floors up to
+      </label>
+      {cutaway && (
+        <label>
+          {floorName(section.maxFloor)}
+          <input
+            type="range"
+            min={0}
+            max={floors - 1}
+            step={1}
+            value={section.maxFloor}
+            onChange={(e) => set({ maxFloor: Number(e.target.value) })}
+          />
+          <span className="wbv-section-hint">
+            Models cut at{" "}
+            {formatLength(modelFloorTop(section.maxFloor), system, 1)}
+          </span>
+        </label>
+      )}
+
+      <div className="wbv-view-buttons">
+        <button disabled={!active} onClick={() => onChange(SECTION_DEFAULTS)}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React from "react";
+import { SeriesChart } from "../weather/ForecastCharts";
+import {
+  SENSOR_KINDS,
+  STATUS_COLORS,
+  formatReading,
+  readingStatus,
+} from "../sensors/sensors";
+
+const FEED_STATUS = {
+  connecting: "Connecting…",
+  live: "Live",
+  error: "Disconnected",
+  closed: "Not connected",
+};
+
+// Local wall-clock time as "YYYY-MM-DDTHH:MM:SS", the shape charts expect
+function localStamp(ms) {
+  const d = new Date(ms);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 19);
+}
+
+// Feed status, the sensors currently out of range and the history of the
+// picked one
+export default function SensorPanel({
+  status,
+  error,
+  retryIn,
+  alerts,
+  sensor,
+  building,
+  history,
+  onSelect,
+  onClose,
+}) {
+  const values = (history || []).map((r) => ({
+    time: localStamp(r.time),
+    value: r.value,
+  }));
+  const latest = history?.[history.length - 1];
+  const { min, max } = sensor?.range ?? {};
+
+  return (
+    <div className="wbv-panel wbv-sensors">
+      <div className="wbv-panel-title">Sensors</div>
+      <div
+        className={`wbv-sensor-feed wbv-sensor-feed-${status}`}
+        title={error?.message}
+      >
+        {FEED_STATUS[status]}
+        {retryIn != null && ` · retrying in ${Math.round(retryIn / 1000)} s`}
+      </div>
+
+      <div className="wbv-sensor-alerts" aria-live="assertive">
+        {alerts.length === 0 ? (
+          <div className="wbv-sensor-hint">All readings in range</div>
+        ) : (
+          alerts.map(({ sensor: s, reading, status: level }) => (
+            <button
+              key={s.id}
+              className={`wbv-sensor-alert wbv-sensor-${level}`}
+              onClick={() => onSelect(s.id)}
+            >
+              {s.name}: {formatReading(s, reading.value)} (
+              {level === "high" ? "above" : "below"} range)
+            </button>
+          ))
+        )}
+      </div>
+
+      {sensor && (
+        <div className="wbv-sensor-detail">
+          <div className="wbv-sensor-detail-title">
+            <strong>{sensor.name}</strong>
+            <button onClick={onClose}>Close</button>
+          </div>
+          <div>
+            {building?.name ?? sensor.building}, floor {sensor.floor} ·{" "}
+            {SENSOR_KINDS[sensor.kind].label}
+          </div>
+          <div>
+            Now: {formatReading(sensor, latest?.value)}
+            {latest && ` at ${new Date(latest.time).toLocaleTimeString()}`}
+          </div>
+          {(min != null || max != null) && (
+            <div>
+              Range: {min ?? "–"} to {max ?? "–"} {sensor.unit}
+            </div>
+          )}
+          {values.length > 1 ? (
+            <SeriesChart
+              data={values}
+              valueKey="value"
+              label="History"
+              unit={sensor.unit}
+              color={STATUS_COLORS[readingStatus(sensor, latest?.value)]}
+              domain={min != null && max != null ? [min, max] : undefined}
+            />
+          ) : (
+            <div className="wbv-sensor-hint">Waiting for readings…</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
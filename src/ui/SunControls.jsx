@@ -0,0 +1,57 @@
+import React from "react";
+import { formatMinutes } from "../util/time";
+
+// Date picker, time-of-day slider and "play day" for shadow studies
+export default function SunControls({
+  clock,
+  live,
+  playing,
+  timeZone,
+  sun,
+  onChange,
+  onNow,
+  onTogglePlay,
+}) {
+  const altitude = (sun.altitude * 180) / Math.PI;
+  const azimuth = (sun.azimuth * 180) / Math.PI;
+
+  return (
+    <div className="wbv-panel wbv-sun-controls">
+      <div className="wbv-panel-title">Sun &amp; shadows</div>
+      <label>
+        Date
+        <input
+          type="date"
+          value={clock.date}
+          onChange={(e) =>
+            e.target.value && onChange({ ...clock, date: e.target.value })
+          }
+        />
+      </label>
+      <label>
+        Time {formatMinutes(clock.minutes)}
+        <input
+          type="range"
+          min={0}
+          max={1439}
+          step={1}
+          value={clock.minutes}
+          onChange={(e) =>
+            onChange({ ...clock, minutes: Number(e.target.value) })
+          }
+        />
+      </label>
+      <div className="wbv-sun-buttons">
+        <button onClick={onTogglePlay}>{playing ? "Pause" : "Play day"}</button>
+        <button onClick={onNow} disabled={live}>
+          Now
+        </button>
+      </div>
+      <div className="wbv-sun-readout">
+        {timeZone} ·{" "}
+        {altitude < 0 ? "below horizon" : `alt ${altitude.toFixed(1)}°`} · az{" "}
+        {azimuth.toFixed(0)}°
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { FACADES, PRESET_VIEWS } from "../scene/cameraViews";
+
+// Preset viewpoints, facade views of the selected building and saved bookmarks
+export default function ViewsPanel({
+  selected,
+  bookmarks,
+  onView,
+  onSave,
+  onRemove,
+  onCopyLink,
+}) {
+  const [name, setName] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const save = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName("");
+  };
+
+  const copy = async () => {
+    setCopied(await onCopyLink());
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div className="wbv-panel wbv-views">
+      <div className="wbv-panel-title">Views</div>
+      <div className="wbv-view-buttons">
+        {PRESET_VIEWS.map(({ id, label, view }) => (
+          <button key={id} onClick={() => onView(view)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      {selected && (
+        <>
+          <div className="wbv-views-subtitle">{selected.name} facades</div>
+          <div className="wbv-view-buttons">
+            {FACADES.map((facade) => (
+              <button
+                key={facade}
+                onClick={() =>
+                  onView({ kind: "facade", buildingId: selected.id, facade })
+                }
+              >
+                {facade}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+      {bookmarks.length > 0 && (
+        <ul className="wbv-bookmarks">
+          {bookmarks.map((b) => (
+            <li key={b.name}>
+              <button onClick={() => onView({ kind: "pose", ...b })}>
+                {b.name}
+              </button>
+              <button
+                aria-label={`Delete ${b.name}`}
+                onClick={() => onRemove(b.name)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="wbv-view-buttons" onSubmit={save}>
+        <input
+          value={name}
+          placeholder="Bookmark name"
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" disabled={!name.trim()}>
+          Save
+        </button>
+      </form>
+      <button onClick={copy}>{copied ? "Link copied" : "Copy link"}</button>
+    </div>
+  );
+}
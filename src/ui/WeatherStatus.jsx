@@ -0,0 +1,36 @@
+import React from "react";
+import { formatAge } from "../util/time";
+
+// How old the weather on screen is, whether it is being refreshed, and the
+// retry schedule when refreshing keeps failing
+export default function WeatherStatus({
+  age,
+  stale,
+  loading,
+  error,
+  retryIn,
+  onRefresh,
+}) {
+  let text;
+  if (loading) text = "Updating weather…";
+  else if (age == null) text = error ? "Weather unavailable" : "No weather yet";
+  else text = `Weather updated ${formatAge(age)}`;
+
+  return (
+    <div
+      className={`wbv-weather-status${stale || error ? " wbv-stale" : ""}`}
+      title={error || undefined}
+    >
+      <span>
+        {text}
+        {stale && !loading && " (stale)"}
+        {retryIn != null && ` · retrying in ${Math.round(retryIn / 1000)} s`}
+      </span>
+      {onRefresh && (
+        <button onClick={onRefresh} disabled={loading}>
+          Refresh
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+const POINTS = [
+  "N",
+  "NNE",
+  "NE",
+  "ENE",
+  "E",
+  "ESE",
+  "SE",
+  "SSE",
+  "S",
+  "SSW",
+  "SW",
+  "WSW",
+  "W",
+  "WNW",
+  "NW",
+  "NNW",
+];
+
+// 16-point compass name for a bearing in degrees (0 = north, clockwise)
+export function compassPoint(degrees) {
+  const d = ((Number(degrees) % 360) + 360) % 360;
+  return POINTS[Math.round(d / 22.5) % 16];
+}
+
+// Scene-space unit vector [x, z] for a bearing (x east, -z north)
+export function bearingVector(degrees) {
+  const a = (degrees * Math.PI) / 180;
+  return [Math.sin(a), -Math.cos(a)];
+}
+
+// Wind or facade direction as "NNE" or "23°"
+export function formatDirection(degrees, mode = "compass") {
+  return mode === "degrees"
+    ? `${Math.round(Number(degrees))}°`
+    : compassPoint(degrees);
+}
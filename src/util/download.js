@@ -0,0 +1,23 @@
+// Save a blob through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Some browsers start the download only after the click handler returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// "2024-05-01-14-30-05" in local time, for file names
+export function fileTimestamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return [
+    date.getFullYear(),
+    pad(date.getMonth() + 1),
+    pad(date.getDate()),
+    pad(date.getHours()),
+    pad(date.getMinutes()),
+    pad(date.getSeconds()),
+  ].join("-");
+}
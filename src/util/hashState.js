@@ -0,0 +1,33 @@
+// Viewer state carried in the URL hash so a pasted link reopens the same view:
+//   #cam=x,y,z,tx,ty,tz&building=A&modal=1
+
+function parseNumbers(value, count) {
+  const nums = (value || "").split(",").map(Number);
+  return nums.length === count && nums.every(Number.isFinite) ? nums : null;
+}
+
+export function parseHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const cam = parseNumbers(params.get("cam"), 6);
+  return {
+    camera: cam && { position: cam.slice(0, 3), target: cam.slice(3) },
+    building: params.get("building") || "",
+    modal: params.get("modal") === "1",
+  };
+}
+
+const round = (v) => Math.round(v * 100) / 100;
+
+export function formatHash({ camera, building, modal }) {
+  const params = new URLSearchParams();
+  if (camera) {
+    params.set(
+      "cam",
+      [...camera.position, ...camera.target].map(round).join(",")
+    );
+  }
+  if (building) params.set("building", building);
+  if (building && modal) params.set("modal", "1");
+  // Keep the commas readable
+  return `#${params.toString().replace(/%2C/g, ",")}`;
+}
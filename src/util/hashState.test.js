@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { formatHash, parseHash } from "./hashState";
+
+describe("parseHash", () => {
+  it("reads the camera, building and modal", () => {
+    expect(parseHash("#cam=1,2,3,4,5,6&building=A&modal=1")).toEqual({
+      camera: { position: [1, 2, 3], target: [4, 5, 6] },
+      building: "A",
+      modal: true,
+    });
+  });
+
+  it("ignores a malformed camera", () => {
+    expect(parseHash("#cam=1,2,x,4,5,6").camera).toBeNull();
+    expect(parseHash("#cam=1,2,3").camera).toBeNull();
+    expect(parseHash("")).toEqual({
+      camera: null,
+      building: "",
+      modal: false,
+    });
+  });
+});
+
+describe("formatHash", () => {
+  it("round-trips through parseHash", () => {
+    const state = {
+      camera: { position: [1.234, -2, 30], target: [0, 0.5, 0] },
+      building: "B",
+      modal: true,
+    };
+    const hash = formatHash(state);
+    expect(hash).toBe("#cam=1.23,-2,30,0,0.5,0&building=B&modal=1");
+    expect(parseHash(hash)).toEqual({
+      ...state,
+      camera: { position: [1.23, -2, 30], target: [0, 0.5, 0] },
+    });
+  });
+
+  it("leaves out the modal without a building", () => {
+    expect(formatHash({ camera: null, building: "", modal: true })).toBe("#");
+  });
+});
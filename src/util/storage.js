@@ -0,0 +1,33 @@
+import { useEffect, useRef, useState } from "react";
+
+// JSON values kept in localStorage. Private mode or full storage makes
+// writes fail; the value then just won't survive a reload.
+
+// The stored value, or `fallback` when there is none or it can't be read
+export function loadJson(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved == null ? fallback : JSON.parse(saved);
+  } catch {
+    return fallback;
+  }
+}
+
+export function saveJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Not saved; see above
+  }
+}
+
+// useState that saves every change under `key`. `load` gives the starting
+// value, which is only written back once it changes.
+export function useStoredState(key, load) {
+  const [value, setValue] = useState(load);
+  const loaded = useRef(value);
+  useEffect(() => {
+    if (value !== loaded.current) saveJson(key, value);
+  }, [key, value]);
+  return [value, setValue];
+}
@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { loadJson, saveJson } from "./storage";
+
+function stubStorage(saved = {}) {
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => saved[key] ?? null,
+    setItem: (key, value) => {
+      saved[key] = value;
+    },
+  });
+  return saved;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("loadJson", () => {
+  it("reads a saved value", () => {
+    stubStorage({ views: '[{"name":"Lobby"}]' });
+    expect(loadJson("views", [])).toEqual([{ name: "Lobby" }]);
+  });
+
+  it("falls back when nothing is saved or it can't be read", () => {
+    stubStorage({ broken: "{" });
+    expect(loadJson("missing", [])).toEqual([]);
+    expect(loadJson("broken", [])).toEqual([]);
+  });
+
+  it("falls back without localStorage", () => {
+    vi.stubGlobal("localStorage", undefined);
+    expect(loadJson("views", "none")).toBe("none");
+  });
+});
+
+describe("saveJson", () => {
+  it("saves the value as JSON", () => {
+    const saved = stubStorage();
+    saveJson("views", [{ name: "Lobby" }]);
+    expect(saved.views).toBe('[{"name":"Lobby"}]');
+  });
+
+  it("ignores storage that refuses writes", () => {
+    vi.stubGlobal("localStorage", {
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    });
+    expect(() => saveJson("views", [])).not.toThrow();
+  });
+});
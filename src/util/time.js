@@ -0,0 +1,88 @@
+// Wall-clock helpers for an IANA time zone, so the sun controls can work in
+// the building's local time rather than the viewer's.
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// Calendar date ("YYYY-MM-DD") and minutes since midnight of `date` in `timeZone`
+export function zonedClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds
+function zoneOffset(date, timeZone) {
+  const { date: day, minutes } = zonedClock(date, timeZone);
+  const asUtc = Date.parse(`${day}T00:00Z`) + minutes * 60000;
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// The instant at which the wall clock in `timeZone` reads `day` + `minutes`
+export function zonedTimeToDate(day, minutes, timeZone) {
+  const wall = Date.parse(`${day}T00:00Z`) + minutes * 60000;
+  let guess = new Date(wall - zoneOffset(new Date(wall), timeZone));
+  // A second pass settles guesses that landed across a DST change
+  guess = new Date(wall - zoneOffset(guess, timeZone));
+  return guess;
+}
+
+const ABSOLUTE_TIME = /(Z|[+-]\d\d:?\d\d)$/;
+
+// The instant of a local time such as "2025-10-14T09:00" in `timeZone`.
+// Times with a UTC offset or Z are already absolute.
+export function localTimeToDate(time, timeZone) {
+  if (!timeZone || ABSOLUTE_TIME.test(time)) return new Date(time);
+  const minutes = Number(time.slice(11, 13)) * 60 + Number(time.slice(14, 16));
+  return zonedTimeToDate(time.slice(0, 10), minutes, timeZone);
+}
+
+// The same instant as a local time in `toZone`, in the same format
+export function shiftLocalTime(time, fromZone, toZone) {
+  if (!time || time.length < 16 || !toZone) return time;
+  if (fromZone === toZone && !ABSOLUTE_TIME.test(time)) return time;
+  const { date, minutes } = zonedClock(localTimeToDate(time, fromZone), toZone);
+  return `${date}T${formatMinutes(minutes)}`;
+}
+
+// Date and time of a local time as written, in the given locale. Absolute
+// times are shown in the viewer's own zone.
+export function formatLocalTime(time, locale) {
+  const absolute = ABSOLUTE_TIME.test(time);
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: absolute ? undefined : "UTC",
+  }).format(absolute ? new Date(time) : new Date(`${time.slice(0, 16)}Z`));
+}
+
+export function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.floor(minutes % 60);
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+// "just now", "5 min ago", "3 h ago", "2 days ago" for an age in milliseconds
+export function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} days ago`;
+}
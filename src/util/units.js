@@ -0,0 +1,106 @@
+import { UNITS } from "../weather/weatherData";
+import { shiftLocalTime } from "./time";
+
+// Display units. Weather arrives in whatever units its provider reports
+// (weather.units); these convert it for the viewer's preferences.
+
+export const UNIT_SYSTEMS = [
+  { id: "metric", label: "Metric (°C, m)" },
+  { id: "imperial", label: "Imperial (°F, ft)" },
+  { id: "si", label: "SI (K, m)" },
+];
+
+export const WIND_UNITS = ["km/h", "m/s", "kn", "mph"];
+
+// Wind unit that goes with each system unless chosen separately
+export const SYSTEM_WIND_UNIT = { metric: "km/h", imperial: "mph", si: "m/s" };
+
+const TEMPERATURE_UNIT = { metric: "°C", imperial: "°F", si: "K" };
+
+// Metres per second in one of each wind unit
+const SPEED_SCALE = {
+  "km/h": 1 / 3.6,
+  "m/s": 1,
+  kn: 1852 / 3600,
+  mph: 0.44704,
+};
+
+const FEET_PER_METRE = 1 / 0.3048;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Temperature scales as [offset, scale] from Celsius
+const CELSIUS_OFFSET = { "°C": [0, 1], "°F": [32, 9 / 5], K: [273.15, 1] };
+
+export function convertTemperature(value, from, to) {
+  if (typeof value !== "number" || from === to) return value;
+  if (!CELSIUS_OFFSET[from] || !CELSIUS_OFFSET[to]) return value;
+  const celsius = (value - CELSIUS_OFFSET[from][0]) / CELSIUS_OFFSET[from][1];
+  return round1(celsius * CELSIUS_OFFSET[to][1] + CELSIUS_OFFSET[to][0]);
+}
+
+export function convertSpeed(value, from, to) {
+  if (typeof value !== "number" || from === to) return value;
+  if (!SPEED_SCALE[from] || !SPEED_SCALE[to]) return value;
+  return round1((value * SPEED_SCALE[from]) / SPEED_SCALE[to]);
+}
+
+export function temperatureUnit(system) {
+  return TEMPERATURE_UNIT[system] || TEMPERATURE_UNIT.metric;
+}
+
+// Lengths in the preferred system, for measurements. Areas use the square.
+export function lengthUnit(system) {
+  return system === "imperial" ? "ft" : "m";
+}
+
+export function convertLength(metres, system, power = 1) {
+  return system === "imperial" ? metres * FEET_PER_METRE ** power : metres;
+}
+
+// "12.50 ft"
+export function formatLength(metres, system, digits = 2) {
+  return `${convertLength(metres, system).toFixed(digits)} ${lengthUnit(system)}`;
+}
+
+// Weather converted to the preferred units, with its local times moved to
+// `timeZone`. Daily entries are calendar dates and stay as they are. Weather
+// from a custom provider without units is read in the usual ones (see
+// weatherData.js), and without forecasts as having none.
+export function convertWeather(weather, { units, wind }, timeZone) {
+  if (!weather) return weather;
+  const from = { ...UNITS, ...weather.units };
+  // Units we can't convert from keep their own label
+  const to = {
+    ...from,
+    temperature:
+      from.temperature in CELSIUS_OFFSET
+        ? temperatureUnit(units)
+        : from.temperature,
+    windspeed: SPEED_SCALE[from.windspeed] ? wind : from.windspeed,
+  };
+  const temp = (v) => convertTemperature(v, from.temperature, to.temperature);
+  const speed = (v) => convertSpeed(v, from.windspeed, to.windspeed);
+  const time = (t) => shiftLocalTime(t, weather.timezone, timeZone);
+
+  return {
+    ...weather,
+    temperature: temp(weather.temperature),
+    windspeed: speed(weather.windspeed),
+    time: time(weather.time),
+    timezone: timeZone || weather.timezone,
+    units: to,
+    hourly: (weather.hourly || []).map((h) => ({
+      ...h,
+      time: time(h.time),
+      temperature: temp(h.temperature),
+      windGusts: speed(h.windGusts),
+    })),
+    daily: (weather.daily || []).map((d) => ({
+      ...d,
+      temperatureMax: temp(d.temperatureMax),
+      temperatureMin: temp(d.temperatureMin),
+      windGustsMax: speed(d.windGustsMax),
+    })),
+  };
+}
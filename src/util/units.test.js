@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import {
+  convertLength,
+  convertSpeed,
+  convertTemperature,
+  convertWeather,
+  formatLength,
+} from "./units";
+
+describe("convertTemperature", () => {
+  it("converts between scales, to one decimal", () => {
+    expect(convertTemperature(100, "°C", "°F")).toBe(212);
+    expect(convertTemperature(35, "°F", "°C")).toBe(1.7);
+    expect(convertTemperature(0, "°C", "K")).toBe(273.2);
+  });
+
+  it("leaves unknown units and missing values alone", () => {
+    expect(convertTemperature(20, "°R", "°C")).toBe(20);
+    expect(convertTemperature(null, "°C", "°F")).toBeNull();
+  });
+});
+
+describe("convertSpeed", () => {
+  it("converts between wind units, to one decimal", () => {
+    expect(convertSpeed(36, "km/h", "m/s")).toBe(10);
+    expect(convertSpeed(70, "km/h", "mph")).toBe(43.5);
+    expect(convertSpeed(10, "kn", "km/h")).toBe(18.5);
+  });
+
+  it("leaves unknown units and missing values alone", () => {
+    expect(convertSpeed(5, "bft", "km/h")).toBe(5);
+    expect(convertSpeed(undefined, "km/h", "mph")).toBeUndefined();
+  });
+});
+
+describe("convertLength", () => {
+  it("converts lengths and areas to feet for imperial", () => {
+    expect(convertLength(3.048, "metric")).toBe(3.048);
+    expect(convertLength(3.048, "imperial")).toBeCloseTo(10);
+    expect(convertLength(10, "imperial", 2)).toBeCloseTo(107.639, 3);
+  });
+});
+
+describe("formatLength", () => {
+  it("shows metres or feet", () => {
+    expect(formatLength(3.048, "metric")).toBe("3.05 m");
+    expect(formatLength(3.048, "imperial")).toBe("10.00 ft");
+    expect(formatLength(1, "imperial", 1)).toBe("3.3 ft");
+  });
+});
+
+describe("convertWeather", () => {
+  it("converts readings, relabels the units and moves the times", () => {
+    const weather = {
+      temperature: 20,
+      windspeed: 36,
+      winddirection: 90,
+      weathercode: 0,
+      time: "2025-06-01T12:00",
+      timezone: "UTC",
+      units: { temperature: "°C", windspeed: "km/h" },
+      hourly: [{ time: "2025-06-01T12:00", temperature: 10, windGusts: 72 }],
+      daily: [{ time: "2025-06-01", temperatureMax: 30, windGustsMax: 18 }],
+    };
+    const shown = convertWeather(
+      weather,
+      { units: "imperial", wind: "m/s" },
+      "Asia/Kolkata"
+    );
+    expect(shown).toMatchObject({
+      temperature: 68,
+      windspeed: 10,
+      time: "2025-06-01T17:30",
+      timezone: "Asia/Kolkata",
+      units: { temperature: "°F", windspeed: "m/s" },
+      hourly: [{ time: "2025-06-01T17:30", temperature: 50, windGusts: 20 }],
+      daily: [{ time: "2025-06-01", temperatureMax: 86, windGustsMax: 5 }],
+    });
+  });
+
+  it("copes with weather missing its units and forecasts", () => {
+    const shown = convertWeather(
+      {
+        temperature: 20,
+        windspeed: 36,
+        winddirection: 90,
+        weathercode: 0,
+        time: "2025-06-01T12:00",
+      },
+      { units: "imperial", wind: "m/s" },
+      "UTC"
+    );
+    expect(shown).toMatchObject({
+      temperature: 68,
+      windspeed: 10,
+      units: { temperature: "°F", windspeed: "m/s" },
+      hourly: [],
+      daily: [],
+    });
+  });
+
+  it("passes missing weather through", () => {
+    expect(convertWeather(null, { units: "metric", wind: "km/h" })).toBeNull();
+  });
+});
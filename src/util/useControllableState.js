@@ -0,0 +1,24 @@
+import { useCallback, useRef, useState } from "react";
+
+// State a host may control. While `value` is undefined the component keeps
+// its own, starting at `defaultValue`; either way a change is reported
+// through `onChange`, and a controlled value only moves when the host
+// passes the new one back.
+export default function useControllableState(value, defaultValue, onChange) {
+  const [own, setOwn] = useState(defaultValue);
+  const controlled = value !== undefined;
+  const current = controlled ? value : own;
+  const latest = useRef(null);
+  latest.current = { current, onChange };
+
+  const set = useCallback(
+    (next) => {
+      if (Object.is(next, latest.current.current)) return;
+      if (!controlled) setOwn(next);
+      latest.current.onChange?.(next);
+    },
+    [controlled]
+  );
+
+  return [current, set];
+}
@@ -0,0 +1,52 @@
+import { useEffect } from "react";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "summary",
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+// Keeps Tab inside `ref` while `active`, focusing its first control on the
+// way in and handing focus back to whatever had it on the way out
+export default function useFocusTrap(ref, active) {
+  useEffect(() => {
+    const root = ref.current;
+    if (!active || !root) return;
+    const previous = document.activeElement;
+    const focusable = () =>
+      [...root.querySelectorAll(FOCUSABLE)].filter(
+        (el) => el.getClientRects().length > 0
+      );
+    (focusable()[0] || root).focus();
+
+    const onKeyDown = (e) => {
+      if (e.key !== "Tab") return;
+      const items = focusable();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      } else if (!root.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      if (previous && previous.isConnected) previous.focus();
+    };
+  }, [ref, active]);
+}
@@ -0,0 +1,73 @@
+import { useCallback, useMemo } from "react";
+import { LANGUAGES } from "../weather/conditionLabels";
+import { loadJson, useStoredState } from "./storage";
+import { SYSTEM_WIND_UNIT, UNIT_SYSTEMS, WIND_UNITS } from "./units";
+
+const STORAGE_KEY = "wbv-preferences";
+
+function browserLanguage() {
+  const lang = (navigator.language || "en").slice(0, 2);
+  return LANGUAGES.some((l) => l.id === lang) ? lang : "en";
+}
+
+export const DEFAULT_PREFERENCES = {
+  units: "metric",
+  wind: SYSTEM_WIND_UNIT.metric,
+  // "compass" (NNE) or "degrees" (23°)
+  direction: "compass",
+  // Show times in the building's time zone or the viewer's
+  timeZone: "building",
+  language: "en",
+};
+
+// Saved preferences, dropping anything this version doesn't know
+function loadPreferences() {
+  const defaults = { ...DEFAULT_PREFERENCES, language: browserLanguage() };
+  const saved = loadJson(STORAGE_KEY, null) || {};
+  return {
+    units: UNIT_SYSTEMS.some((s) => s.id === saved.units)
+      ? saved.units
+      : defaults.units,
+    wind: WIND_UNITS.includes(saved.wind) ? saved.wind : defaults.wind,
+    direction: ["compass", "degrees"].includes(saved.direction)
+      ? saved.direction
+      : defaults.direction,
+    timeZone: ["building", "viewer"].includes(saved.timeZone)
+      ? saved.timeZone
+      : defaults.timeZone,
+    language: LANGUAGES.some((l) => l.id === saved.language)
+      ? saved.language
+      : defaults.language,
+  };
+}
+
+// Display preferences, kept in localStorage. Switching the unit system also
+// switches the wind unit to the system's usual one. `locale` is the language
+// with the browser's region when they match ("en-GB"), for Intl formatting.
+export default function usePreferences() {
+  const [preferences, setPreferences] = useStoredState(
+    STORAGE_KEY,
+    loadPreferences
+  );
+
+  const update = useCallback(
+    (patch) =>
+      setPreferences((current) => {
+        const next = { ...current, ...patch };
+        if (patch.units && !patch.wind) {
+          next.wind = SYSTEM_WIND_UNIT[patch.units];
+        }
+        return next;
+      }),
+    [setPreferences]
+  );
+
+  const locale = useMemo(() => {
+    const browser = navigator.language || "";
+    return browser.startsWith(preferences.language)
+      ? browser
+      : preferences.language;
+  }, [preferences.language]);
+
+  return { preferences, locale, update };
+}
@@ -0,0 +1,24 @@
+import { useEffect, useState } from "react";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+function matches() {
+  return typeof window !== "undefined" && window.matchMedia
+    ? window.matchMedia(QUERY).matches
+    : false;
+}
+
+// Whether the user asked the system for less motion, kept in step with it
+export default function useReducedMotion() {
+  const [reduced, setReduced] = useState(matches);
+
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(QUERY);
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+
+  return reduced;
+}
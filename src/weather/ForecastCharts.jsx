@@ -0,0 +1,270 @@
+import React from "react";
+
+const WIDTH = 320;
+const PAD_LEFT = 30;
+const PAD_RIGHT = 6;
+const PAD_TOP = 14;
+const PAD_BOTTOM = 14;
+
+// Value range of a series; `domain` is the smallest range it may shrink to
+function extent(values, domain) {
+  const nums = values.filter((v) => typeof v === "number");
+  if (!nums.length) return domain || [0, 1];
+  let min = Math.min(...nums, ...(domain ? [domain[0]] : []));
+  let max = Math.max(...nums, ...(domain ? [domain[1]] : []));
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  return [min, max];
+}
+
+function formatValue(v) {
+  return Math.abs(v) >= 10 ? Math.round(v) : Math.round(v * 10) / 10;
+}
+
+// Small single-series chart over a timeline of { time, ... } entries
+export function SeriesChart({
+  data,
+  valueKey,
+  label,
+  unit,
+  color,
+  kind = "line",
+  domain,
+  height = 64,
+}) {
+  const values = data.map((d) => d[valueKey]);
+  const [min, max] = extent(values, domain);
+  const plotW = WIDTH - PAD_LEFT - PAD_RIGHT;
+  const plotH = height - PAD_TOP - PAD_BOTTOM;
+  const step = plotW / Math.max(1, data.length);
+  const x = (i) => PAD_LEFT + step * (i + 0.5);
+  const y = (v) => PAD_TOP + plotH - ((v - min) / (max - min)) * plotH;
+
+  // Break the line wherever a value is missing
+  const segments = [];
+  let current = [];
+  values.forEach((v, i) => {
+    if (typeof v !== "number") {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg
+      className="wbv-chart"
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      role="img"
+      aria-label={label}
+    >
+      <text x={PAD_LEFT} y={10} className="wbv-chart-title">
+        {label}
+        {unit ? ` (${unit})` : ""}
+      </text>
+      <text x={PAD_LEFT - 4} y={PAD_TOP + 4} className="wbv-chart-axis">
+        {formatValue(max)}
+      </text>
+      <text x={PAD_LEFT - 4} y={PAD_TOP + plotH} className="wbv-chart-axis">
+        {formatValue(min)}
+      </text>
+      <line
+        x1={PAD_LEFT}
+        x2={WIDTH - PAD_RIGHT}
+        y1={PAD_TOP + plotH}
+        y2={PAD_TOP + plotH}
+        className="wbv-chart-baseline"
+      />
+
+      {/* Midnight and noon ticks */}
+      {data.map((d, i) => {
+        const hour = d.time.slice(11, 13);
+        if (hour !== "00" && hour !== "12") return null;
+        return (
+          <g key={d.time}>
+            <line
+              x1={x(i)}
+              x2={x(i)}
+              y1={PAD_TOP}
+              y2={PAD_TOP + plotH}
+              className={
+                hour === "00" ? "wbv-chart-midnight" : "wbv-chart-gridline"
+              }
+            />
+            <text x={x(i)} y={height - 2} className="wbv-chart-tick">
+              {hour === "00" ? d.time.slice(5, 10) : "12:00"}
+            </text>
+          </g>
+        );
+      })}
+
+      {kind === "bar"
+        ? values.map((v, i) =>
+            typeof v === "number" ? (
+              <rect
+                key={i}
+                x={x(i) - step * 0.4}
+                width={step * 0.8}
+                y={y(v)}
+                height={Math.max(0, PAD_TOP + plotH - y(v))}
+                fill={color}
+              >
+                <title>{`${data[i].time.replace("T", " ")}: ${v}${unit}`}</title>
+              </rect>
+            ) : null
+          )
+        : segments.map((points, i) => (
+            <polyline
+              key={i}
+              points={points.join(" ")}
+              fill="none"
+              stroke={color}
+              strokeWidth={1.5}
+            />
+          ))}
+    </svg>
+  );
+}
+
+// 48-hour timeline: one small chart per series, sharing the time axis
+export function HourlyTimeline({ hourly, units }) {
+  if (!hourly || hourly.length === 0) return null;
+  return (
+    <div className="wbv-forecast-section">
+      <h4>Next {hourly.length} hours</h4>
+      <SeriesChart
+        data={hourly}
+        valueKey="temperature"
+        label="Temperature"
+        unit={units.temperature}
+        color="#e4572e"
+      />
+      <SeriesChart
+        data={hourly}
+        valueKey="precipitationProbability"
+        label="Precipitation probability"
+        unit="%"
+        color="#4a90d9"
+        kind="bar"
+        domain={[0, 100]}
+      />
+      <SeriesChart
+        data={hourly}
+        valueKey="windGusts"
+        label="Wind gusts"
+        unit={units.windspeed}
+        color="#17a398"
+        domain={[0, 10]}
+      />
+      <SeriesChart
+        data={hourly}
+        valueKey="humidity"
+        label="Humidity"
+        unit="%"
+        color="#6c5b7b"
+        domain={[0, 100]}
+      />
+      <SeriesChart
+        data={hourly}
+        valueKey="uvIndex"
+        label="UV index"
+        unit=""
+        color="#f3a712"
+        kind="bar"
+        domain={[0, 11]}
+      />
+    </div>
+  );
+}
+
+function weekday(date, locale) {
+  return new Date(`${date}T00:00`).toLocaleDateString(locale, {
+    weekday: "short",
+  });
+}
+
+// 7-day summary: temperature range bars with the daily extremes underneath
+export function DailySummary({ daily, units, locale, conditionLabel }) {
+  if (!daily || daily.length === 0) return null;
+  const height = 150;
+  const colW = (WIDTH - 8) / daily.length;
+  const [min, max] = extent(
+    daily.flatMap((d) => [d.temperatureMin, d.temperatureMax])
+  );
+  const barTop = 30;
+  const barH = 56;
+  const y = (v) => barTop + barH - ((v - min) / (max - min)) * barH;
+
+  return (
+    <div className="wbv-forecast-section">
+      <h4>{daily.length}-day outlook</h4>
+      <svg
+        className="wbv-chart"
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        role="img"
+        aria-label={`${daily.length}-day outlook`}
+      >
+        {daily.map((d, i) => {
+          const cx = 4 + colW * (i + 0.5);
+          const hasRange =
+            typeof d.temperatureMin === "number" &&
+            typeof d.temperatureMax === "number";
+          return (
+            <g key={d.time}>
+              <title>{conditionLabel(d.weathercode)}</title>
+              <text x={cx} y={12} className="wbv-chart-day">
+                {weekday(d.time, locale)}
+              </text>
+              {hasRange && (
+                <>
+                  <text
+                    x={cx}
+                    y={y(d.temperatureMax) - 4}
+                    className="wbv-chart-tick"
+                  >
+                    {Math.round(d.temperatureMax)}°
+                  </text>
+                  <rect
+                    x={cx - 5}
+                    width={10}
+                    rx={5}
+                    y={y(d.temperatureMax)}
+                    height={Math.max(
+                      2,
+                      y(d.temperatureMin) - y(d.temperatureMax)
+                    )}
+                    fill="#e4572e"
+                  />
+                  <text
+                    x={cx}
+                    y={y(d.temperatureMin) + 11}
+                    className="wbv-chart-tick"
+                  >
+                    {Math.round(d.temperatureMin)}°
+                  </text>
+                </>
+              )}
+              <text x={cx} y={114} className="wbv-chart-tick">
+                ☂ {d.precipitationProbabilityMax ?? "--"}%
+              </text>
+              <text x={cx} y={128} className="wbv-chart-tick">
+                ↯ {d.windGustsMax != null ? Math.round(d.windGustsMax) : "--"}
+              </text>
+              <text x={cx} y={142} className="wbv-chart-tick">
+                UV {d.uvIndexMax != null ? Math.round(d.uvIndexMax) : "--"}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="wbv-chart-legend">
+        Range in {units.temperature} · ☂ max precipitation chance · ↯ max gust (
+        {units.windspeed}) · UV max
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { WMO } from "./weatherData";
+
+// WMO weather code labels in the languages the viewer offers. Codes without
+// a label fall back to English, then to the bare code.
+
+export const LANGUAGES = [
+  { id: "en", label: "English" },
+  { id: "de", label: "Deutsch" },
+  { id: "es", label: "Español" },
+  { id: "fr", label: "Français" },
+  { id: "hi", label: "हिन्दी" },
+];
+
+const LABELS = {
+  en: WMO,
+  de: {
+    0: "Klarer Himmel",
+    1: "Überwiegend klar",
+    2: "Teilweise bewölkt",
+    3: "Bedeckt",
+    45: "Nebel",
+    48: "Nebel mit Reifansatz",
+    51: "Leichter Nieselregen",
+    53: "Mäßiger Nieselregen",
+    55: "Starker Nieselregen",
+    61: "Leichter Regen",
+    63: "Mäßiger Regen",
+    65: "Starker Regen",
+    71: "Leichter Schneefall",
+    73: "Mäßiger Schneefall",
+    75: "Starker Schneefall",
+    95: "Gewitter",
+  },
+  es: {
+    0: "Cielo despejado",
+    1: "Mayormente despejado",
+    2: "Parcialmente nublado",
+    3: "Cubierto",
+    45: "Niebla",
+    48: "Niebla con escarcha",
+    51: "Llovizna ligera",
+    53: "Llovizna moderada",
+    55: "Llovizna densa",
+    61: "Lluvia ligera",
+    63: "Lluvia moderada",
+    65: "Lluvia fuerte",
+    71: "Nevada ligera",
+    73: "Nevada moderada",
+    75: "Nevada fuerte",
+    95: "Tormenta",
+  },
+  fr: {
+    0: "Ciel dégagé",
+    1: "Plutôt dégagé",
+    2: "Partiellement nuageux",
+    3: "Couvert",
+    45: "Brouillard",
+    48: "Brouillard givrant",
+    51: "Bruine légère",
+    53: "Bruine modérée",
+    55: "Bruine dense",
+    61: "Pluie faible",
+    63: "Pluie modérée",
+    65: "Pluie forte",
+    71: "Neige faible",
+    73: "Neige modérée",
+    75: "Neige forte",
+    95: "Orage",
+  },
+  hi: {
+    0: "साफ़ आसमान",
+    1: "अधिकतर साफ़",
+    2: "आंशिक रूप से बादल",
+    3: "घने बादल",
+    45: "कोहरा",
+    48: "पाले वाला कोहरा",
+    51: "हल्की बूंदाबांदी",
+    53: "मध्यम बूंदाबांदी",
+    55: "घनी बूंदाबांदी",
+    61: "हल्की बारिश",
+    63: "मध्यम बारिश",
+    65: "भारी बारिश",
+    71: "हल्की बर्फबारी",
+    73: "मध्यम बर्फबारी",
+    75: "भारी बर्फबारी",
+    95: "आंधी-तूफ़ान",
+  },
+};
+
+export function conditionLabel(code, language = "en") {
+  return LABELS[language]?.[code] || WMO[code] || `Code ${code}`;
+}
@@ -0,0 +1,80 @@
+import { currentWeatherProblem } from "./weatherData";
+import { malformedError, toWeatherError } from "./weatherErrors";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+// A month of hourly history is a much bigger answer
+const HISTORY_TIMEOUT_MS = 30000;
+
+// Run `request(signal)` so that `signal` cancels it and it gives up after
+// `timeout` milliseconds, rejecting with a WeatherError either way
+async function guarded(request, { signal, timeout }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener("abort", abort);
+
+  try {
+    const result = await request(controller.signal);
+    // Providers that ignore the signal still count as cancelled
+    if (controller.signal.aborted) {
+      throw new DOMException("Aborted", "AbortError");
+    }
+    return result;
+  } catch (err) {
+    throw toWeatherError(err, { timedOut });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  }
+}
+
+// Utility: fetch weather for a location through the given provider. Rejects
+// with a WeatherError (see weatherErrors.js) saying what went wrong; `signal`
+// cancels the request, and it gives up after `timeout` milliseconds.
+export async function fetchWeather(
+  provider,
+  { lat, lng },
+  { signal, timeout = DEFAULT_TIMEOUT_MS } = {}
+) {
+  return guarded(
+    async (s) => {
+      const weather = await provider.fetchWeather({ lat, lng }, { signal: s });
+      const problem = currentWeatherProblem(weather);
+      if (problem) throw malformedError(problem);
+      return weather;
+    },
+    { signal, timeout }
+  );
+}
+
+// Hourly weather between two dates (see weatherHistory.js), from providers
+// that keep an archive. Rejects like fetchWeather.
+export async function fetchWeatherHistory(
+  provider,
+  { lat, lng },
+  { start, end },
+  { signal, timeout = HISTORY_TIMEOUT_MS } = {}
+) {
+  return guarded(
+    async (s) => {
+      if (!provider.fetchHistory) {
+        throw malformedError(`${provider.name} has no historical weather`);
+      }
+      const history = await provider.fetchHistory(
+        { lat, lng },
+        { start, end },
+        { signal: s }
+      );
+      if (!Array.isArray(history?.hours) || history.hours.length === 0) {
+        throw malformedError("No historical weather for these dates");
+      }
+      return history;
+    },
+    { signal, timeout }
+  );
+}
@@ -0,0 +1,109 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { fetchWeather, fetchWeatherHistory } from "./fetchWeather";
+import { createOpenMeteoProvider } from "./providers/openMeteo";
+
+const weather = {
+  temperature: 20,
+  windspeed: 10,
+  winddirection: 90,
+  weathercode: 0,
+  time: "2025-06-01T12:00",
+};
+
+const provider = (result) => ({
+  name: "Test",
+  fetchWeather: vi.fn(async () => result),
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("fetchWeather", () => {
+  it("asks the provider for the location's weather", async () => {
+    const test = provider(weather);
+    await expect(fetchWeather(test, { lat: 1, lng: 2 })).resolves.toBe(weather);
+    expect(test.fetchWeather.mock.calls[0][0]).toEqual({ lat: 1, lng: 2 });
+  });
+
+  it("rejects current weather with a gap", async () => {
+    await expect(
+      fetchWeather(provider({ ...weather, windspeed: undefined }), {})
+    ).rejects.toMatchObject({
+      kind: "malformed",
+      message: "Current weather has no windspeed",
+    });
+  });
+
+  it("reports an unreachable service as a network error", async () => {
+    const failing = {
+      fetchWeather: async () => {
+        throw new TypeError("Failed to fetch");
+      },
+    };
+    await expect(fetchWeather(failing, {})).rejects.toMatchObject({
+      kind: "network",
+    });
+  });
+
+  it("doesn't blame the network for a provider's own TypeError", async () => {
+    const broken = {
+      fetchWeather: async () => {
+        const data = {};
+        return data.current.temperature;
+      },
+    };
+    await expect(fetchWeather(broken, {})).rejects.toMatchObject({
+      kind: "malformed",
+    });
+  });
+
+  it("reports the service's error status", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => ({ ok: false, status: 503, statusText: "" }))
+    );
+    await expect(
+      fetchWeather(createOpenMeteoProvider(), { lat: 0, lng: 0 })
+    ).rejects.toMatchObject({ kind: "http", status: 503 });
+  });
+
+  it("rejects as aborted once cancelled", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      fetchWeather(provider(weather), {}, { signal: controller.signal })
+    ).rejects.toMatchObject({ kind: "aborted" });
+  });
+
+  it("gives up after the timeout", async () => {
+    const slow = {
+      fetchWeather: (location, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () =>
+            reject(new DOMException("Aborted", "AbortError"))
+          );
+        }),
+    };
+    await expect(fetchWeather(slow, {}, { timeout: 5 })).rejects.toMatchObject({
+      kind: "timeout",
+    });
+  });
+});
+
+describe("fetchWeatherHistory", () => {
+  const range = { start: "2025-01-01", end: "2025-01-02" };
+
+  it("rejects providers without an archive", async () => {
+    await expect(
+      fetchWeatherHistory(provider(weather), {}, range)
+    ).rejects.toMatchObject({ kind: "malformed" });
+  });
+
+  it("rejects an empty history", async () => {
+    const empty = { fetchHistory: async () => ({ hours: [] }) };
+    await expect(fetchWeatherHistory(empty, {}, range)).rejects.toMatchObject({
+      kind: "malformed",
+    });
+  });
+});
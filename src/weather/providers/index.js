@@ -0,0 +1,49 @@
+import { WeatherError } from "../weatherErrors";
+import { createMockProvider } from "./mock";
+import { createOpenMeteoProvider } from "./openMeteo";
+
+export { createMockProvider } from "./mock";
+export { createOpenMeteoProvider } from "./openMeteo";
+export { createStationProvider } from "./station";
+
+// A weather provider is any object of the form
+//
+// {
+//   id: "open-meteo",           // unique; keys the provider's cached weather
+//   name: "Open-Meteo",
+//   fetchWeather({ lat, lng }, { signal }) -> Promise<weather>  // see weatherData.js
+//   // optional, for replaying past weather:
+//   fetchHistory({ lat, lng }, { start, end }, { signal }) -> Promise<history>
+//                                                      // see weatherHistory.js
+// }
+//
+// fetchWeather should reject with a WeatherError (see weatherErrors.js) when
+// it knows what went wrong; other errors are classified by the viewer.
+//
+// The viewer accepts a provider object, or one of the built-in names below;
+// resolveProvider rejects anything else with a WeatherError.
+
+const BUILT_IN = {
+  "open-meteo": createOpenMeteoProvider,
+  mock: createMockProvider,
+};
+
+const instances = {};
+
+export function resolveProvider(provider = "open-meteo") {
+  if (provider && typeof provider.fetchWeather === "function") {
+    if (!provider.id) {
+      throw new WeatherError("provider", "Weather providers need an id");
+    }
+    return provider;
+  }
+  const create = BUILT_IN[provider];
+  if (!create) {
+    throw new WeatherError(
+      "provider",
+      `Unknown weather provider "${provider}"`
+    );
+  }
+  if (!instances[provider]) instances[provider] = create();
+  return instances[provider];
+}
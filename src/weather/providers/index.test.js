@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { resolveProvider } from "./index";
+
+describe("resolveProvider", () => {
+  it("uses a provider object as it is", () => {
+    const custom = { id: "custom", fetchWeather: async () => null };
+    expect(resolveProvider(custom)).toBe(custom);
+  });
+
+  it("rejects provider objects without an id", () => {
+    expect(() => resolveProvider({ fetchWeather: async () => null })).toThrow(
+      expect.objectContaining({ kind: "provider" })
+    );
+  });
+
+  it("creates built-in providers by name, once", () => {
+    expect(resolveProvider().id).toBe("open-meteo");
+    expect(resolveProvider("mock")).toBe(resolveProvider("mock"));
+  });
+
+  it("rejects unknown names", () => {
+    expect(() => resolveProvider("acme")).toThrow(
+      expect.objectContaining({
+        kind: "provider",
+        message: 'Unknown weather provider "acme"',
+      })
+    );
+  });
+});
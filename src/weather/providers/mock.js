@@ -0,0 +1,124 @@
+import chennai from "../fixtures/chennai.json";
+import { zonedClock } from "../../util/time";
+import { UNITS } from "../weatherData";
+import { normalizeOpenMeteo } from "./openMeteo";
+
+// Deterministic offline provider for CI and kiosks without internet. Serves
+// the recorded Open-Meteo payload closest to the requested coordinates, with
+// its timestamps moved onto today so the timeline always starts "now".
+
+export const DEFAULT_FIXTURES = [chennai];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayNumber(isoDate) {
+  return Math.round(Date.parse(`${isoDate.slice(0, 10)}T00:00Z`) / DAY_MS);
+}
+
+// Shift an Open-Meteo local timestamp ("2025-10-14" or "2025-10-14T09:00")
+function shiftDays(time, days) {
+  const shifted = new Date(
+    Date.parse(`${time.slice(0, 10)}T00:00Z`) + days * DAY_MS
+  )
+    .toISOString()
+    .slice(0, 10);
+  return shifted + time.slice(10);
+}
+
+function nearestFixture(fixtures, lat, lng) {
+  let best = fixtures[0];
+  let bestDist = Infinity;
+  for (const f of fixtures) {
+    const d = (f.latitude - lat) ** 2 + (f.longitude - lng) ** 2;
+    if (d < bestDist) {
+      best = f;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+// Build the Open-Meteo payload the fixture would have produced at `now`
+export function replayFixture(fixture, now) {
+  const clock = zonedClock(now, fixture.timezone || "UTC");
+  const offset = dayNumber(clock.date) - dayNumber(fixture.daily.time[0]);
+  const hourly = {
+    ...fixture.hourly,
+    time: fixture.hourly.time.map((t) => shiftDays(t, offset)),
+  };
+  const daily = {
+    ...fixture.daily,
+    time: fixture.daily.time.map((t) => shiftDays(t, offset)),
+  };
+  const i = Math.min(Math.floor(clock.minutes / 60), hourly.time.length - 1);
+
+  return {
+    ...fixture,
+    hourly,
+    daily,
+    current_weather: {
+      time: hourly.time[i],
+      temperature: hourly.temperature_2m[i],
+      windspeed: hourly.wind_speed_10m[i],
+      winddirection: hourly.wind_direction_10m[i],
+      weathercode: hourly.weathercode[i],
+    },
+  };
+}
+
+// History for any dates: the fixture's week of hours repeated over them
+export function fixtureHistory(fixture, start, end) {
+  const source = fixture.hourly;
+  const days = dayNumber(end) - dayNumber(start) + 1;
+  const hours = [];
+  for (let i = 0; i < days * 24; i++) {
+    const j = i % source.time.length;
+    hours.push({
+      time: shiftDays(start, Math.floor(i / 24)) + source.time[j].slice(10),
+      temperature: source.temperature_2m[j],
+      humidity: source.relative_humidity_2m[j],
+      precipitation: null,
+      weathercode: source.weathercode[j],
+      windspeed: source.wind_speed_10m[j],
+      winddirection: source.wind_direction_10m[j],
+      windGusts: source.wind_gusts_10m[j],
+    });
+  }
+  return {
+    timezone: fixture.timezone || "UTC",
+    units: { ...UNITS, precipitation: "mm" },
+    hours,
+  };
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    });
+  });
+}
+
+export function createMockProvider({
+  fixtures = DEFAULT_FIXTURES,
+  now = () => new Date(),
+  delay = 0,
+} = {}) {
+  if (!fixtures.length) throw new Error("Mock provider needs a fixture");
+
+  return {
+    id: "mock",
+    name: "Recorded fixtures",
+    async fetchWeather({ lat, lng }, { signal } = {}) {
+      if (delay > 0) await wait(delay, signal);
+      const fixture = nearestFixture(fixtures, lat, lng);
+      return normalizeOpenMeteo(replayFixture(fixture, now()));
+    },
+    async fetchHistory({ lat, lng }, { start, end }, { signal } = {}) {
+      if (delay > 0) await wait(delay, signal);
+      return fixtureHistory(nearestFixture(fixtures, lat, lng), start, end);
+    },
+  };
+}
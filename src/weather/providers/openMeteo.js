@@ -0,0 +1,143 @@
+import {
+  FORECAST_DAYS,
+  UNITS,
+  currentWeatherProblem,
+  upcomingHours,
+} from "../weatherData";
+import { httpError, malformedError } from "../weatherErrors";
+
+// Open-Meteo forecast API: https://open-meteo.com/en/docs
+// and its archive: https://open-meteo.com/en/docs/historical-weather-api
+
+const HOURLY_VARS = [
+  "temperature_2m",
+  "precipitation_probability",
+  "wind_gusts_10m",
+  "relative_humidity_2m",
+  "uv_index",
+];
+
+const HISTORY_VARS = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "precipitation",
+  "weather_code",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "wind_gusts_10m",
+];
+
+const DAILY_VARS = [
+  "weathercode",
+  "temperature_2m_max",
+  "temperature_2m_min",
+  "precipitation_probability_max",
+  "wind_gusts_10m_max",
+  "uv_index_max",
+];
+
+// Open-Meteo returns parallel arrays; zip them into one object per step
+function zipSeries(block, mapping) {
+  if (!block || !Array.isArray(block.time)) return [];
+  return block.time.map((time, i) => {
+    const row = { time };
+    for (const [key, source] of Object.entries(mapping)) {
+      const v = block[source]?.[i];
+      row[key] = typeof v === "number" ? v : null;
+    }
+    return row;
+  });
+}
+
+// Turn an Open-Meteo forecast payload into the viewer's weather shape
+export function normalizeOpenMeteo(data) {
+  const cw = data.current_weather;
+  if (!cw) throw malformedError("No current weather data available");
+  const problem = currentWeatherProblem(cw);
+  if (problem) throw malformedError(problem);
+
+  const hourly = zipSeries(data.hourly, {
+    temperature: "temperature_2m",
+    precipitationProbability: "precipitation_probability",
+    windGusts: "wind_gusts_10m",
+    humidity: "relative_humidity_2m",
+    uvIndex: "uv_index",
+  });
+  const daily = zipSeries(data.daily, {
+    weathercode: "weathercode",
+    temperatureMax: "temperature_2m_max",
+    temperatureMin: "temperature_2m_min",
+    precipitationProbabilityMax: "precipitation_probability_max",
+    windGustsMax: "wind_gusts_10m_max",
+    uvIndexMax: "uv_index_max",
+  });
+
+  return {
+    temperature: cw.temperature,
+    windspeed: cw.windspeed,
+    winddirection: cw.winddirection,
+    weathercode: cw.weathercode,
+    time: cw.time,
+    units: UNITS,
+    timezone: data.timezone ?? "",
+    hourly: upcomingHours(hourly, cw.time),
+    daily: daily.slice(0, FORECAST_DAYS),
+  };
+}
+
+// Turn an Open-Meteo archive payload into the viewer's history shape
+export function normalizeOpenMeteoHistory(data) {
+  const hours = zipSeries(data.hourly, {
+    temperature: "temperature_2m",
+    humidity: "relative_humidity_2m",
+    precipitation: "precipitation",
+    weathercode: "weather_code",
+    windspeed: "wind_speed_10m",
+    winddirection: "wind_direction_10m",
+    windGusts: "wind_gusts_10m",
+  });
+  if (hours.length === 0) throw malformedError("No hourly history returned");
+  return {
+    timezone: data.timezone ?? "",
+    units: { ...UNITS, precipitation: "mm" },
+    hours,
+  };
+}
+
+export function createOpenMeteoProvider({
+  baseUrl = "https://api.open-meteo.com/v1/forecast",
+  archiveUrl = "https://archive-api.open-meteo.com/v1/archive",
+} = {}) {
+  return {
+    id: "open-meteo",
+    name: "Open-Meteo",
+    async fetchWeather({ lat, lng }, { signal } = {}) {
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lng,
+        current_weather: "true",
+        hourly: HOURLY_VARS.join(","),
+        daily: DAILY_VARS.join(","),
+        forecast_days: String(FORECAST_DAYS),
+        timezone: "auto",
+      });
+      const res = await fetch(`${baseUrl}?${params}`, { signal });
+      if (!res.ok) throw httpError(res);
+      return normalizeOpenMeteo(await res.json());
+    },
+    // The archive trails real time by a few days
+    async fetchHistory({ lat, lng }, { start, end }, { signal } = {}) {
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lng,
+        start_date: start,
+        end_date: end,
+        hourly: HISTORY_VARS.join(","),
+        timezone: "auto",
+      });
+      const res = await fetch(`${archiveUrl}?${params}`, { signal });
+      if (!res.ok) throw httpError(res);
+      return normalizeOpenMeteoHistory(await res.json());
+    },
+  };
+}
@@ -0,0 +1,142 @@
+import { describe, expect, it } from "vitest";
+import { normalizeOpenMeteo, normalizeOpenMeteoHistory } from "./openMeteo";
+
+const current = {
+  temperature: 31.2,
+  windspeed: 14.5,
+  winddirection: 220,
+  weathercode: 3,
+  time: "2025-06-01T12:30",
+};
+
+const days = ["01", "02", "03", "04", "05", "06", "07", "08"];
+
+function payload(patch = {}) {
+  return {
+    timezone: "Asia/Kolkata",
+    current_weather: { ...current, ...patch },
+    hourly: {
+      time: ["2025-06-01T11:00", "2025-06-01T12:00", "2025-06-01T13:00"],
+      temperature_2m: [30.5, 31.2, 31.8],
+      precipitation_probability: [5, 10, null],
+      wind_gusts_10m: [28, 30, 32],
+      relative_humidity_2m: [62, 60, 58],
+      uv_index: [7, 8, 7.5],
+    },
+    daily: {
+      time: days.map((d) => `2025-06-${d}`),
+      weathercode: days.map(() => 3),
+      temperature_2m_max: days.map(() => 34),
+      temperature_2m_min: days.map(() => 27),
+      precipitation_probability_max: days.map(() => 20),
+      wind_gusts_10m_max: days.map(() => 40),
+      uv_index_max: days.map(() => 9),
+    },
+  };
+}
+
+describe("normalizeOpenMeteo", () => {
+  it("keeps the current readings", () => {
+    expect(normalizeOpenMeteo(payload())).toMatchObject({
+      ...current,
+      timezone: "Asia/Kolkata",
+    });
+  });
+
+  it("zips the hourly series from the current hour on", () => {
+    const { hourly } = normalizeOpenMeteo(payload());
+    expect(hourly).toEqual([
+      {
+        time: "2025-06-01T12:00",
+        temperature: 31.2,
+        precipitationProbability: 10,
+        windGusts: 30,
+        humidity: 60,
+        uvIndex: 8,
+      },
+      {
+        time: "2025-06-01T13:00",
+        temperature: 31.8,
+        precipitationProbability: null,
+        windGusts: 32,
+        humidity: 58,
+        uvIndex: 7.5,
+      },
+    ]);
+  });
+
+  it("keeps a week of daily forecast", () => {
+    const { daily } = normalizeOpenMeteo(payload());
+    expect(daily).toHaveLength(7);
+    expect(daily[0]).toEqual({
+      time: "2025-06-01",
+      weathercode: 3,
+      temperatureMax: 34,
+      temperatureMin: 27,
+      precipitationProbabilityMax: 20,
+      windGustsMax: 40,
+      uvIndexMax: 9,
+    });
+  });
+
+  it("rejects a payload without current weather", () => {
+    expect(() => normalizeOpenMeteo({})).toThrow(
+      expect.objectContaining({
+        kind: "malformed",
+        message: "No current weather data available",
+      })
+    );
+  });
+
+  it.each(["weathercode", "windspeed", "winddirection", "temperature"])(
+    "rejects current weather without %s",
+    (key) => {
+      expect(() => normalizeOpenMeteo(payload({ [key]: null }))).toThrow(
+        expect.objectContaining({ kind: "malformed" })
+      );
+    }
+  );
+
+  it("rejects current weather without a time", () => {
+    expect(() => normalizeOpenMeteo(payload({ time: undefined }))).toThrow(
+      "Current weather has no time"
+    );
+  });
+});
+
+describe("normalizeOpenMeteoHistory", () => {
+  it("zips hourly history and keeps gaps as null", () => {
+    const history = normalizeOpenMeteoHistory({
+      timezone: "UTC",
+      hourly: {
+        time: ["2025-01-01T00:00", "2025-01-01T01:00"],
+        temperature_2m: [4, null],
+        relative_humidity_2m: [80, 82],
+        precipitation: [0, 0.4],
+        weather_code: [3, 61],
+        wind_speed_10m: [12, 15],
+        wind_direction_10m: [270, 280],
+        wind_gusts_10m: [25, null],
+      },
+    });
+    expect(history.timezone).toBe("UTC");
+    expect(history.units.precipitation).toBe("mm");
+    expect(history.hours).toHaveLength(2);
+    expect(history.hours[1]).toEqual({
+      time: "2025-01-01T01:00",
+      temperature: null,
+      humidity: 82,
+      precipitation: 0.4,
+      weathercode: 61,
+      windspeed: 15,
+      winddirection: 280,
+      windGusts: null,
+    });
+  });
+
+  it("rejects an empty archive answer", () => {
+    expect(() => normalizeOpenMeteoHistory({ hourly: { time: [] } })).toThrow(
+      expect.objectContaining({ kind: "malformed" })
+    );
+  });
+});
@@ -0,0 +1,44 @@
+import { UNITS, upcomingHours } from "../weatherData";
+import { httpError, malformedError } from "../weatherErrors";
+import { normalizeOpenMeteo } from "./openMeteo";
+
+// On-prem weather station endpoint. `url` may contain {lat} and {lng}
+// placeholders. The endpoint can answer either in the viewer's own weather
+// shape or in Open-Meteo's format; anything else needs a `normalize` function.
+// Each url gets its own `id` unless one is given.
+export function createStationProvider({
+  url,
+  id = `station:${url}`,
+  name = "Weather station",
+  headers,
+  normalize,
+}) {
+  if (!url) throw new Error("Station provider needs a url");
+
+  return {
+    id,
+    name,
+    async fetchWeather({ lat, lng }, { signal } = {}) {
+      const target = url
+        .replace("{lat}", encodeURIComponent(lat))
+        .replace("{lng}", encodeURIComponent(lng));
+      const res = await fetch(target, { headers, signal });
+      if (!res.ok) throw httpError(res);
+      const data = await res.json();
+
+      if (normalize) return normalize(data);
+      if (data.current_weather) return normalizeOpenMeteo(data);
+      if (typeof data.temperature !== "number") {
+        throw malformedError("Unrecognised station response");
+      }
+      const hourly = Array.isArray(data.hourly) ? data.hourly : [];
+      return {
+        ...data,
+        units: { ...UNITS, ...(data.units || {}) },
+        timezone: data.timezone ?? "",
+        hourly: upcomingHours(hourly, data.time ?? ""),
+        daily: Array.isArray(data.daily) ? data.daily : [],
+      };
+    },
+  };
+}
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchWeather } from "./fetchWeather";
+import {
+  isStale,
+  readCachedWeather,
+  weatherCacheKey,
+  writeCachedWeather,
+} from "./weatherCache";
+
+// Failed fetches are retried after 5 s, 10 s, 20 s, ... up to 5 minutes
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+// How often the age of the data on screen is brought up to date
+const CLOCK_MS = 30 * 1000;
+
+export function retryDelay(failures) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (failures - 1));
+}
+
+// Weather for one location, served from the cache while it is younger than
+// `ttl` and refetched in the background every `refreshInterval` (0 turns
+// that off). Cached data stays on screen, marked stale, while fetches fail.
+// Both durations are in milliseconds. `error` is the WeatherError of the
+// last failed fetch. `revalidate(source)` fetches unless the data on screen
+// is still fresh or a fetch is already under way; `cancel(source)` drops the
+// fetch in flight only if that revalidate started it, so one caller giving
+// up doesn't cost the others their weather.
+export default function useWeather(
+  provider,
+  location,
+  { ttl, refreshInterval }
+) {
+  const lat = location?.lat;
+  const lng = location?.lng;
+  const key =
+    lat == null || lng == null ? null : weatherCacheKey(provider, { lat, lng });
+
+  const [entry, setEntry] = useState(() => key && readCachedWeather(key));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Failures in a row for the current location
+  const [failures, setFailures] = useState(0);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+  const handled = useRef({ key: null, refreshCount: 0 });
+  // The fetch under way as { controller, source }, and who asked for the next
+  const inFlight = useRef(null);
+  const requestedBy = useRef(null);
+
+  const refresh = useCallback(() => {
+    requestedBy.current = null;
+    setRefreshCount((n) => n + 1);
+  }, []);
+  const revalidate = useCallback(
+    (source) => {
+      if (inFlight.current || !isStale(entry, ttl)) return;
+      requestedBy.current = source;
+      setRefreshCount((n) => n + 1);
+    },
+    [entry, ttl]
+  );
+  const cancel = useCallback((source) => {
+    if (!inFlight.current || inFlight.current.source !== source) return;
+    inFlight.current.controller.abort();
+    inFlight.current = null;
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (!key) return;
+    const cached = readCachedWeather(key);
+    setEntry(cached);
+    const previous = handled.current;
+    handled.current = { key, refreshCount };
+    if (previous.key !== key) {
+      setFailures(0);
+      setError(null);
+    }
+    const requested =
+      previous.key === key && previous.refreshCount !== refreshCount;
+    if (!requested && !isStale(cached, ttl)) return;
+
+    const controller = new AbortController();
+    inFlight.current = {
+      controller,
+      source: requested ? requestedBy.current : null,
+    };
+    requestedBy.current = null;
+    setLoading(true);
+    fetchWeather(provider, { lat, lng }, { signal: controller.signal })
+      .then(
+        (weather) => {
+          setEntry(writeCachedWeather(key, weather));
+          setNow(Date.now());
+          setError(null);
+          setFailures(0);
+        },
+        (e) => {
+          // Switching location or closing the modal is not a failure
+          if (controller.signal.aborted) return;
+          setError(e);
+          setFailures((n) => n + 1);
+        }
+      )
+      .finally(() => {
+        if (inFlight.current?.controller === controller) {
+          inFlight.current = null;
+        }
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => {
+      controller.abort();
+      if (inFlight.current?.controller === controller) inFlight.current = null;
+      setLoading(false);
+    };
+  }, [provider, key, lat, lng, ttl, refreshCount]);
+
+  // Background refresh, or the next retry after a failure
+  useEffect(() => {
+    if (!key || loading) return;
+    let delay;
+    if (failures > 0) delay = retryDelay(failures);
+    else if (entry && refreshInterval > 0) {
+      delay = Math.max(0, entry.fetchedAt + refreshInterval - Date.now());
+    } else return;
+    const timer = setTimeout(refresh, delay);
+    return () => clearTimeout(timer);
+  }, [key, loading, failures, entry, refreshInterval, refresh]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  return {
+    weather: entry?.weather ?? null,
+    fetchedAt: entry?.fetchedAt ?? null,
+    age: entry ? Math.max(0, now - entry.fetchedAt) : null,
+    stale: !!entry && isStale(entry, ttl, now),
+    loading,
+    error,
+    retryIn: failures > 0 && !loading ? retryDelay(failures) : null,
+    refresh,
+    revalidate,
+    cancel,
+  };
+}
@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { fetchWeatherHistory } from "./fetchWeather";
+import { historyClock, historyFrame } from "./weatherHistory";
+
+// Playback speeds, in hours of history per second
+export const REPLAY_SPEEDS = [1, 3, 6, 12, 24];
+const TICK_MS = 100;
+
+// Past weather for one location, replayed hour by hour. `load` fetches a
+// date range and starts the replay at its first hour; `position` is in
+// hours from there. While a replay is loaded, `frame` is the weather at the
+// position (see historyFrame) and `clock` its local date and time; both are
+// null otherwise. Moving more than about a kilometre ends the replay, so
+// buildings on the same site share it.
+export default function useWeatherReplay(provider, location) {
+  const lat = location?.lat;
+  const lng = location?.lng;
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[1]);
+  const inFlight = useRef(null);
+
+  const exit = useCallback(() => {
+    inFlight.current?.abort();
+    inFlight.current = null;
+    setHistory(null);
+    setLoading(false);
+    setError(null);
+    setPlaying(false);
+    setPosition(0);
+  }, []);
+
+  const place =
+    lat == null || lng == null ? null : `${lat.toFixed(2)},${lng.toFixed(2)}`;
+  useEffect(() => exit, [place, exit]);
+
+  const load = useCallback(
+    (range) => {
+      if (lat == null || lng == null) return;
+      inFlight.current?.abort();
+      const controller = new AbortController();
+      inFlight.current = controller;
+      setLoading(true);
+      setError(null);
+      fetchWeatherHistory(provider, { lat, lng }, range, {
+        signal: controller.signal,
+      })
+        .then(
+          (loaded) => {
+            setHistory(loaded);
+            setPosition(0);
+            setPlaying(false);
+          },
+          (err) => {
+            if (err.kind !== "aborted") setError(err);
+          }
+        )
+        .finally(() => {
+          if (inFlight.current !== controller) return;
+          inFlight.current = null;
+          setLoading(false);
+        });
+    },
+    [provider, lat, lng]
+  );
+
+  const last = history ? history.hours.length - 1 : 0;
+
+  useEffect(() => {
+    if (!playing) return;
+    const id = setInterval(() => {
+      setPosition((p) => Math.min(last, p + (speed * TICK_MS) / 1000));
+    }, TICK_MS);
+    return () => clearInterval(id);
+  }, [playing, speed, last]);
+
+  // Playback stops at the last hour
+  useEffect(() => {
+    if (playing && position >= last) setPlaying(false);
+  }, [playing, position, last]);
+
+  const seek = useCallback(
+    (hours) => setPosition(Math.min(last, Math.max(0, hours))),
+    [last]
+  );
+
+  const togglePlay = useCallback(() => {
+    if (!history) return;
+    // Playing from the end starts over
+    setPosition((p) => (p >= last ? 0 : p));
+    setPlaying((p) => !p);
+  }, [history, last]);
+
+  const hour = Math.floor(position);
+  const frame = useMemo(
+    () => (history ? historyFrame(history, hour) : null),
+    [history, hour]
+  );
+  const clock = useMemo(
+    () => (history ? historyClock(history, position) : null),
+    [history, position]
+  );
+
+  return {
+    history,
+    loading,
+    error,
+    position,
+    last,
+    playing,
+    speed,
+    frame,
+    clock,
+    load,
+    seek,
+    togglePlay,
+    setSpeed,
+    exit,
+  };
+}
@@ -0,0 +1,53 @@
+import { loadJson, saveJson } from "../util/storage";
+import { currentWeatherProblem } from "./weatherData";
+
+// Last weather fetched per provider and location, kept in localStorage so a
+// reload, or a kiosk that restarts overnight, has something to show at once.
+// Entries are { weather, fetchedAt } with fetchedAt in epoch milliseconds.
+
+const STORAGE_KEY = "wbv-weather-cache";
+const MAX_ENTRIES = 50;
+
+let entries = null;
+
+function loadEntries() {
+  if (entries) return entries;
+  const saved = loadJson(STORAGE_KEY, {});
+  entries = saved && typeof saved === "object" ? saved : {};
+  return entries;
+}
+
+// Locations closer than about 100 m share an entry. Providers are told apart
+// by their id, which resolveProvider makes sure they have.
+export function weatherCacheKey(provider, { lat, lng }) {
+  return `${provider.id}:${Number(lat).toFixed(3)},${Number(lng).toFixed(3)}`;
+}
+
+export function readCachedWeather(key) {
+  const entry = loadEntries()[key];
+  // Entries saved by older versions may hold placeholder readings
+  return entry &&
+    Number.isFinite(entry.fetchedAt) &&
+    !currentWeatherProblem(entry.weather)
+    ? entry
+    : null;
+}
+
+export function writeCachedWeather(key, weather, fetchedAt = Date.now()) {
+  const all = loadEntries();
+  all[key] = { weather, fetchedAt };
+  // Drop the oldest locations once there are too many
+  const keys = Object.keys(all);
+  if (keys.length > MAX_ENTRIES) {
+    keys
+      .sort((a, b) => all[a].fetchedAt - all[b].fetchedAt)
+      .slice(0, keys.length - MAX_ENTRIES)
+      .forEach((k) => delete all[k]);
+  }
+  saveJson(STORAGE_KEY, all);
+  return all[key];
+}
+
+export function isStale(entry, ttl, now = Date.now()) {
+  return !entry || now - entry.fetchedAt > ttl;
+}
@@ -0,0 +1,82 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { createStationProvider } from "./providers/station";
+import {
+  isStale,
+  readCachedWeather,
+  weatherCacheKey,
+  writeCachedWeather,
+} from "./weatherCache";
+
+const weather = {
+  temperature: 20,
+  windspeed: 10,
+  winddirection: 90,
+  weathercode: 0,
+  time: "2025-06-01T12:00",
+};
+
+const saved = new Map();
+
+beforeEach(() => {
+  vi.stubGlobal("localStorage", {
+    getItem: (key) => saved.get(key) ?? null,
+    setItem: (key, value) => saved.set(key, value),
+  });
+});
+
+describe("weatherCacheKey", () => {
+  it("shares an entry between nearby locations of one provider", () => {
+    const provider = { id: "open-meteo" };
+    expect(weatherCacheKey(provider, { lat: 13.08271, lng: 80.2707 })).toBe(
+      "open-meteo:13.083,80.271"
+    );
+    expect(weatherCacheKey(provider, { lat: 13.0831, lng: 80.2712 })).toBe(
+      "open-meteo:13.083,80.271"
+    );
+    expect(
+      weatherCacheKey({ id: "mock" }, { lat: 13.0831, lng: 80.2712 })
+    ).not.toBe("open-meteo:13.083,80.271");
+  });
+
+  it("keeps stations at different urls apart", () => {
+    const at = (url) =>
+      weatherCacheKey(createStationProvider({ url }), { lat: 0, lng: 0 });
+    expect(at("https://a.example/wx")).not.toBe(at("https://b.example/wx"));
+  });
+});
+
+describe("cached weather", () => {
+  it("reads back what was written and keeps it in localStorage", () => {
+    const entry = writeCachedWeather("a:1,2", weather, 1000);
+    expect(entry).toEqual({ weather, fetchedAt: 1000 });
+    expect(readCachedWeather("a:1,2")).toEqual(entry);
+    expect(JSON.parse(saved.get("wbv-weather-cache"))["a:1,2"]).toEqual(entry);
+  });
+
+  it("has nothing for unknown locations", () => {
+    expect(readCachedWeather("a:9,9")).toBeNull();
+  });
+
+  it("skips entries with placeholder readings", () => {
+    writeCachedWeather("a:3,4", { ...weather, windspeed: "--" }, 1000);
+    expect(readCachedWeather("a:3,4")).toBeNull();
+  });
+
+  it("keeps only the most recent locations", () => {
+    for (let i = 0; i < 60; i++) {
+      writeCachedWeather(`b:${i}`, weather, 2000 + i);
+    }
+    expect(readCachedWeather("a:1,2")).toBeNull();
+    expect(readCachedWeather("b:9")).toBeNull();
+    expect(readCachedWeather("b:10")).not.toBeNull();
+    expect(readCachedWeather("b:59")).not.toBeNull();
+  });
+});
+
+describe("isStale", () => {
+  it("is stale when missing or older than the ttl", () => {
+    expect(isStale(null, 1000)).toBe(true);
+    expect(isStale({ fetchedAt: 0 }, 1000, 1000)).toBe(false);
+    expect(isStale({ fetchedAt: 0 }, 1000, 1001)).toBe(true);
+  });
+});
@@ -0,0 +1,67 @@
+// Shared shape of the weather every provider returns:
+//
+// {
+//   temperature, windspeed, winddirection, weathercode, time, timezone,
+//   units: { temperature, windspeed, precipitationProbability, humidity, uvIndex },
+//   hourly: [{ time, temperature, precipitationProbability, windGusts, humidity, uvIndex }],
+//   daily: [{ time, weathercode, temperatureMax, temperatureMin,
+//             precipitationProbabilityMax, windGustsMax, uvIndexMax }],
+// }
+
+export const HOURLY_HOURS = 48;
+export const FORECAST_DAYS = 7;
+
+// WMO weather code mapping
+export const WMO = {
+  0: "Clear sky",
+  1: "Mainly clear",
+  2: "Partly cloudy",
+  3: "Overcast",
+  45: "Fog",
+  48: "Depositing rime fog",
+  51: "Light drizzle",
+  53: "Moderate drizzle",
+  55: "Dense drizzle",
+  61: "Slight rain",
+  63: "Moderate rain",
+  65: "Heavy rain",
+  71: "Slight snow",
+  73: "Moderate snow",
+  75: "Heavy snow",
+  95: "Thunderstorm",
+};
+
+export const UNITS = {
+  temperature: "°C",
+  windspeed: "km/h",
+  precipitationProbability: "%",
+  humidity: "%",
+  uvIndex: "",
+};
+
+// The next `hours` entries starting at the hour containing `now`
+export function upcomingHours(hourly, now, hours = HOURLY_HOURS) {
+  const hourStart = now.slice(0, 13);
+  let start = hourly.findIndex((h) => h.time.slice(0, 13) >= hourStart);
+  if (start < 0) start = 0;
+  return hourly.slice(start, start + hours);
+}
+
+const CURRENT_NUMBERS = [
+  "temperature",
+  "windspeed",
+  "winddirection",
+  "weathercode",
+];
+
+// Why `current` can't be shown as current weather, or "" if it can. Every
+// reading must be there: a gap is an error, not a clear sky at 0 km/h.
+export function currentWeatherProblem(current) {
+  if (!current || typeof current !== "object") return "No current weather";
+  const missing = CURRENT_NUMBERS.find((k) => typeof current[k] !== "number");
+  if (missing) return `Current weather has no ${missing}`;
+  if (typeof current.time !== "string" || !current.time) {
+    return "Current weather has no time";
+  }
+  return "";
+}
@@ -0,0 +1,87 @@
+// Why a weather fetch failed. Providers throw these where they know the
+// cause; fetchWeather turns anything else into one.
+//
+//   network    the request never got an answer (offline, DNS, CORS)
+//   http       the service answered with an error status (`status`)
+//   malformed  the answer isn't weather the viewer can read
+//   timeout    no answer in time
+//   aborted    cancelled by the viewer; not worth showing
+//   provider   the viewer was given a provider it doesn't know
+//   unknown    anything else a custom provider throws
+
+export class WeatherError extends Error {
+  constructor(kind, message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = "WeatherError";
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+export function httpError(res) {
+  return new WeatherError(
+    "http",
+    `Weather service answered ${res.status}${res.statusText ? ` ${res.statusText}` : ""}`,
+    { status: res.status }
+  );
+}
+
+export function malformedError(message) {
+  return new WeatherError("malformed", message);
+}
+
+const FETCH_FAILURE = /fetch|network|load failed/i;
+
+// Classify whatever a provider threw
+export function toWeatherError(error, { timedOut = false } = {}) {
+  if (error instanceof WeatherError) return error;
+  if (timedOut) {
+    return new WeatherError("timeout", "Weather service timed out", {
+      cause: error,
+    });
+  }
+  if (error?.name === "AbortError") {
+    return new WeatherError("aborted", "Weather request cancelled", {
+      cause: error,
+    });
+  }
+  // fetch rejects with a TypeError when there is no response at all ("Failed
+  // to fetch", "NetworkError when attempting to fetch resource.", "Load
+  // failed"). Any other TypeError is a provider tripping over the answer.
+  if (error instanceof TypeError) {
+    if (FETCH_FAILURE.test(error.message)) {
+      return new WeatherError("network", "Weather service unreachable", {
+        cause: error,
+      });
+    }
+    return new WeatherError(
+      "malformed",
+      `Weather provider couldn't read the answer: ${error.message}`,
+      { cause: error }
+    );
+  }
+  if (error instanceof SyntaxError) {
+    return new WeatherError("malformed", "Weather service sent invalid JSON", {
+      cause: error,
+    });
+  }
+  return new WeatherError("unknown", error?.message || "Weather fetch failed", {
+    cause: error,
+  });
+}
+
+const MESSAGES = {
+  network: "Can't reach the weather service. Check the network connection.",
+  malformed: "The weather service sent data the viewer can't read.",
+  timeout: "The weather service took too long to answer.",
+  aborted: "The weather request was cancelled.",
+};
+
+// Sentence for the UI
+export function describeWeatherError(error) {
+  if (!error) return "";
+  if (error.kind === "http") {
+    return `The weather service returned an error (HTTP ${error.status}).`;
+  }
+  return MESSAGES[error.kind] || error.message || "Weather fetch failed.";
+}
@@ -0,0 +1,82 @@
+import { HOURLY_HOURS } from "./weatherData";
+
+// Historical weather, as returned by a provider's fetchHistory:
+//
+// {
+//   timezone,
+//   units,                     // as for current weather, plus precipitation
+//   hours: [{ time, temperature, windspeed, winddirection, windGusts,
+//             humidity, precipitation, weathercode }],
+// }
+//
+// with local times in `timezone`, one entry per hour. Missing values are null.
+
+export const MAX_HISTORY_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why a date range can't be loaded, or "" if it can. Dates are
+// "YYYY-MM-DD"; `today` is the last day allowed.
+export function historyRangeError({ start, end }, today) {
+  if (!start || !end) return "Pick a start and end date";
+  if (start > end) return "The start date is after the end date";
+  if (end > today) return "History can't reach past today";
+  const days = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+  if (days > MAX_HISTORY_DAYS) {
+    return `Pick at most ${MAX_HISTORY_DAYS} days`;
+  }
+  return "";
+}
+
+// "YYYY-MM-DD" of the day `days` before `date`
+export function daysBefore(date, days) {
+  return new Date(Date.parse(date) - days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function hourIndex(history, position) {
+  const last = history.hours.length - 1;
+  return Math.min(last, Math.max(0, Math.floor(position)));
+}
+
+// The weather as it was at `position` hours into the history, in the shape
+// of current weather so the modal and scene can show it. Readings the
+// archive lacks stay null. Its timeline is the hours that followed; there
+// is no daily summary.
+export function historyFrame(history, position) {
+  const { hours } = history;
+  const i = hourIndex(history, position);
+  const h = hours[i];
+  return {
+    temperature: h.temperature,
+    windspeed: h.windspeed,
+    winddirection: h.winddirection,
+    weathercode: h.weathercode,
+    time: h.time,
+    timezone: history.timezone,
+    units: history.units,
+    hourly: hours.slice(i, i + HOURLY_HOURS).map((x) => ({
+      time: x.time,
+      temperature: x.temperature,
+      precipitationProbability: null,
+      windGusts: x.windGusts,
+      humidity: x.humidity,
+      uvIndex: null,
+    })),
+    daily: [],
+    replay: true,
+  };
+}
+
+// Local date and minutes of `position`, between hours too, for the sun
+export function historyClock(history, position) {
+  const i = hourIndex(history, position);
+  const { time } = history.hours[i];
+  const fraction = Math.min(Math.max(position - i, 0), 0.999);
+  return {
+    date: time.slice(0, 10),
+    minutes:
+      Number(time.slice(11, 13)) * 60 +
+      Number(time.slice(14, 16)) +
+      fraction * 60,
+  };
+}
@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import {
+  daysBefore,
+  historyClock,
+  historyFrame,
+  historyRangeError,
+} from "./weatherHistory";
+
+const hour = (time, patch = {}) => ({
+  time,
+  temperature: 4,
+  windspeed: 12,
+  winddirection: 270,
+  windGusts: 25,
+  humidity: 80,
+  precipitation: 0,
+  weathercode: 3,
+  ...patch,
+});
+
+const history = {
+  timezone: "Europe/Berlin",
+  units: { temperature: "°C", windspeed: "km/h", precipitation: "mm" },
+  hours: [
+    hour("2025-01-01T00:00"),
+    hour("2025-01-01T01:00", { windspeed: null, winddirection: null }),
+    hour("2025-01-01T02:00", { temperature: 5 }),
+  ],
+};
+
+describe("historyRangeError", () => {
+  const today = "2025-03-01";
+
+  it("accepts a range up to today", () => {
+    expect(
+      historyRangeError({ start: "2025-02-01", end: "2025-03-01" }, today)
+    ).toBe("");
+  });
+
+  it("explains ranges that can't be loaded", () => {
+    expect(historyRangeError({ start: "", end: "2025-02-01" }, today)).toBe(
+      "Pick a start and end date"
+    );
+    expect(
+      historyRangeError({ start: "2025-02-02", end: "2025-02-01" }, today)
+    ).toBe("The start date is after the end date");
+    expect(
+      historyRangeError({ start: "2025-02-01", end: "2025-03-02" }, today)
+    ).toBe("History can't reach past today");
+    expect(
+      historyRangeError({ start: "2025-01-01", end: "2025-02-01" }, today)
+    ).toBe("Pick at most 31 days");
+  });
+});
+
+describe("daysBefore", () => {
+  it("counts back across month ends", () => {
+    expect(daysBefore("2025-03-01", 1)).toBe("2025-02-28");
+    expect(daysBefore("2025-03-01", 30)).toBe("2025-01-30");
+  });
+});
+
+describe("historyFrame", () => {
+  it("shows the hour as current weather with the rest as its timeline", () => {
+    const frame = historyFrame(history, 0);
+    expect(frame).toMatchObject({
+      temperature: 4,
+      windspeed: 12,
+      time: "2025-01-01T00:00",
+      timezone: "Europe/Berlin",
+      daily: [],
+      replay: true,
+    });
+    expect(frame.hourly.map((h) => h.time)).toEqual(
+      history.hours.map((h) => h.time)
+    );
+    expect(frame.hourly[2]).toMatchObject({
+      temperature: 5,
+      precipitationProbability: null,
+    });
+  });
+
+  it("keeps missing readings null", () => {
+    const frame = historyFrame(history, 1.5);
+    expect(frame.windspeed).toBeNull();
+    expect(frame.winddirection).toBeNull();
+  });
+
+  it("clamps the position to the history", () => {
+    expect(historyFrame(history, -3).time).toBe("2025-01-01T00:00");
+    expect(historyFrame(history, 10).time).toBe("2025-01-01T02:00");
+  });
+});
+
+describe("historyClock", () => {
+  it("moves between hours", () => {
+    expect(historyClock(history, 1.5)).toEqual({
+      date: "2025-01-01",
+      minutes: 90,
+    });
+  });
+
+  it("stops short of the hour after the last", () => {
+    expect(historyClock(history, 3).minutes).toBeLessThan(180);
+  });
+});